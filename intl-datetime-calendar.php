@@ -3,7 +3,7 @@
  * Plugin Name: Intl DateTime Calendar
  * Plugin URI: https://github.com/ttwrpz/intl-datetime-calendar
  * Description: A plugin that displays dates and times in various calendar systems using the Intl API.
- * Version: 1.0.3
+ * Version: 1.1.0
  * Requires PHP: 7.0
  * Requires at least: 5.0
  * Author: ttwrpz
@@ -20,7 +20,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 /**
  * Current plugin version.
  */
-define( 'INTL_DATETIME_CALENDAR_VERSION', '1.0.3' );
+define( 'INTL_DATETIME_CALENDAR_VERSION', '1.1.0' );
 
 class Intl_DateTime_Calendar {
 
@@ -34,6 +34,11 @@ class Intl_DateTime_Calendar {
      */
     const PATTERN_DATE_CHARS = '/^[\d\-\/\s:]+$/';
 
+    /**
+     * Transient holding the day archive links of month calendar grids, keyed by month.
+     */
+    const CALENDAR_GRID_POSTS_TRANSIENT = 'intl_datetime_calendar_grid_posts';
+
     /**
      * Cached plugin settings.
      *
@@ -55,6 +60,97 @@ class Intl_DateTime_Calendar {
      */
     private $cached_time_format = null;
 
+    /**
+     * Get the supported calendar systems.
+     *
+     * @return array Calendar labels keyed by Intl calendar identifier.
+     */
+    private function get_calendar_types() {
+        return array(
+                'gregory'          => __( 'Gregorian (Western)', 'intl-datetime-calendar' ),
+                'buddhist'         => __( 'Buddhist', 'intl-datetime-calendar' ),
+                'chinese'          => __( 'Chinese', 'intl-datetime-calendar' ),
+                'coptic'           => __( 'Coptic', 'intl-datetime-calendar' ),
+                'dangi'            => __( 'Dangi (Korean)', 'intl-datetime-calendar' ),
+                'ethioaa'          => __( 'Ethiopic (Amete Alem)', 'intl-datetime-calendar' ),
+                'ethiopic'         => __( 'Ethiopic', 'intl-datetime-calendar' ),
+                'hebrew'           => __( 'Hebrew', 'intl-datetime-calendar' ),
+                'indian'           => __( 'Indian', 'intl-datetime-calendar' ),
+                'islamic'          => __( 'Islamic', 'intl-datetime-calendar' ),
+                'islamic-civil'    => __( 'Islamic (Civil)', 'intl-datetime-calendar' ),
+                'islamic-rgsa'     => __( 'Islamic (Saudi Arabia)', 'intl-datetime-calendar' ),
+                'islamic-tbla'     => __( 'Islamic (Tabular)', 'intl-datetime-calendar' ),
+                'islamic-umalqura' => __( 'Islamic (Umm al-Qura)', 'intl-datetime-calendar' ),
+                'iso8601'          => __( 'ISO 8601', 'intl-datetime-calendar' ),
+                'japanese'         => __( 'Japanese', 'intl-datetime-calendar' ),
+                'persian'          => __( 'Persian', 'intl-datetime-calendar' ),
+                'roc'              => __( 'Republic of China', 'intl-datetime-calendar' ),
+        );
+    }
+
+    /**
+     * Get the calendars to try when a browser does not support the selected one.
+     *
+     * The built-in chains live in the front-end script; these replace them per calendar.
+     *
+     * @return array Ordered fallback calendar identifiers keyed by calendar identifier.
+     */
+    private function get_calendar_fallbacks() {
+        /**
+         * Filter the calendars tried, in order, when a browser does not support a calendar.
+         *
+         * A chain set here replaces the script's built-in chain for that calendar.
+         * Gregorian is used when no calendar in the chain is supported.
+         *
+         * @param array $fallbacks Ordered fallback calendar identifiers keyed by calendar identifier.
+         */
+        return apply_filters( 'intl_datetime_calendar_fallbacks', array() );
+    }
+
+    /**
+     * Get the numbering systems offered in the settings page.
+     *
+     * @return array Numbering system labels keyed by Intl numbering system identifier.
+     */
+    private function get_numbering_systems() {
+        return array(
+                'latn'     => __( 'Latin (0123456789)', 'intl-datetime-calendar' ),
+                'arab'     => __( 'Arabic-Indic (٠١٢٣٤٥٦٧٨٩)', 'intl-datetime-calendar' ),
+                'arabext'  => __( 'Persian (۰۱۲۳۴۵۶۷۸۹)', 'intl-datetime-calendar' ),
+                'beng'     => __( 'Bengali (০১২৩৪৫৬৭৮৯)', 'intl-datetime-calendar' ),
+                'deva'     => __( 'Devanagari (०१२३४५६७८९)', 'intl-datetime-calendar' ),
+                'hanidec'  => __( 'Chinese (〇一二三四五六七八九)', 'intl-datetime-calendar' ),
+                'khmr'     => __( 'Khmer (០១២៣៤៥៦៧៨៩)', 'intl-datetime-calendar' ),
+                'laoo'     => __( 'Lao (໐໑໒໓໔໕໖໗໘໙)', 'intl-datetime-calendar' ),
+                'mymr'     => __( 'Myanmar (၀၁၂၃၄၅၆၇၈၉)', 'intl-datetime-calendar' ),
+                'tamldec'  => __( 'Tamil (௦௧௨௩௪௫௬௭௮௯)', 'intl-datetime-calendar' ),
+                'thai'     => __( 'Thai (๐๑๒๓๔๕๖๗๘๙)', 'intl-datetime-calendar' ),
+                'fullwide' => __( 'Full width (０１２３４５６７８９)', 'intl-datetime-calendar' ),
+        );
+    }
+
+    /**
+     * Get default plugin settings.
+     *
+     * @return array Default plugin settings.
+     */
+    private function get_default_settings() {
+        return array(
+                'calendar_type'             => 'gregory',
+                'human_diff_absolute_after' => 0,
+                'defer_offscreen'           => false,
+                'time_selector'             => '',
+                'time_zone'                 => 'site',
+                'format_mode'               => 'locale',
+                'secondary_calendar'        => '',
+                'secondary_display'         => 'parentheses',
+                'secondary_template'        => '{primary} ({secondary})',
+                'numbering_system'          => '',
+                'tooltip'                   => 'wordpress',
+                'accessible_label'          => 'label',
+        );
+    }
+
     /**
      * Get cached plugin settings.
      *
@@ -62,9 +158,10 @@ class Intl_DateTime_Calendar {
      */
     private function get_settings() {
         if ( $this->cached_settings === null ) {
-            $this->cached_settings = get_option( 'intl_datetime_calendar_settings', array(
-                    'calendar_type' => 'gregory',
-            ) );
+            $this->cached_settings = wp_parse_args(
+                    get_option( 'intl_datetime_calendar_settings', array() ),
+                    $this->get_default_settings()
+            );
         }
 
         return $this->cached_settings;
@@ -113,6 +210,8 @@ class Intl_DateTime_Calendar {
 
         // Enqueue scripts and styles
         add_action( 'wp_enqueue_scripts', array( $this, 'enqueue_scripts' ) );
+        add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_admin_scripts' ) );
+        add_action( 'enqueue_block_assets', array( $this, 'enqueue_editor_scripts' ) );
 
         // Block editor specific hooks
         add_filter( 'render_block_core/post-date', array( $this, 'filter_post_date_block' ), 10, 2 );
@@ -125,6 +224,12 @@ class Intl_DateTime_Calendar {
 
         // Shortcode for manual integration
         add_shortcode( 'intl_datetime', array( $this, 'intl_datetime_shortcode' ) );
+        add_shortcode( 'intl_datetime_switcher', array( $this, 'intl_datetime_switcher_shortcode' ) );
+        add_shortcode( 'intl_calendar_grid', array( $this, 'intl_calendar_grid_shortcode' ) );
+
+        // Month calendar grids link to the days with posts
+        add_action( 'save_post', array( $this, 'clear_calendar_grid_posts' ) );
+        add_action( 'deleted_post', array( $this, 'clear_calendar_grid_posts' ) );
     }
 
     /**
@@ -149,9 +254,7 @@ class Intl_DateTime_Calendar {
                 'intl_datetime_calendar_settings',
                 array(
                         'sanitize_callback' => array( $this, 'sanitize_settings' ),
-                        'default'           => array(
-                                'calendar_type' => 'gregory',
-                        )
+                        'default'           => $this->get_default_settings()
                 )
         );
 
@@ -169,6 +272,78 @@ class Intl_DateTime_Calendar {
                 'intl-datetime-calendar',
                 'intl_datetime_calendar_general'
         );
+
+        add_settings_field(
+                'secondary_calendar',
+                __( 'Secondary Calendar', 'intl-datetime-calendar' ),
+                array( $this, 'secondary_calendar_callback' ),
+                'intl-datetime-calendar',
+                'intl_datetime_calendar_general'
+        );
+
+        add_settings_field(
+                'numbering_system',
+                __( 'Digits', 'intl-datetime-calendar' ),
+                array( $this, 'numbering_system_callback' ),
+                'intl-datetime-calendar',
+                'intl_datetime_calendar_general'
+        );
+
+        add_settings_field(
+                'format_mode',
+                __( 'Format Layout', 'intl-datetime-calendar' ),
+                array( $this, 'format_mode_callback' ),
+                'intl-datetime-calendar',
+                'intl_datetime_calendar_general'
+        );
+
+        add_settings_field(
+                'tooltip',
+                __( 'Tooltip', 'intl-datetime-calendar' ),
+                array( $this, 'tooltip_callback' ),
+                'intl-datetime-calendar',
+                'intl_datetime_calendar_general'
+        );
+
+        add_settings_field(
+                'accessible_label',
+                __( 'Screen Readers', 'intl-datetime-calendar' ),
+                array( $this, 'accessible_label_callback' ),
+                'intl-datetime-calendar',
+                'intl_datetime_calendar_general'
+        );
+
+        add_settings_field(
+                'time_zone',
+                __( 'Time Zone', 'intl-datetime-calendar' ),
+                array( $this, 'time_zone_callback' ),
+                'intl-datetime-calendar',
+                'intl_datetime_calendar_general'
+        );
+
+        add_settings_field(
+                'human_diff_absolute_after',
+                __( 'Relative Time', 'intl-datetime-calendar' ),
+                array( $this, 'human_diff_absolute_after_callback' ),
+                'intl-datetime-calendar',
+                'intl_datetime_calendar_general'
+        );
+
+        add_settings_field(
+                'time_selector',
+                __( 'Other Dates', 'intl-datetime-calendar' ),
+                array( $this, 'time_selector_callback' ),
+                'intl-datetime-calendar',
+                'intl_datetime_calendar_general'
+        );
+
+        add_settings_field(
+                'defer_offscreen',
+                __( 'Performance', 'intl-datetime-calendar' ),
+                array( $this, 'defer_offscreen_callback' ),
+                'intl-datetime-calendar',
+                'intl_datetime_calendar_general'
+        );
     }
 
     /**
@@ -181,26 +356,7 @@ class Intl_DateTime_Calendar {
     public function sanitize_settings( $input ) {
         $sanitized_input = array();
 
-        $valid_calendar_types = array(
-                'buddhist',
-                'chinese',
-                'coptic',
-                'dangi',
-                'ethioaa',
-                'ethiopic',
-                'gregory',
-                'hebrew',
-                'indian',
-                'islamic',
-                'islamic-civil',
-                'islamic-rgsa',
-                'islamic-tbla',
-                'islamic-umalqura',
-                'iso8601',
-                'japanese',
-                'persian',
-                'roc',
-        );
+        $valid_calendar_types = array_keys( $this->get_calendar_types() );
 
         if ( isset( $input['calendar_type'] ) ) {
             if ( in_array( $input['calendar_type'], $valid_calendar_types ) ) {
@@ -219,6 +375,63 @@ class Intl_DateTime_Calendar {
             $sanitized_input['calendar_type'] = 'gregory';
         }
 
+        if ( isset( $input['secondary_calendar'] ) && in_array( $input['secondary_calendar'], $valid_calendar_types, true ) ) {
+            $sanitized_input['secondary_calendar'] = $input['secondary_calendar'];
+        } else {
+            $sanitized_input['secondary_calendar'] = '';
+        }
+
+        if ( isset( $input['secondary_display'] ) && in_array( $input['secondary_display'], array( 'inline', 'parentheses', 'ruby', 'tooltip' ), true ) ) {
+            $sanitized_input['secondary_display'] = $input['secondary_display'];
+        } else {
+            $sanitized_input['secondary_display'] = 'parentheses';
+        }
+
+        $sanitized_input['secondary_template'] = isset( $input['secondary_template'] ) && trim( $input['secondary_template'] ) !== ''
+                ? sanitize_text_field( $input['secondary_template'] )
+                : '{primary} ({secondary})';
+
+        if ( isset( $input['numbering_system'] ) && array_key_exists( $input['numbering_system'], $this->get_numbering_systems() ) ) {
+            $sanitized_input['numbering_system'] = $input['numbering_system'];
+        } else {
+            $sanitized_input['numbering_system'] = '';
+        }
+
+        if ( isset( $input['tooltip'] ) && in_array( $input['tooltip'], array( 'wordpress', 'gregorian', 'none' ), true ) ) {
+            $sanitized_input['tooltip'] = $input['tooltip'];
+        } else {
+            $sanitized_input['tooltip'] = 'wordpress';
+        }
+
+        if ( isset( $input['accessible_label'] ) && in_array( $input['accessible_label'], array( 'label', 'text', 'none' ), true ) ) {
+            $sanitized_input['accessible_label'] = $input['accessible_label'];
+        } else {
+            $sanitized_input['accessible_label'] = 'label';
+        }
+
+        if ( isset( $input['format_mode'] ) && in_array( $input['format_mode'], array( 'locale', 'wordpress' ), true ) ) {
+            $sanitized_input['format_mode'] = $input['format_mode'];
+        } else {
+            $sanitized_input['format_mode'] = 'locale';
+        }
+
+        if ( isset( $input['time_zone'] ) && ( in_array( $input['time_zone'], array( 'site', 'visitor' ), true )
+                                               || in_array( $input['time_zone'], timezone_identifiers_list(), true ) ) ) {
+            $sanitized_input['time_zone'] = $input['time_zone'];
+        } else {
+            $sanitized_input['time_zone'] = 'site';
+        }
+
+        $sanitized_input['human_diff_absolute_after'] = isset( $input['human_diff_absolute_after'] )
+                ? absint( $input['human_diff_absolute_after'] )
+                : 0;
+
+        $sanitized_input['time_selector'] = isset( $input['time_selector'] )
+                ? trim( sanitize_text_field( $input['time_selector'] ) )
+                : '';
+
+        $sanitized_input['defer_offscreen'] = ! empty( $input['defer_offscreen'] );
+
         return $sanitized_input;
     }
 
@@ -234,61 +447,259 @@ class Intl_DateTime_Calendar {
      * Calendar type field callback.
      */
     public function calendar_type_callback() {
-        $options = get_option( 'intl_datetime_calendar_settings', array(
-                'calendar_type' => 'gregory',
-        ) );
+        $options = $this->get_settings();
 
         ?>
         <select name="intl_datetime_calendar_settings[calendar_type]" id="calendar_type">
-            <option value="gregory" <?php selected( $options['calendar_type'], 'gregory' ); ?>><?php echo esc_html__( 'Gregorian (Western)', 'intl-datetime-calendar' ); ?></option>
-            <option value="buddhist" <?php selected( $options['calendar_type'], 'buddhist' ); ?>><?php echo esc_html__( 'Buddhist', 'intl-datetime-calendar' ); ?></option>
-            <option value="chinese" <?php selected( $options['calendar_type'], 'chinese' ); ?>><?php echo esc_html__( 'Chinese', 'intl-datetime-calendar' ); ?></option>
-            <option value="coptic" <?php selected( $options['calendar_type'], 'coptic' ); ?>><?php echo esc_html__( 'Coptic', 'intl-datetime-calendar' ); ?></option>
-            <option value="dangi" <?php selected( $options['calendar_type'], 'dangi' ); ?>><?php echo esc_html__( 'Dangi (Korean)', 'intl-datetime-calendar' ); ?></option>
-            <option value="ethioaa" <?php selected( $options['calendar_type'], 'ethioaa' ); ?>><?php echo esc_html__( 'Ethiopic (Amete Alem)', 'intl-datetime-calendar' ); ?></option>
-            <option value="ethiopic" <?php selected( $options['calendar_type'], 'ethiopic' ); ?>><?php echo esc_html__( 'Ethiopic', 'intl-datetime-calendar' ); ?></option>
-            <option value="hebrew" <?php selected( $options['calendar_type'], 'hebrew' ); ?>><?php echo esc_html__( 'Hebrew', 'intl-datetime-calendar' ); ?></option>
-            <option value="indian" <?php selected( $options['calendar_type'], 'indian' ); ?>><?php echo esc_html__( 'Indian', 'intl-datetime-calendar' ); ?></option>
-            <option value="islamic" <?php selected( $options['calendar_type'], 'islamic' ); ?>><?php echo esc_html__( 'Islamic', 'intl-datetime-calendar' ); ?></option>
-            <option value="islamic-civil" <?php selected( $options['calendar_type'], 'islamic-civil' ); ?>><?php echo esc_html__( 'Islamic (Civil)', 'intl-datetime-calendar' ); ?></option>
-            <option value="islamic-rgsa" <?php selected( $options['calendar_type'], 'islamic-rgsa' ); ?>><?php echo esc_html__( 'Islamic (Saudi Arabia)', 'intl-datetime-calendar' ); ?></option>
-            <option value="islamic-tbla" <?php selected( $options['calendar_type'], 'islamic-tbla' ); ?>><?php echo esc_html__( 'Islamic (Tabular)', 'intl-datetime-calendar' ); ?></option>
-            <option value="islamic-umalqura" <?php selected( $options['calendar_type'], 'islamic-umalqura' ); ?>><?php echo esc_html__( 'Islamic (Umm al-Qura)', 'intl-datetime-calendar' ); ?></option>
-            <option value="iso8601" <?php selected( $options['calendar_type'], 'iso8601' ); ?>><?php echo esc_html__( 'ISO 8601', 'intl-datetime-calendar' ); ?></option>
-            <option value="japanese" <?php selected( $options['calendar_type'], 'japanese' ); ?>><?php echo esc_html__( 'Japanese', 'intl-datetime-calendar' ); ?></option>
-            <option value="persian" <?php selected( $options['calendar_type'], 'persian' ); ?>><?php echo esc_html__( 'Persian', 'intl-datetime-calendar' ); ?></option>
-            <option value="roc" <?php selected( $options['calendar_type'], 'roc' ); ?>><?php echo esc_html__( 'Republic of China', 'intl-datetime-calendar' ); ?></option>
+            <?php foreach ( $this->get_calendar_types() as $calendar => $label ) : ?>
+                <option value="<?php echo esc_attr( $calendar ); ?>" <?php selected( $options['calendar_type'], $calendar ); ?>><?php echo esc_html( $label ); ?></option>
+            <?php endforeach; ?>
         </select>
         <p class="description"><?php echo esc_html__( 'Select which calendar system to use for displaying dates.', 'intl-datetime-calendar' ); ?></p>
         <?php
     }
 
+    /**
+     * Secondary calendar field callback.
+     */
+    public function secondary_calendar_callback() {
+        $options = $this->get_settings();
+
+        ?>
+        <select name="intl_datetime_calendar_settings[secondary_calendar]" id="secondary_calendar">
+            <option value="" <?php selected( $options['secondary_calendar'], '' ); ?>><?php echo esc_html__( 'None', 'intl-datetime-calendar' ); ?></option>
+            <?php foreach ( $this->get_calendar_types() as $calendar => $label ) : ?>
+                <option value="<?php echo esc_attr( $calendar ); ?>" <?php selected( $options['secondary_calendar'], $calendar ); ?>><?php echo esc_html( $label ); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <select name="intl_datetime_calendar_settings[secondary_display]" id="secondary_display">
+            <option value="parentheses" <?php selected( $options['secondary_display'], 'parentheses' ); ?>><?php echo esc_html__( 'In parentheses', 'intl-datetime-calendar' ); ?></option>
+            <option value="inline" <?php selected( $options['secondary_display'], 'inline' ); ?>><?php echo esc_html__( 'Inline, using the template', 'intl-datetime-calendar' ); ?></option>
+            <option value="ruby" <?php selected( $options['secondary_display'], 'ruby' ); ?>><?php echo esc_html__( 'Annotation above the date', 'intl-datetime-calendar' ); ?></option>
+            <option value="tooltip" <?php selected( $options['secondary_display'], 'tooltip' ); ?>><?php echo esc_html__( 'Tooltip', 'intl-datetime-calendar' ); ?></option>
+        </select>
+        <p>
+            <label for="secondary_template"><?php echo esc_html__( 'Template:', 'intl-datetime-calendar' ); ?></label>
+            <input type="text" class="regular-text" name="intl_datetime_calendar_settings[secondary_template]" id="secondary_template"
+                   value="<?php echo esc_attr( $options['secondary_template'] ); ?>"/>
+        </p>
+        <p class="description"><?php echo esc_html__( 'Optionally show each date in a second calendar system as well. The inline template uses {primary} and {secondary} placeholders.', 'intl-datetime-calendar' ); ?></p>
+        <?php
+    }
+
+    /**
+     * Numbering system field callback.
+     */
+    public function numbering_system_callback() {
+        $options = $this->get_settings();
+
+        ?>
+        <select name="intl_datetime_calendar_settings[numbering_system]" id="numbering_system">
+            <option value="" <?php selected( $options['numbering_system'], '' ); ?>><?php echo esc_html__( 'Language default', 'intl-datetime-calendar' ); ?></option>
+            <?php foreach ( $this->get_numbering_systems() as $numbering_system => $label ) : ?>
+                <option value="<?php echo esc_attr( $numbering_system ); ?>" <?php selected( $options['numbering_system'], $numbering_system ); ?>><?php echo esc_html( $label ); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <p class="description"><?php echo esc_html__( 'Digits used for day, month, year and time numbers. Browsers that do not support the selected digits use the language default.', 'intl-datetime-calendar' ); ?></p>
+        <?php
+    }
+
+    /**
+     * Format layout field callback.
+     */
+    public function format_mode_callback() {
+        $options = $this->get_settings();
+
+        ?>
+        <fieldset>
+            <label>
+                <input type="radio" name="intl_datetime_calendar_settings[format_mode]" value="locale" <?php checked( $options['format_mode'], 'locale' ); ?>/>
+                <?php echo esc_html__( 'Locale native: use the language\'s usual order and separators', 'intl-datetime-calendar' ); ?>
+            </label>
+            <br/>
+            <label>
+                <input type="radio" name="intl_datetime_calendar_settings[format_mode]" value="wordpress" <?php checked( $options['format_mode'], 'wordpress' ); ?>/>
+                <?php echo esc_html__( 'WordPress format: keep the order and separators of the Date Format and Time Format settings', 'intl-datetime-calendar' ); ?>
+            </label>
+        </fieldset>
+        <p class="description"><?php echo esc_html__( 'Controls how the WordPress date and time formats are applied. Custom block formats always keep their layout.', 'intl-datetime-calendar' ); ?></p>
+        <?php
+    }
+
+    /**
+     * Tooltip field callback.
+     */
+    public function tooltip_callback() {
+        $options = $this->get_settings();
+
+        ?>
+        <select name="intl_datetime_calendar_settings[tooltip]" id="tooltip">
+            <option value="wordpress" <?php selected( $options['tooltip'], 'wordpress' ); ?>><?php echo esc_html__( 'Gregorian date in the WordPress format', 'intl-datetime-calendar' ); ?></option>
+            <option value="gregorian" <?php selected( $options['tooltip'], 'gregorian' ); ?>><?php echo esc_html__( 'Gregorian date in the same style as the displayed date', 'intl-datetime-calendar' ); ?></option>
+            <option value="none" <?php selected( $options['tooltip'], 'none' ); ?>><?php echo esc_html__( 'No tooltip', 'intl-datetime-calendar' ); ?></option>
+        </select>
+        <p class="description"><?php echo esc_html__( 'Text shown when hovering over a converted date, in the site language.', 'intl-datetime-calendar' ); ?></p>
+        <?php
+    }
+
+    /**
+     * Screen reader label field callback.
+     */
+    public function accessible_label_callback() {
+        $options = $this->get_settings();
+
+        ?>
+        <select name="intl_datetime_calendar_settings[accessible_label]" id="accessible_label">
+            <option value="label" <?php selected( $options['accessible_label'], 'label' ); ?>><?php echo esc_html__( 'Read out the full date', 'intl-datetime-calendar' ); ?></option>
+            <option value="text" <?php selected( $options['accessible_label'], 'text' ); ?>><?php echo esc_html__( 'Read out the full date, hidden with the theme\'s screen-reader-text class', 'intl-datetime-calendar' ); ?></option>
+            <option value="none" <?php selected( $options['accessible_label'], 'none' ); ?>><?php echo esc_html__( 'Read out the displayed date', 'intl-datetime-calendar' ); ?></option>
+        </select>
+        <p class="description"><?php echo esc_html__( 'Short formats such as 15/12/67 are hard to follow when read aloud. Screen readers can read the full date and the calendar name instead. The full date is hidden on screen, either by the plugin or by the screen-reader-text class of your theme.', 'intl-datetime-calendar' ); ?></p>
+        <?php
+    }
+
+    /**
+     * Time zone field callback.
+     */
+    public function time_zone_callback() {
+        $options = $this->get_settings();
+
+        ?>
+        <select name="intl_datetime_calendar_settings[time_zone]" id="time_zone">
+            <option value="site" <?php selected( $options['time_zone'], 'site' ); ?>><?php echo esc_html__( 'Site time zone', 'intl-datetime-calendar' ); ?></option>
+            <option value="visitor" <?php selected( $options['time_zone'], 'visitor' ); ?>><?php echo esc_html__( 'Visitor\'s time zone', 'intl-datetime-calendar' ); ?></option>
+            <optgroup label="<?php echo esc_attr__( 'Specific time zone', 'intl-datetime-calendar' ); ?>">
+                <?php foreach ( timezone_identifiers_list() as $time_zone ) : ?>
+                    <option value="<?php echo esc_attr( $time_zone ); ?>" <?php selected( $options['time_zone'], $time_zone ); ?>><?php echo esc_html( $time_zone ); ?></option>
+                <?php endforeach; ?>
+            </optgroup>
+        </select>
+        <p class="description"><?php echo esc_html__( 'Time zone used to display dates. The site time zone matches the dates WordPress renders on the server.', 'intl-datetime-calendar' ); ?></p>
+        <?php
+    }
+
+    /**
+     * Relative time field callback.
+     */
+    public function human_diff_absolute_after_callback() {
+        $options = $this->get_settings();
+
+        ?>
+        <input type="number" min="0" step="1" class="small-text"
+               name="intl_datetime_calendar_settings[human_diff_absolute_after]" id="human_diff_absolute_after"
+               value="<?php echo esc_attr( $options['human_diff_absolute_after'] ); ?>"/>
+        <?php echo esc_html__( 'days', 'intl-datetime-calendar' ); ?>
+        <p class="description"><?php echo esc_html__( 'Show "time ago" dates as a calendar date once they are older than this many days. Use 0 to always show relative time.', 'intl-datetime-calendar' ); ?></p>
+        <?php
+    }
+
+    /**
+     * Other dates selector field callback.
+     */
+    public function time_selector_callback() {
+        $options = $this->get_settings();
+
+        ?>
+        <input type="text" class="regular-text code" name="intl_datetime_calendar_settings[time_selector]" id="time_selector"
+               value="<?php echo esc_attr( $options['time_selector'] ); ?>" placeholder="time[datetime]"/>
+        <p class="description"><?php echo esc_html__( 'CSS selector for other <time datetime="..."> elements to convert, such as those added by your theme or other plugins (e.g., time.entry-date). Leave empty to convert only the dates this plugin outputs.', 'intl-datetime-calendar' ); ?></p>
+        <?php
+    }
+
+    /**
+     * Off-screen deferral field callback.
+     */
+    public function defer_offscreen_callback() {
+        $options = $this->get_settings();
+
+        ?>
+        <label for="defer_offscreen">
+            <input type="checkbox" name="intl_datetime_calendar_settings[defer_offscreen]" id="defer_offscreen"
+                   value="1" <?php checked( $options['defer_offscreen'] ); ?>/>
+            <?php echo esc_html__( 'Format dates only when they are about to scroll into view', 'intl-datetime-calendar' ); ?>
+        </label>
+        <p class="description"><?php echo esc_html__( 'Speeds up long archive and infinite scroll pages. Dates below the fold show the server-rendered text until they are reached.', 'intl-datetime-calendar' ); ?></p>
+        <?php
+    }
+
     /**
      * Render the settings page.
      */
     public function render_settings_page() {
         $current_locale = str_replace( '_', '-', get_locale() );
+        $preview_rows   = array(
+                'date'     => __( 'Date', 'intl-datetime-calendar' ),
+                'time'     => __( 'Time', 'intl-datetime-calendar' ),
+                'datetime' => __( 'Date and Time', 'intl-datetime-calendar' ),
+                'custom'   => __( 'Custom Format', 'intl-datetime-calendar' ),
+                'relative' => __( 'Time Ago', 'intl-datetime-calendar' ),
+                'range'    => __( 'Date Range', 'intl-datetime-calendar' ),
+        );
         ?>
         <div class="wrap">
             <h1><?php echo esc_html( get_admin_page_title() ); ?></h1>
-            <form action="options.php" method="post">
+            <form action="options.php" method="post" id="intl-settings-form">
                 <?php
                 settings_fields( 'intl_datetime_calendar' );
                 do_settings_sections( 'intl-datetime-calendar' );
                 ?>
 
                 <h2><?php echo esc_html__( 'Preview', 'intl-datetime-calendar' ); ?></h2>
+                <p><?php echo esc_html__( 'The preview uses the same script as your site and updates as you change the settings above. The fields below only affect the preview.', 'intl-datetime-calendar' ); ?></p>
                 <table class="form-table" role="presentation">
                     <tr>
-                        <th scope="row"><?php echo esc_html__( 'Sample Date', 'intl-datetime-calendar' ); ?></th>
+                        <th scope="row"><label for="intl-preview-date"><?php echo esc_html__( 'Sample Date', 'intl-datetime-calendar' ); ?></label></th>
+                        <td>
+                            <input type="datetime-local" step="1" id="intl-preview-date"
+                                   value="<?php echo esc_attr( current_time( 'Y-m-d\TH:i:s' ) ); ?>"/>
+                            <p class="description"><?php echo esc_html__( 'Wall-clock time in the selected time zone.', 'intl-datetime-calendar' ); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="intl-preview-locale"><?php echo esc_html__( 'Language', 'intl-datetime-calendar' ); ?></label></th>
+                        <td>
+                            <input type="text" class="regular-text" id="intl-preview-locale" value="<?php echo esc_attr( $current_locale ); ?>"/>
+                            <p class="description"><?php echo esc_html__( 'A language tag such as th-TH or ar-SA. Your site uses the WordPress site language.', 'intl-datetime-calendar' ); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="intl-preview-date-format"><?php echo esc_html__( 'Date Format', 'intl-datetime-calendar' ); ?></label></th>
+                        <td>
+                            <input type="text" class="regular-text code" id="intl-preview-date-format" value="<?php echo esc_attr( $this->get_date_format() ); ?>"/>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="intl-preview-time-format"><?php echo esc_html__( 'Time Format', 'intl-datetime-calendar' ); ?></label></th>
+                        <td>
+                            <input type="text" class="regular-text code" id="intl-preview-time-format" value="<?php echo esc_attr( $this->get_time_format() ); ?>"/>
+                            <p class="description"><?php echo esc_html__( 'Your site uses the formats from Settings > General.', 'intl-datetime-calendar' ); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="intl-preview-custom-format"><?php echo esc_html__( 'Custom Format', 'intl-datetime-calendar' ); ?></label></th>
+                        <td>
+                            <input type="text" class="regular-text code" id="intl-preview-custom-format" value="l, j F Y"/>
+                            <p class="description"><?php echo esc_html__( 'A PHP date format, as used by blocks with a custom format.', 'intl-datetime-calendar' ); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><?php echo esc_html__( 'Result', 'intl-datetime-calendar' ); ?></th>
                         <td>
                             <div id="intl-preview-container"
                                  style="font-size: 1.2em; padding: 10px; background: #f0f0f1; border-left: 4px solid #2271b1; margin-bottom: 10px;">
-                                <span id="intl-date-preview"><?php echo esc_html__( 'Loading preview...', 'intl-datetime-calendar' ); ?></span>
+                                <?php foreach ( $preview_rows as $row => $label ) : ?>
+                                    <p>
+                                        <strong><?php echo esc_html( $label ); ?>:</strong>
+                                        <intl-datetime data-intl-preview="<?php echo esc_attr( $row ); ?>"><?php echo esc_html__( 'Loading preview...', 'intl-datetime-calendar' ); ?></intl-datetime>
+                                    </p>
+                                <?php endforeach; ?>
+                            </div>
+                            <div id="intl-calendar-notice" class="notice notice-warning inline" hidden>
+                                <p></p>
+                            </div>
+                            <div id="intl-format-notice" class="notice notice-warning inline" hidden>
+                                <ul></ul>
                             </div>
-                            <p class="description">
-                                <?php echo esc_html__( 'This preview shows how today\'s date will appear with the selected calendar system.', 'intl-datetime-calendar' ); ?>
-                            </p>
                         </td>
                     </tr>
                 </table>
@@ -300,36 +711,242 @@ class Intl_DateTime_Calendar {
         <script>
             (function () {
                 var locale = <?php echo wp_json_encode( $current_locale ); ?>;
-                var previewEl = document.getElementById('intl-date-preview');
+                var siteTimeZone = <?php echo wp_json_encode( $this->get_site_time_zone() ); ?>;
+                var form = document.getElementById('intl-settings-form');
                 var calendarSelect = document.getElementById('calendar_type');
+                var secondarySelect = document.getElementById('secondary_calendar');
+                var noticeEl = document.getElementById('intl-calendar-notice');
+                var formatNoticeEl = document.getElementById('intl-format-notice');
+                var calendarLabels = <?php echo wp_json_encode( $this->get_calendar_types() ); ?>;
+                var unsupportedMessage = <?php /* translators: 1: unsupported calendar, 2: calendar used instead */ echo wp_json_encode( __( 'Your browser does not support the %1$s calendar. Dates will be shown in the %2$s calendar instead.', 'intl-datetime-calendar' ) ); ?>;
+                var formatLabels = <?php echo wp_json_encode( array(
+                        'date'   => __( 'Date Format', 'intl-datetime-calendar' ),
+                        'time'   => __( 'Time Format', 'intl-datetime-calendar' ),
+                        'custom' => __( 'Custom Format', 'intl-datetime-calendar' ),
+                ) ); ?>;
+                /* Messages for the reasons reported by IntlDateTimeCalendar.checkPhpFormat(); %1$s is the format, %2$s the character */
+                var formatMessages = <?php echo wp_json_encode( array(
+                        /* translators: 1: format setting name, 2: PHP date format character */
+                        'locale'    => __( '%1$s: "%2$s" is left out because dates follow the language\'s usual layout. Choose the WordPress format layout to keep it.', 'intl-datetime-calendar' ),
+                        /* translators: 1: format setting name, 2: PHP date format character */
+                        'unknown'   => __( '%1$s: "%2$s" is not a date format character and is shown as-is. Escape it with a backslash to show it as text.', 'intl-datetime-calendar' ),
+                        /* translators: 1: format setting name, 2: PHP date format character */
+                        'gregorian' => __( '%1$s: "%2$s" is always shown in the Gregorian calendar.', 'intl-datetime-calendar' ),
+                        /* translators: 1: format setting name, 2: PHP date format character */
+                        'calendar'  => __( '%1$s: "%2$s" is only available in the Chinese and Dangi calendars.', 'intl-datetime-calendar' ),
+                ) ); ?>;
+                var unavailableMessage = <?php echo wp_json_encode( __( 'The preview is not available in this browser.', 'intl-datetime-calendar' ) ); ?>;
+
+                /* Compares the selected calendars with those the script recorded on a rendered preview date */
+                function updateNotice(el) {
+                    if (!noticeEl) return;
+
+                    var messages = [];
+                    [
+                        [calendarSelect, 'data-intl-calendar'],
+                        [secondarySelect, 'data-intl-secondary-calendar']
+                    ].forEach(function (field) {
+                        var select = field[0];
+                        if (!select || !select.value) return;
+
+                        var resolved = el.getAttribute(field[1]);
+                        if (resolved && resolved !== select.value) {
+                            messages.push(unsupportedMessage
+                                .replace('%1$s', calendarLabels[select.value] || select.value)
+                                .replace('%2$s', calendarLabels[resolved] || resolved));
+                        }
+                    });
 
-                function updatePreview() {
-                    if (!previewEl || !calendarSelect) return;
+                    noticeEl.querySelector('p').textContent = messages.join(' ');
+                    noticeEl.hidden = messages.length === 0;
+                }
 
-                    var calendar = calendarSelect.value;
-                    var now = new Date();
+                function getValue(id, fallback) {
+                    var field = document.getElementById(id);
+                    return field && field.value !== '' ? field.value : fallback;
+                }
 
+                function getPreviewLocale() {
                     try {
-                        var formatter = new Intl.DateTimeFormat(locale, {
-                            calendar: calendar,
-                            dateStyle: 'full'
-                        });
-                        previewEl.textContent = formatter.format(now);
+                        return Intl.getCanonicalLocales(getValue('intl-preview-locale', locale))[0] || locale;
                     } catch (e) {
-                        previewEl.textContent = now.toLocaleDateString(locale);
+                        // Incomplete or invalid language tag, e.g. while typing
+                        return locale;
+                    }
+                }
+
+                function getTimeZone() {
+                    var timeZone = getValue('time_zone', 'site');
+                    if (timeZone === 'site') {
+                        return siteTimeZone;
                     }
+                    return timeZone === 'visitor' ? '' : timeZone;
+                }
+
+                function addDays(value, days) {
+                    var date = new Date(value + 'Z');
+                    date.setUTCDate(date.getUTCDate() + days);
+                    return date.toISOString().slice(0, 19);
+                }
+
+                function updateFormatNotice(api, formatMode) {
+                    var list = formatNoticeEl.querySelector('ul');
+                    var formats = {
+                        date: {format: getValue('intl-preview-date-format', ''), formatMode: formatMode},
+                        time: {format: getValue('intl-preview-time-format', ''), formatMode: formatMode},
+                        custom: {format: getValue('intl-preview-custom-format', ''), formatMode: 'wordpress'}
+                    };
+
+                    list.textContent = '';
+                    Object.keys(formats).forEach(function (key) {
+                        api.checkPhpFormat(formats[key].format, {formatMode: formats[key].formatMode}).forEach(function (warning) {
+                            var item = document.createElement('li');
+                            item.textContent = formatMessages[warning.reason]
+                                .replace('%1$s', formatLabels[key])
+                                .replace('%2$s', warning.char);
+                            list.appendChild(item);
+                        });
+                    });
+
+                    formatNoticeEl.hidden = !list.children.length;
                 }
 
-                if (calendarSelect) {
-                    calendarSelect.addEventListener('change', updatePreview);
+                function updatePreview() {
+                    var api = window.IntlDateTimeCalendar;
+                    var formatModeField = form.querySelector('input[name="intl_datetime_calendar_settings[format_mode]"]:checked');
+                    var formatMode = formatModeField ? formatModeField.value : 'locale';
+                    var sample = getValue('intl-preview-date', '');
+
+                    if (!api || !api.checkPhpFormat) {
+                        document.getElementById('intl-preview-container').textContent = unavailableMessage;
+                        return;
+                    }
+
+                    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(sample)) {
+                        return;
+                    }
+
+                    api.configure({
+                        calendar_type: getValue('calendar_type', 'gregory'),
+                        secondary_calendar: getValue('secondary_calendar', ''),
+                        secondary_display: getValue('secondary_display', 'parentheses'),
+                        secondary_template: getValue('secondary_template', ''),
+                        numbering_system: getValue('numbering_system', ''),
+                        tooltip: getValue('tooltip', 'wordpress'),
+                        accessible_label: getValue('accessible_label', 'label'),
+                        locale: getPreviewLocale(),
+                        time_zone: getTimeZone(),
+                        format_mode: formatMode,
+                        wp_date_format: getValue('intl-preview-date-format', ''),
+                        wp_time_format: getValue('intl-preview-time-format', ''),
+                        relative_absolute_after: (parseInt(getValue('human_diff_absolute_after', '0'), 10) || 0) * 86400
+                    });
+
+                    form.querySelectorAll('[data-intl-preview]').forEach(function (el) {
+                        var row = el.getAttribute('data-intl-preview');
+
+                        el.setAttribute('datetime', sample);
+                        if (row === 'custom') {
+                            el.setAttribute('format', getValue('intl-preview-custom-format', 'l, j F Y'));
+                        } else if (row === 'range') {
+                            el.setAttribute('format', 'date');
+                            el.setAttribute('end', addDays(sample, 3));
+                        } else {
+                            el.setAttribute('format', row);
+                        }
+                    });
+                    api.rerender();
+
+                    updateFormatNotice(api, formatMode);
                 }
 
-                updatePreview();
+                form.addEventListener('intl-datetime:rendered', function (event) {
+                    if (event.target.getAttribute('data-intl-preview') === 'date') {
+                        updateNotice(event.target);
+                    }
+                });
+                form.addEventListener('input', updatePreview);
+                form.addEventListener('change', updatePreview);
+
+                // The front-end script is printed in the footer, after this page
+                document.addEventListener('DOMContentLoaded', updatePreview);
             })();
         </script>
         <?php
     }
 
+    /**
+     * Get the IANA time zone the front-end script should render in.
+     *
+     * @return string Time zone identifier, or an empty string for the visitor's time zone.
+     */
+    private function get_script_time_zone() {
+        $options = $this->get_settings();
+
+        if ( $options['time_zone'] === 'visitor' ) {
+            return '';
+        }
+
+        if ( $options['time_zone'] !== 'site' ) {
+            return $options['time_zone'];
+        }
+
+        return $this->get_site_time_zone();
+    }
+
+    /**
+     * Get the site time zone as an IANA identifier usable by Intl.
+     *
+     * @return string Time zone identifier, or an empty string for the visitor's time zone.
+     */
+    private function get_site_time_zone() {
+        $time_zone = function_exists( 'wp_timezone_string' ) ? wp_timezone_string() : get_option( 'timezone_string', '' );
+
+        // Sites configured with a manual UTC offset report it as "+07:00"
+        if ( preg_match( '/^([+-])(\d{2}):(\d{2})$/', $time_zone, $matches ) ) {
+            if ( $matches[3] !== '00' ) {
+                // Intl has no zone for fractional manual offsets
+                return '';
+            }
+
+            // Etc/GMT zones use an inverted sign
+            return 'Etc/GMT' . ( $matches[1] === '+' ? '-' : '+' ) . (int) $matches[2];
+        }
+
+        return $time_zone;
+    }
+
+    /**
+     * Get the month and weekday names used by the front-end fallback formatter.
+     *
+     * @param string $locale Locale in Intl format (e.g., 'th-TH').
+     *
+     * @return array Locale data packs keyed by language or locale.
+     */
+    private function get_locale_data( $locale ) {
+        $locale_data = array();
+        $language    = strtolower( strtok( $locale, '-' ) );
+        $file        = plugin_dir_path( __FILE__ ) . 'js/locale-data/' . $language . '.json';
+
+        if ( preg_match( '/^[a-z]{2,3}$/', $language ) && is_readable( $file ) ) {
+            $pack = json_decode( file_get_contents( $file ), true );
+            if ( is_array( $pack ) ) {
+                $locale_data[ $language ] = $pack;
+            }
+        }
+
+        /**
+         * Filter the locale data packs passed to the front-end script.
+         *
+         * Add packs for languages the plugin does not ship, keyed by language ('sv') or locale ('pt-BR'),
+         * with 'months', 'monthsShort', 'weekdays' (from Sunday), 'weekdaysShort' and 'dayPeriods' arrays.
+         *
+         * @param array  $locale_data Locale data packs.
+         * @param string $locale      Current locale in Intl format.
+         */
+        return apply_filters( 'intl_datetime_calendar_locale_data', $locale_data, $locale );
+    }
+
     /**
      * Enqueue necessary scripts and styles.
      */
@@ -355,18 +972,84 @@ class Intl_DateTime_Calendar {
         // Convert locale format if needed (e.g., en_US to en-US for Intl API)
         $current_locale = str_replace( '_', '-', $current_locale );
 
+        $script_settings = array(
+                'calendar_type'           => $options['calendar_type'],
+                'locale'                  => $current_locale,
+                'wp_date_format'          => $wp_date_format,
+                'wp_time_format'          => $wp_time_format,
+                'time_zone'               => $this->get_script_time_zone(),
+                'format_mode'             => $options['format_mode'],
+                'secondary_calendar'      => $options['secondary_calendar'],
+                'secondary_display'       => $options['secondary_display'],
+                'secondary_template'      => $options['secondary_template'],
+                'numbering_system'        => $options['numbering_system'],
+                'tooltip'                 => $options['tooltip'],
+                'accessible_label'        => $options['accessible_label'],
+                'locale_data'             => $this->get_locale_data( $current_locale ),
+                'relative_absolute_after' => $options['human_diff_absolute_after'] * DAY_IN_SECONDS,
+                'defer_offscreen'         => (bool) $options['defer_offscreen'],
+                'time_selector'           => $options['time_selector'],
+                'calendar_fallbacks'      => $this->get_calendar_fallbacks(),
+                'editor'                  => $this->is_block_editor(),
+                'start_of_week'           => (int) get_option( 'start_of_week', 0 ),
+                'calendar_grid_labels'    => array(
+                        'navigation' => __( 'Previous and next months', 'intl-datetime-calendar' ),
+                        'previous'   => __( 'Previous month', 'intl-datetime-calendar' ),
+                        'next'       => __( 'Next month', 'intl-datetime-calendar' ),
+                ),
+        );
+
+        /**
+         * Filter the settings passed to the front-end script.
+         *
+         * @param array $script_settings Settings exposed as window.intlDateTimeCalendarSettings.
+         */
+        $script_settings = apply_filters( 'intl_datetime_calendar_script_settings', $script_settings );
+
         wp_localize_script(
                 'intl-datetime-calendar-js',
                 'intlDateTimeCalendarSettings',
-                array(
-                        'calendar_type'  => $options['calendar_type'],
-                        'locale'         => $current_locale,
-                        'wp_date_format' => $wp_date_format,
-                        'wp_time_format' => $wp_time_format
-                )
+                $script_settings
         );
     }
 
+    /**
+     * Enqueue the front-end script on the settings page, where it renders the preview.
+     *
+     * @param string $hook_suffix Current admin page.
+     */
+    public function enqueue_admin_scripts( $hook_suffix ) {
+        if ( $hook_suffix !== 'settings_page_intl-datetime-calendar' ) {
+            return;
+        }
+
+        $this->enqueue_scripts();
+    }
+
+    /**
+     * Enqueue the front-end script in the block editor, where it formats the previews of date blocks.
+     *
+     * Block assets are also loaded into the iframed editor canvas.
+     */
+    public function enqueue_editor_scripts() {
+        if ( ! is_admin() || ! $this->is_block_editor() ) {
+            return;
+        }
+
+        $this->enqueue_scripts();
+    }
+
+    /**
+     * Check whether the current admin screen is the block editor.
+     *
+     * @return bool Whether the block editor is loading.
+     */
+    private function is_block_editor() {
+        $screen = function_exists( 'get_current_screen' ) ? get_current_screen() : null;
+
+        return $screen && method_exists( $screen, 'is_block_editor' ) && $screen->is_block_editor();
+    }
+
     /**
      * Filter blocks for datetime elements - Updated to respect custom formats
      */
@@ -393,11 +1076,9 @@ class Intl_DateTime_Calendar {
 
                     if ( $datetime ) {
                         $timestamp = strtotime( $datetime ) * 1000; // Convert to milliseconds
-                        $options   = $this->get_settings();
 
                         $time->setAttribute( 'class', $time->getAttribute( 'class' ) . ' intl-datetime-element' );
                         $time->setAttribute( 'data-intl-datetime', $timestamp );
-                        $time->setAttribute( 'data-calendar', $options['calendar_type'] );
 
                         // If the block has a custom format, use it
                         if ( $block_format ) {
@@ -446,9 +1127,8 @@ class Intl_DateTime_Calendar {
      */
     public function filter_post_date_block( $block_content, $block ) {
         $block_format = isset( $block['attrs']['format'] ) ? $block['attrs']['format'] : null;
-        $options      = $this->get_settings();
 
-        return preg_replace_callback( self::PATTERN_TIME_ELEMENT, function ( $matches ) use ( $block_format, $options ) {
+        return preg_replace_callback( self::PATTERN_TIME_ELEMENT, function ( $matches ) use ( $block_format ) {
             $datetime = $matches[1];
             $content  = $matches[2];
 
@@ -457,7 +1137,6 @@ class Intl_DateTime_Calendar {
             $output = '<time datetime="' . esc_attr( $datetime ) . '" ';
             $output .= 'class="intl-datetime-element" ';
             $output .= 'data-intl-datetime="' . esc_attr( $timestamp ) . '" ';
-            $output .= 'data-calendar="' . esc_attr( $options['calendar_type'] ) . '" ';
 
             if ( $block_format ) {
                 $output .= 'data-date-format="custom" ';
@@ -479,9 +1158,8 @@ class Intl_DateTime_Calendar {
      */
     public function filter_post_time_block( $block_content, $block ) {
         $block_format = isset( $block['attrs']['format'] ) ? $block['attrs']['format'] : null;
-        $options      = $this->get_settings();
 
-        return preg_replace_callback( self::PATTERN_TIME_ELEMENT, function ( $matches ) use ( $block_format, $options ) {
+        return preg_replace_callback( self::PATTERN_TIME_ELEMENT, function ( $matches ) use ( $block_format ) {
             $datetime = $matches[1];
             $content  = $matches[2];
 
@@ -490,7 +1168,6 @@ class Intl_DateTime_Calendar {
             $output = '<time datetime="' . esc_attr( $datetime ) . '" ';
             $output .= 'class="intl-datetime-element" ';
             $output .= 'data-intl-datetime="' . esc_attr( $timestamp ) . '" ';
-            $output .= 'data-calendar="' . esc_attr( $options['calendar_type'] ) . '" ';
             $output .= 'data-date-format="none" ';
 
             if ( $block_format ) {
@@ -514,9 +1191,8 @@ class Intl_DateTime_Calendar {
     public function filter_modified_date_blocks( $block_content, $block ) {
         if ( $block['blockName'] === 'core/post-modified-date' || $block['blockName'] === 'core/post-modified-time' ) {
             $block_format = isset( $block['attrs']['format'] ) ? $block['attrs']['format'] : null;
-            $options      = $this->get_settings();
 
-            return preg_replace_callback( self::PATTERN_TIME_ELEMENT, function ( $matches ) use ( $block, $block_format, $options ) {
+            return preg_replace_callback( self::PATTERN_TIME_ELEMENT, function ( $matches ) use ( $block, $block_format ) {
                 $datetime = $matches[1];
                 $content  = $matches[2];
 
@@ -528,7 +1204,6 @@ class Intl_DateTime_Calendar {
                 $output = '<time datetime="' . esc_attr( $datetime ) . '" ';
                 $output .= 'class="intl-datetime-element" ';
                 $output .= 'data-intl-datetime="' . esc_attr( $timestamp ) . '" ';
-                $output .= 'data-calendar="' . esc_attr( $options['calendar_type'] ) . '" ';
 
                 // Handle date format
                 if ( $isDateBlock ) {
@@ -590,10 +1265,15 @@ class Intl_DateTime_Calendar {
     /**
      * Format a time element for a general WordPress element
      * Helper function to create consistent time element markup
+     *
+     * @param int      $timestamp     Start timestamp in milliseconds.
+     * @param string   $content       Fallback text content.
+     * @param bool     $is_date       Whether to display the date.
+     * @param bool     $is_time       Whether to display the time.
+     * @param int|null $end_timestamp Optional end timestamp in milliseconds, to display a range.
      */
-    public function create_time_element( $timestamp, $content, $is_date = true, $is_time = false ) {
-        $options = $this->get_settings();
-
+    public function create_time_element( $timestamp, $content, $is_date = true, $is_time = false, $end_timestamp = null ) {
+        // No data-calendar: the script uses the site calendar, or the one the visitor chose in the switcher
         $date = new DateTime();
         $date->setTimestamp( $timestamp / 1000 );
         $iso_datetime = $date->format( 'c' ); // ISO 8601 format
@@ -601,7 +1281,11 @@ class Intl_DateTime_Calendar {
         $output = '<time datetime="' . esc_attr( $iso_datetime ) . '" ';
         $output .= 'class="intl-datetime-element" ';
         $output .= 'data-intl-datetime="' . esc_attr( $timestamp ) . '" ';
-        $output .= 'data-calendar="' . esc_attr( $options['calendar_type'] ) . '" ';
+
+        if ( $end_timestamp ) {
+            $output .= 'data-intl-datetime-end="' . esc_attr( $end_timestamp ) . '" ';
+        }
+
         $output .= 'data-date-format="' . esc_attr( $is_date ? 'wp' : 'none' ) . '" ';
         $output .= 'data-time-format="' . esc_attr( $is_time ? 'wp' : 'none' ) . '">';
         $output .= esc_html( $content );
@@ -610,12 +1294,93 @@ class Intl_DateTime_Calendar {
         return $output;
     }
 
+    /**
+     * Format a time element for an ISO 8601 duration
+     *
+     * @param string $duration ISO 8601 duration (e.g., 'PT45M', 'P1DT2H30M').
+     * @param string $style    Duration style: long, short, narrow, or digital.
+     *
+     * @return string Time element, or the escaped duration if it is not valid.
+     */
+    public function create_duration_element( $duration, $style = 'short' ) {
+        $duration = strtoupper( trim( $duration ) );
+        if ( ! preg_match( '/^P(?!$)(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?=\d)(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)(?:[.,]\d+)?S)?)?$/', $duration, $matches ) ) {
+            return esc_html( $duration );
+        }
+
+        if ( ! in_array( $style, array( 'long', 'short', 'narrow', 'digital' ), true ) ) {
+            $style = 'short';
+        }
+
+        // Fallback text until the script formats the duration in the site language
+        $unit_labels = array(
+                /* translators: %s: Number of years. */
+                1 => _n_noop( '%s year', '%s years', 'intl-datetime-calendar' ),
+                /* translators: %s: Number of months. */
+                2 => _n_noop( '%s month', '%s months', 'intl-datetime-calendar' ),
+                /* translators: %s: Number of weeks. */
+                3 => _n_noop( '%s week', '%s weeks', 'intl-datetime-calendar' ),
+                /* translators: %s: Number of days. */
+                4 => _n_noop( '%s day', '%s days', 'intl-datetime-calendar' ),
+                /* translators: %s: Number of hours. */
+                5 => _n_noop( '%s hour', '%s hours', 'intl-datetime-calendar' ),
+                /* translators: %s: Number of minutes. */
+                6 => _n_noop( '%s minute', '%s minutes', 'intl-datetime-calendar' ),
+                /* translators: %s: Number of seconds. */
+                7 => _n_noop( '%s second', '%s seconds', 'intl-datetime-calendar' ),
+        );
+
+        $parts = array();
+        foreach ( $unit_labels as $index => $label ) {
+            if ( isset( $matches[ $index ] ) && $matches[ $index ] !== '' ) {
+                $count   = (int) $matches[ $index ];
+                $parts[] = sprintf( translate_nooped_plural( $label, $count, 'intl-datetime-calendar' ), number_format_i18n( $count ) );
+            }
+        }
+
+        $output = '<time datetime="' . esc_attr( $duration ) . '" ';
+        $output .= 'class="intl-datetime-element" ';
+        $output .= 'data-duration="' . esc_attr( $duration ) . '" ';
+        $output .= 'data-duration-style="' . esc_attr( $style ) . '">';
+        $output .= esc_html( wp_sprintf( '%l', $parts ) );
+        $output .= '</time>';
+
+        return $output;
+    }
+
+    /**
+     * Get the server-side display format for a date, time or datetime.
+     *
+     * @param bool $is_date Whether to display the date.
+     * @param bool $is_time Whether to display the time.
+     *
+     * @return string PHP date format.
+     */
+    private function get_display_format( $is_date, $is_time ) {
+        if ( $is_date && ! $is_time ) {
+            // Date only
+            return $this->get_date_format();
+        } elseif ( ! $is_date && $is_time ) {
+            // Time only
+            return $this->get_time_format();
+        }
+
+        // Both date and time
+        return $this->get_date_format() . ' ' . $this->get_time_format();
+    }
+
     /**
      * Public helper function to generate a time element with proper attributes
      * This can be used directly in themes or other plugins
+     *
+     * @param string $date_string     Date to display.
+     * @param bool   $is_date         Whether to display the date.
+     * @param bool   $is_time         Whether to display the time.
+     * @param string $end_date_string Optional end date, to display a range.
+     *
      * @throws Exception
      */
-    public function format_date( $date_string, $is_date = true, $is_time = false ) {
+    public function format_date( $date_string, $is_date = true, $is_time = false, $end_date_string = '' ) {
         $sanitized_date = $this->sanitize_date_input( $date_string );
         if ( $sanitized_date === false ) {
             return esc_html( $date_string );
@@ -626,19 +1391,21 @@ class Intl_DateTime_Calendar {
             return esc_html( $date_string );
         }
 
-        $date_obj = new DateTime( $sanitized_date );
-        if ( $is_date && ! $is_time ) {
-            // Date only
-            $display_content = $date_obj->format( $this->get_date_format() );
-        } elseif ( ! $is_date && $is_time ) {
-            // Time only
-            $display_content = $date_obj->format( $this->get_time_format() );
-        } else {
-            // Both date and time
-            $display_content = $date_obj->format( $this->get_date_format() . ' ' . $this->get_time_format() );
+        $date_obj        = new DateTime( $sanitized_date );
+        $display_format  = $this->get_display_format( $is_date, $is_time );
+        $display_content = $date_obj->format( $display_format );
+
+        $end_timestamp = null;
+        if ( $end_date_string !== '' ) {
+            $sanitized_end_date = $this->sanitize_date_input( $end_date_string );
+            if ( $sanitized_end_date !== false && strtotime( $sanitized_end_date ) ) {
+                $end_timestamp   = strtotime( $sanitized_end_date ) * 1000;
+                $end_date_obj    = new DateTime( $sanitized_end_date );
+                $display_content .= ' – ' . $end_date_obj->format( $display_format );
+            }
         }
 
-        return $this->create_time_element( $timestamp, $display_content, $is_date, $is_time );
+        return $this->create_time_element( $timestamp, $display_content, $is_date, $is_time, $end_timestamp );
     }
 
     /**
@@ -647,22 +1414,186 @@ class Intl_DateTime_Calendar {
      * [intl_datetime date="2025-05-04" type="date"]
      * [intl_datetime date="2025-05-04 12:30:45" type="datetime"]
      * [intl_datetime date="12:30:45" type="time"]
+     * [intl_datetime date="2025-05-04" end="2025-05-06" type="date"]
+     * [intl_datetime duration="PT1H30M" type="duration" style="long"]
      */
     public function intl_datetime_shortcode( $atts ) {
         $atts = shortcode_atts( array(
-                'date' => current_time( 'mysql' ),
-                'type' => 'date', // date, time, or datetime
+                'date'     => current_time( 'mysql' ),
+                'end'      => '', // Optional end date for a range
+                'type'     => 'date', // date, time, datetime, or duration
+                'duration' => '', // ISO 8601 duration, for the duration type
+                'style'    => 'short', // Duration style: long, short, narrow, or digital
         ), $atts, 'intl_datetime' );
 
-        $allowed_types = array( 'date', 'time', 'datetime' );
+        $allowed_types = array( 'date', 'time', 'datetime', 'duration' );
         if ( ! in_array( $atts['type'], $allowed_types, true ) ) {
             $atts['type'] = 'date';
         }
 
+        if ( $atts['type'] === 'duration' ) {
+            return $this->create_duration_element( $atts['duration'], $atts['style'] );
+        }
+
         $is_date = $atts['type'] === 'date' || $atts['type'] === 'datetime';
         $is_time = $atts['type'] === 'time' || $atts['type'] === 'datetime';
 
-        return $this->format_date( $atts['date'], $is_date, $is_time );
+        return $this->format_date( $atts['date'], $is_date, $is_time, $atts['end'] );
+    }
+
+    /**
+     * Get the locales offered by the visitor switcher.
+     *
+     * @param string $locales Comma-separated locales, or empty for the site locale and installed languages.
+     *
+     * @return array Locales in Intl format (e.g., 'th-TH').
+     */
+    private function get_switcher_locales( $locales ) {
+        if ( trim( $locales ) === '' ) {
+            $locales = array_merge( array( get_locale(), 'en_US' ), get_available_languages() );
+        } else {
+            $locales = explode( ',', $locales );
+        }
+
+        $valid_locales = array();
+        foreach ( $locales as $locale ) {
+            $locale = str_replace( '_', '-', trim( $locale ) );
+            if ( preg_match( '/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/', $locale ) ) {
+                $valid_locales[] = $locale;
+            }
+        }
+
+        return array_values( array_unique( $valid_locales ) );
+    }
+
+    /**
+     * Create a shortcode for the visitor calendar, language and digits switcher
+     *
+     * [intl_datetime_switcher]
+     * [intl_datetime_switcher fields="calendar,numbering_system"]
+     * [intl_datetime_switcher locales="th-TH,en-US,ja-JP"]
+     */
+    public function intl_datetime_switcher_shortcode( $atts ) {
+        $atts = shortcode_atts( array(
+                'fields'  => 'calendar,locale,numbering_system',
+                'locales' => '', // Defaults to the site locale and installed languages
+        ), $atts, 'intl_datetime_switcher' );
+
+        $labels = array(
+                'calendar'         => __( 'Calendar', 'intl-datetime-calendar' ),
+                'locale'           => __( 'Language', 'intl-datetime-calendar' ),
+                'numbering_system' => __( 'Digits', 'intl-datetime-calendar' ),
+        );
+
+        $fields = array_intersect( array_map( 'trim', explode( ',', $atts['fields'] ) ), array_keys( $labels ) );
+        if ( empty( $fields ) ) {
+            return '';
+        }
+
+        // Calendars are replaced with those the visitor's browser supports, and languages named in themselves
+        $locales = $this->get_switcher_locales( $atts['locales'] );
+        $choices = array(
+                'calendar'         => $this->get_calendar_types(),
+                'locale'           => array_combine( $locales, $locales ),
+                'numbering_system' => $this->get_numbering_systems(),
+        );
+
+        $output = '<div class="intl-datetime-switcher">';
+        foreach ( $fields as $field ) {
+            $output .= '<label class="intl-datetime-switcher-field">' . esc_html( $labels[ $field ] ) . ' ';
+            $output .= '<select data-intl-switcher="' . esc_attr( $field ) . '">';
+            $output .= '<option value="">' . esc_html__( 'Site default', 'intl-datetime-calendar' ) . '</option>';
+            foreach ( $choices[ $field ] as $value => $label ) {
+                $output .= '<option value="' . esc_attr( $value ) . '">' . esc_html( $label ) . '</option>';
+            }
+            $output .= '</select></label> ';
+        }
+        $output .= '</div>';
+
+        return $output;
+    }
+
+    /**
+     * Get links to the days with published posts around a month.
+     *
+     * @param string $date Gregorian date (Y-m-d) in the month.
+     *
+     * @return array Day archive URLs keyed by Gregorian date (Y-m-d).
+     */
+    private function get_calendar_grid_posts( $date ) {
+        global $wpdb;
+
+        $month  = substr( $date, 0, 7 );
+        $cached = get_transient( self::CALENDAR_GRID_POSTS_TRANSIENT );
+        $cached = is_array( $cached ) ? $cached : array();
+        if ( isset( $cached[ $month ] ) ) {
+            return $cached[ $month ];
+        }
+
+        // Months of other calendars straddle Gregorian months, and visitors can page to nearby months
+        $month_start = strtotime( $month . '-01' );
+        $days        = $wpdb->get_col( $wpdb->prepare(
+                "SELECT DISTINCT DATE(post_date) FROM $wpdb->posts
+                WHERE post_type = 'post' AND post_status = 'publish' AND post_date >= %s AND post_date < %s",
+                gmdate( 'Y-m-d', strtotime( '-6 months', $month_start ) ),
+                gmdate( 'Y-m-d', strtotime( '+7 months', $month_start ) )
+        ) );
+
+        $posts = array();
+        foreach ( $days as $day ) {
+            list( $year, $month_of_year, $day_of_month ) = explode( '-', $day );
+            $posts[ $day ] = get_day_link( $year, $month_of_year, $day_of_month );
+        }
+
+        $cached[ $month ] = $posts;
+        set_transient( self::CALENDAR_GRID_POSTS_TRANSIENT, $cached, DAY_IN_SECONDS );
+
+        return $posts;
+    }
+
+    /**
+     * Clear the cached day archive links of month calendar grids when a post is saved or deleted.
+     */
+    public function clear_calendar_grid_posts() {
+        delete_transient( self::CALENDAR_GRID_POSTS_TRANSIENT );
+    }
+
+    /**
+     * Create a shortcode for a month calendar grid
+     *
+     * [intl_calendar_grid]
+     * [intl_calendar_grid date="2024-12-15" calendar="hebrew"]
+     * [intl_calendar_grid calendar="persian" locale="fa-IR" posts="no"]
+     */
+    public function intl_calendar_grid_shortcode( $atts ) {
+        $atts = shortcode_atts( array(
+                'date'             => current_time( 'Y-m-d' ), // Any Gregorian date in the month to show
+                'calendar'         => '',
+                'locale'           => '',
+                'numbering_system' => '',
+                'posts'            => 'yes', // Link days with published posts to their archives
+        ), $atts, 'intl_calendar_grid' );
+
+        $date      = $this->sanitize_date_input( $atts['date'] );
+        $timestamp = $date ? strtotime( $date ) : false;
+        $date      = $timestamp !== false ? gmdate( 'Y-m-d', $timestamp ) : current_time( 'Y-m-d' );
+
+        $output = '<div class="intl-calendar-grid" data-intl-calendar-grid="' . esc_attr( $date ) . '"';
+        if ( array_key_exists( $atts['calendar'], $this->get_calendar_types() ) ) {
+            $output .= ' data-calendar="' . esc_attr( $atts['calendar'] ) . '"';
+        }
+        if ( $atts['locale'] !== '' ) {
+            $output .= ' data-locale="' . esc_attr( str_replace( '_', '-', $atts['locale'] ) ) . '"';
+        }
+        if ( array_key_exists( $atts['numbering_system'], $this->get_numbering_systems() ) ) {
+            $output .= ' data-numbering-system="' . esc_attr( $atts['numbering_system'] ) . '"';
+        }
+        if ( $atts['posts'] === 'yes' ) {
+            $output .= ' data-posts="' . esc_attr( wp_json_encode( $this->get_calendar_grid_posts( $date ) ) ) . '"';
+        }
+        $output .= '></div>';
+
+        return $output;
     }
 }
 
@@ -0,0 +1,27 @@
+/**
+ * Intl DateTime Calendar Plugin JavaScript (ES module entry)
+ *
+ * Loads the classic script for its side effects and re-exports the
+ * window.IntlDateTimeCalendar namespace it registers.
+ */
+import './intl-datetime-calendar.js';
+
+const api = window.IntlDateTimeCalendar;
+
+export const format = api.format;
+export const formatPhp = api.formatPhp;
+export const checkPhpFormat = api.checkPhpFormat;
+export const formatRange = api.formatRange;
+export const formatRelative = api.formatRelative;
+export const formatCountdown = api.formatCountdown;
+export const formatDuration = api.formatDuration;
+export const renderCalendarGrid = api.renderCalendarGrid;
+export const refresh = api.refresh;
+export const rerender = api.rerender;
+export const configure = api.configure;
+export const addHook = api.addHook;
+export const removeHook = api.removeHook;
+export const getCacheStats = api.getCacheStats;
+export const destroy = api.destroy;
+
+export default api;
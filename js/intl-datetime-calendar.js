@@ -6,7 +6,393 @@
 (function () {
     'use strict';
 
-    const formatterCache = new Map();
+    /**
+     * Default number of entries kept in the formatter cache
+     */
+    const DEFAULT_FORMATTER_CACHE_SIZE = 200;
+
+    /**
+     * Intl formatters and values derived from them, least recently used first
+     * @type {{get: Function, resize: Function, clear: Function, stats: Function}}
+     */
+    const formatterCache = createLruCache(DEFAULT_FORMATTER_CACHE_SIZE);
+
+    /**
+     * Settings overrides applied at runtime through the public API
+     * @type {Object}
+     */
+    let runtimeSettings = {};
+
+    /**
+     * Active observers, kept so they can be torn down
+     * @type {MutationObserver|null}
+     */
+    let observer = null;
+    /** @type {IntersectionObserver|null} */
+    let intersectionObserver = null;
+
+    /**
+     * Elements waiting to be formatted in the next idle period
+     * @type {Set<HTMLElement>}
+     */
+    const pendingElements = new Set();
+    let idleHandle = null;
+
+    /**
+     * Elements rendered as relative time, refreshed by a shared timer
+     * @type {Set<HTMLElement>}
+     */
+    const relativeTimeElements = new Set();
+    let relativeTimeTimer = null;
+    let relativeTimeDue = 0;
+
+    /**
+     * Callbacks registered through addHook(), by hook name
+     * @type {Object<string, Array<{callback: Function, priority: number}>>}
+     */
+    const hooks = {
+        beforeFormat: [],
+        formatOptions: [],
+        formattedValue: [],
+        afterRender: []
+    };
+
+    /**
+     * Validation results for time zone identifiers
+     * @type {Map<string, boolean>}
+     */
+    const timeZoneCache = new Map();
+
+    /**
+     * Validation results for numbering system identifiers
+     * @type {Map<string, boolean>}
+     */
+    const numberingSystemCache = new Map();
+
+    /**
+     * Calendars actually used for requested calendars, after following fallback chains
+     * @type {Map<string, string>}
+     */
+    const calendarCache = new Map();
+
+    /**
+     * Resolved locales for per-element locale requests
+     * @type {Map<string, string|null>}
+     */
+    const localeCache = new Map();
+
+    /**
+     * Milliseconds in a day
+     */
+    const DAY_MS = 86400000;
+
+    /**
+     * Ordinal suffixes for the PHP 'S' character, by language and Intl.PluralRules ordinal category
+     */
+    const ORDINAL_SUFFIXES = {
+        en: {one: 'st', two: 'nd', few: 'rd', other: 'th'},
+        fr: {one: 'er', other: ''}
+    };
+
+    /**
+     * English names used by the fallback formatter when no locale data pack is loaded
+     */
+    const DEFAULT_LOCALE_DATA = {
+        months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+        monthsShort: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+        weekdays: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+        weekdaysShort: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+        dayPeriods: ['AM', 'PM']
+    };
+
+    /**
+     * Elements the script formats, including month grid mount points
+     */
+    const ELEMENT_SELECTOR = '.intl-datetime-element:not([data-intl-processed]), .intl-datetime-auto:not([data-intl-processed]), ' +
+        '[data-intl-calendar-grid]:not([data-intl-processed])';
+
+    /**
+     * Navigation labels of month grids, when the server does not provide translations
+     */
+    const DEFAULT_CALENDAR_GRID_LABELS = {
+        navigation: 'Previous and next months',
+        previous: 'Previous month',
+        next: 'Next month'
+    };
+
+    /**
+     * Calendars to try, in order, when the browser does not support a calendar (Gregorian is always last)
+     */
+    const DEFAULT_CALENDAR_FALLBACKS = {
+        'islamic-rgsa': ['islamic-umalqura', 'islamic'],
+        'islamic-umalqura': ['islamic'],
+        'islamic-tbla': ['islamic-civil', 'islamic'],
+        'islamic-civil': ['islamic-tbla', 'islamic'],
+        'ethioaa': ['ethiopic'],
+        'dangi': ['chinese']
+    };
+
+    /**
+     * Deprecated calendar identifiers that engines report under their canonical name
+     */
+    const CALENDAR_ALIASES = {
+        'islamicc': 'islamic-civil',
+        'ethiopic-amete-alem': 'ethioaa'
+    };
+
+    /**
+     * ISO 8601 date, optionally followed by a time and a UTC offset (e.g., '2024-12-15', '2024-12-15T10:00+07:00')
+     */
+    const ISO_DATETIME_PATTERN = /^([+-]\d{6}|\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?)?$/i;
+
+    /**
+     * ISO 8601 duration, with an optional fraction of a second (e.g., 'PT45M', 'P1DT2H30M', 'PT1.5S')
+     */
+    const ISO_DURATION_PATTERN = /^P(?!$)(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?=\d)(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)(?:[.,](\d+))?S)?)?$/i;
+
+    /**
+     * Duration units from largest to smallest, as named by Intl.DurationFormat
+     */
+    const DURATION_UNITS = ['years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds', 'milliseconds'];
+
+    /**
+     * localStorage key of the visitor's switcher choices, and the settings each choice overrides
+     */
+    const PREFERENCES_KEY = 'intlDateTimeCalendarPreferences';
+    const PREFERENCE_SETTINGS = {
+        calendar: 'calendar_type',
+        locale: 'locale',
+        numbering_system: 'numbering_system'
+    };
+
+    /**
+     * Blocks whose previews are formatted in the block editor, and the part of the date they show
+     */
+    const EDITOR_BLOCK_TYPES = {
+        'core/post-date': 'date',
+        'core/post-time': 'time',
+        'core/post-modified-date': 'date',
+        'core/post-modified-time': 'time',
+        'core/latest-posts': 'date',
+        'core/latest-comments': 'date'
+    };
+
+    /**
+     * Text last written into each block preview date, to tell the editor's re-renders from our own
+     * @type {WeakMap<HTMLElement, string>}
+     */
+    const editorTexts = new WeakMap();
+
+    /**
+     * Tag name of the custom element, and the attributes it re-renders on
+     */
+    const CUSTOM_ELEMENT_NAME = 'intl-datetime';
+    const CUSTOM_ELEMENT_ATTRIBUTES = [
+        'datetime', 'end', 'calendar', 'locale', 'format', 'date-style', 'time-style', 'time-zone',
+        'numbering-system', 'secondary-calendar', 'secondary-display', 'render', 'accessible-label'
+    ];
+
+    /**
+     * Elements whose content the script writes, so <time> elements inside them (such as the
+     * intl-datetime-value wrapper or month grid days) are not dates of their own
+     */
+    const RENDERED_CONTAINER_SELECTOR = '[data-intl-processed], .intl-datetime-element, .intl-datetime-auto, ' +
+        '[data-intl-calendar-grid], ' + CUSTOM_ELEMENT_NAME;
+
+    /**
+     * Inline styles that hide the full date read to screen readers, for themes without a screen-reader-text class
+     */
+    const VISUALLY_HIDDEN_STYLE = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;' +
+        'clip:rect(0,0,0,0);white-space:nowrap;border:0';
+
+    /**
+     * Separator between both ends of a date range when formatRange cannot be used
+     */
+    const RANGE_SEPARATOR = ' \u2013 ';
+
+    /**
+     * Values accepted for the dateStyle and timeStyle presets
+     */
+    const VALID_STYLES = ['full', 'long', 'medium', 'short'];
+
+    /**
+     * Default upper bounds (exclusive) for each relative time unit before moving to the next one
+     */
+    const DEFAULT_RELATIVE_THRESHOLDS = {
+        second: 45,  // seconds
+        minute: 45,  // minutes
+        hour: 22,    // hours
+        day: 26,     // days
+        month: 11    // months
+    };
+
+    /**
+     * Create a cache that evicts its least recently used entries beyond a maximum size
+     * @param {number} maxSize - Maximum number of entries
+     * @returns {{get: Function, resize: Function, clear: Function, stats: Function}} Cache
+     */
+    function createLruCache(maxSize) {
+        // Map iterates in insertion order, so re-inserting an entry on use keeps the oldest first
+        const entries = new Map();
+        let hits = 0;
+        let misses = 0;
+
+        const evict = function () {
+            while (entries.size > maxSize) {
+                entries.delete(entries.keys().next().value);
+            }
+        };
+
+        return {
+            /**
+             * Get a cached value, creating and storing it on a miss
+             * @param {string} key - Cache key
+             * @param {Function} create - Creates the value; nothing is stored if it throws
+             * @returns {*} Cached value
+             */
+            get: function (key, create) {
+                if (entries.has(key)) {
+                    const value = entries.get(key);
+                    entries.delete(key);
+                    entries.set(key, value);
+                    hits++;
+                    return value;
+                }
+
+                misses++;
+                const value = create();
+                entries.set(key, value);
+                evict();
+                return value;
+            },
+
+            /**
+             * Change the maximum size, evicting entries if needed
+             * @param {number} size - Maximum number of entries
+             */
+            resize: function (size) {
+                maxSize = Math.max(1, parseInt(size, 10) || DEFAULT_FORMATTER_CACHE_SIZE);
+                evict();
+            },
+
+            /**
+             * Remove all entries and reset the counters
+             */
+            clear: function () {
+                entries.clear();
+                hits = 0;
+                misses = 0;
+            },
+
+            /**
+             * @returns {{size: number, maxSize: number, hits: number, misses: number}} Cache statistics
+             */
+            stats: function () {
+                return {size: entries.size, maxSize: maxSize, hits: hits, misses: misses};
+            }
+        };
+    }
+
+    /**
+     * Build a cache key from a locale and an options object that does not depend on property order
+     * @param {string} locale - Locale string
+     * @param {Object} [options] - Options; undefined values are ignored
+     * @returns {string} Cache key
+     */
+    function getCacheKey(locale, options) {
+        options = options || {};
+
+        // Locale identifiers are case-insensitive
+        return String(locale).toLowerCase() + '|' + Object.keys(options).sort().filter(function (key) {
+            return options[key] !== undefined;
+        }).map(function (key) {
+            return key + '=' + options[key];
+        }).join(',');
+    }
+
+    /**
+     * Register a callback for one of the formatting hooks
+     *
+     * Filters (beforeFormat, formatOptions, formattedValue) receive the current value and a context
+     * object and return the new value; returning undefined keeps the value unchanged. afterRender
+     * is an action called with the rendered element and its context.
+     *
+     * @param {string} name - Hook name: 'beforeFormat', 'formatOptions', 'formattedValue' or 'afterRender'
+     * @param {Function} callback - Callback to run
+     * @param {number} [priority=10] - Callbacks with a lower priority run first
+     * @returns {Function} Function that removes the callback again
+     */
+    function addHook(name, callback, priority) {
+        if (!hooks[name]) {
+            throw new Error('[Intl DateTime Calendar] Unknown hook: ' + name);
+        }
+        if (typeof callback !== 'function') {
+            throw new TypeError('[Intl DateTime Calendar] Hook callback must be a function');
+        }
+
+        hooks[name].push({callback: callback, priority: typeof priority === 'number' ? priority : 10});
+        // Array.prototype.sort is stable, so callbacks with the same priority keep their order
+        hooks[name].sort(function (a, b) {
+            return a.priority - b.priority;
+        });
+
+        return function () {
+            removeHook(name, callback);
+        };
+    }
+
+    /**
+     * Remove a callback registered with addHook()
+     * @param {string} name - Hook name
+     * @param {Function} callback - Callback to remove
+     */
+    function removeHook(name, callback) {
+        if (hooks[name]) {
+            hooks[name] = hooks[name].filter(function (hook) {
+                return hook.callback !== callback;
+            });
+        }
+    }
+
+    /**
+     * Pass a value through the callbacks registered for a filter hook
+     * @param {string} name - Hook name
+     * @param {*} value - Value to filter
+     * @param {Object} context - Context passed to every callback
+     * @returns {*} Filtered value
+     */
+    function applyFilters(name, value, context) {
+        hooks[name].forEach(function (hook) {
+            try {
+                const result = hook.callback(value, context);
+                if (result !== undefined) {
+                    value = result;
+                }
+            } catch (e) {
+                console.error('[Intl DateTime Calendar] Error in ' + name + ' hook:', e);
+            }
+        });
+        return value;
+    }
+
+    /**
+     * Run afterRender callbacks and dispatch an intl-datetime:rendered event on the element
+     * @param {HTMLElement} el - Rendered element
+     * @param {Object} context - Render context (timestamp, endTimestamp, settings, value)
+     */
+    function notifyRendered(el, context) {
+        hooks.afterRender.forEach(function (hook) {
+            try {
+                hook.callback(el, context);
+            } catch (e) {
+                console.error('[Intl DateTime Calendar] Error in afterRender hook:', e);
+            }
+        });
+
+        if (typeof CustomEvent === 'function') {
+            el.dispatchEvent(new CustomEvent('intl-datetime:rendered', {bubbles: true, detail: context}));
+        }
+    }
 
     /**
      * Check if browser supports Intl API with necessary features
@@ -36,15 +422,42 @@
      * @returns {Intl.DateTimeFormat} The formatter object
      */
     function getFormatter(locale, options) {
-        const cacheKey = locale + '|' + JSON.stringify(options);
-
-        if (!formatterCache.has(cacheKey)) {
-            formatterCache.set(cacheKey, new Intl.DateTimeFormat(locale, options));
-        }
-
-        return formatterCache.get(cacheKey);
+        return formatterCache.get('date|' + getCacheKey(locale, options), function () {
+            return new Intl.DateTimeFormat(locale, options);
+        });
     }
 
+    /**
+     * PHP format characters and their Intl equivalent options, used when WordPress formats follow the locale layout
+     */
+    const PHP_INTL_OPTIONS = {
+        // Year
+        'Y': {year: 'numeric'},          // 2023
+        'y': {year: '2-digit'},          // 23
+
+        // Month
+        'F': {month: 'long'},            // January
+        'M': {month: 'short'},           // Jan
+        'm': {month: '2-digit'},         // 01
+        'n': {month: 'numeric'},         // 1
+
+        // Day
+        'd': {day: '2-digit'},           // 01
+        'j': {day: 'numeric'},           // 1
+        'D': {weekday: 'short'},         // Mon
+        'l': {weekday: 'long'},          // Monday
+
+        // Time
+        'g': {hour: 'numeric', hour12: true},       // 1-12
+        'h': {hour: '2-digit', hour12: true},       // 01-12
+        'G': {hour: 'numeric', hour12: false},      // 0-23
+        'H': {hour: '2-digit', hour12: false},      // 00-23
+        'i': {minute: '2-digit'},                   // 00-59
+        's': {second: '2-digit'},                   // 00-59
+        'a': {hour12: true, hourCycle: 'h12'},      // am/pm
+        'A': {hour12: true, hourCycle: 'h12'}       // AM/PM
+    };
+
     /**
      * Converts WordPress PHP date format to Intl.DateTimeFormat options
      *
@@ -70,574 +483,3108 @@
             return options;
         }
 
-        // PHP format characters and their Intl equivalent options
-        const formatMap = {
-            // Year
-            'Y': {year: 'numeric'},          // 2023
-            'y': {year: '2-digit'},          // 23
+        // Check for specific format patterns
+        for (const char in PHP_INTL_OPTIONS) {
+            if (PHP_INTL_OPTIONS.hasOwnProperty(char) && phpFormat.includes(char)) {
+                Object.assign(options, PHP_INTL_OPTIONS[char]);
+            }
+        }
 
-            // Month
-            'F': {month: 'long'},            // January
-            'M': {month: 'short'},           // Jan
-            'm': {month: '2-digit'},         // 01
-            'n': {month: 'numeric'},         // 1
+        return options;
+    }
 
-            // Day
-            'd': {day: '2-digit'},           // 01
-            'j': {day: 'numeric'},           // 1
-            'D': {weekday: 'short'},         // Mon
-            'l': {weekday: 'long'},          // Monday
+    /**
+     * Resolve a time zone setting to an IANA identifier usable by Intl
+     * @param {string} timeZone - IANA time zone, or 'visitor'/empty for the browser's zone
+     * @returns {string|undefined} Valid time zone, or undefined for the browser's zone
+     */
+    function resolveTimeZone(timeZone) {
+        if (!timeZone || timeZone === 'visitor') {
+            return undefined;
+        }
 
-            // Time
-            'g': {hour: 'numeric', hour12: true},       // 1-12
-            'h': {hour: '2-digit', hour12: true},       // 01-12
-            'G': {hour: 'numeric', hour12: false},      // 0-23
-            'H': {hour: '2-digit', hour12: false},      // 00-23
-            'i': {minute: '2-digit'},                   // 00-59
-            's': {second: '2-digit'},                   // 00-59
-            'a': {hour12: true, hourCycle: 'h12'},      // am/pm
-            'A': {hour12: true, hourCycle: 'h12'}       // AM/PM
-        };
+        if (!timeZoneCache.has(timeZone)) {
+            try {
+                new Intl.DateTimeFormat('en', {timeZone: timeZone});
+                timeZoneCache.set(timeZone, true);
+            } catch (e) {
+                console.warn('[Intl DateTime Calendar] Unsupported time zone, using visitor time zone:', timeZone);
+                timeZoneCache.set(timeZone, false);
+            }
+        }
 
-        // Check for specific format patterns
-        for (const char in formatMap) {
-            if (formatMap.hasOwnProperty(char) && phpFormat.includes(char)) {
-                Object.assign(options, formatMap[char]);
+        return timeZoneCache.get(timeZone) ? timeZone : undefined;
+    }
+
+    /**
+     * Check whether the browser implements a calendar rather than silently substituting another one
+     * @param {string} calendar - Calendar identifier
+     * @returns {boolean} Whether dates can be formatted in the calendar
+     */
+    function isCalendarSupported(calendar) {
+        try {
+            // Engines substitute calendars they lack (e.g., 'islamic-rgsa' as 'islamic'), but report aliases by their canonical name
+            const resolved = new Intl.DateTimeFormat('en', {calendar: calendar}).resolvedOptions().calendar;
+            return resolved === calendar || resolved === CALENDAR_ALIASES[calendar];
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Get the calendar to format in, following the fallback chain of unsupported calendars
+     * @param {string} calendar - Requested calendar identifier
+     * @returns {string} The requested calendar (by its canonical name), or the first supported fallback ('gregory' at the latest)
+     */
+    function resolveCalendar(calendar) {
+        if (!calendar) {
+            return calendar;
+        }
+
+        if (!calendarCache.has(calendar)) {
+            const fallbacks = Object.assign({}, DEFAULT_CALENDAR_FALLBACKS, getSettings().calendar_fallbacks)[calendar] || [];
+            const supported = [calendar].concat(fallbacks).find(isCalendarSupported) || 'gregory';
+
+            if (supported !== calendar) {
+                console.warn('[Intl DateTime Calendar] Unsupported calendar, using ' + supported + ' instead:', calendar);
             }
+            calendarCache.set(calendar, CALENDAR_ALIASES[supported] || supported);
         }
 
-        return options;
+        return calendarCache.get(calendar);
     }
 
     /**
-     * Format a date using a custom PHP format string leveraging Intl API
-     *
-     * @param {Date} date - JavaScript date object
-     * @param {String} format - PHP date format string
-     * @param {String} locale - Locale string (e.g., 'th-TH', 'en-US')
-     * @param {String} calendar - Calendar type (e.g., 'buddhist', 'gregory')
-     * @returns {String} Formatted date string
+     * Validate a numbering system against those supported by the browser
+     * @param {string} numberingSystem - Numbering system identifier (e.g., 'thai', 'latn', 'arabext')
+     * @returns {string|undefined} Valid numbering system, or undefined for the locale's default
      */
-    function formatDateWithCustomFormat(date, format, locale, calendar) {
-        if (!date || !format) {
-            return '';
+    function resolveNumberingSystem(numberingSystem) {
+        if (!numberingSystem) {
+            return undefined;
         }
 
-        const getFormatterFor = function (formatChar, extraOptions) {
-            extraOptions = extraOptions || {};
-            const cacheKey = formatChar + '|' + locale + '|' + calendar + '|' + JSON.stringify(extraOptions);
-
-            if (!formatterCache.has(cacheKey)) {
-                const options = Object.assign({calendar: calendar}, extraOptions);
-
-                switch (formatChar) {
-                    // Year formatters
-                    case 'Y':
-                        options.year = 'numeric';
-                        break;
-                    case 'y':
-                        options.year = '2-digit';
-                        break;
-
-                    // Month formatters
-                    case 'F':
-                        options.month = 'long';
-                        break;
-                    case 'M':
-                        options.month = 'short';
-                        break;
-                    case 'm':
-                        options.month = '2-digit';
-                        break;
-                    case 'n':
-                        options.month = 'numeric';
-                        break;
-
-                    // Day formatters
-                    case 'd':
-                        options.day = '2-digit';
-                        break;
-                    case 'j':
-                        options.day = 'numeric';
-                        break;
-                    case 'D':
-                        options.weekday = 'short';
-                        break;
-                    case 'l':
-                        options.weekday = 'long';
-                        break;
-
-                    // Time formatters
-                    case 'a':
-                    case 'A':
-                        options.hour = 'numeric';
-                        options.hour12 = true;
-                        break;
-                    case 'g':
-                        options.hour = 'numeric';
-                        options.hour12 = true;
-                        break;
-                    case 'h':
-                        options.hour = '2-digit';
-                        options.hour12 = true;
-                        break;
-                    case 'G':
-                        options.hour = 'numeric';
-                        options.hour12 = false;
-                        break;
-                    case 'H':
-                        options.hour = '2-digit';
-                        options.hour12 = false;
-                        break;
-                    case 'i':
-                        options.minute = '2-digit';
-                        break;
-                    case 's':
-                        options.second = '2-digit';
-                        break;
+        if (!numberingSystemCache.has(numberingSystem)) {
+            let supported = false;
+            try {
+                if (typeof Intl.supportedValuesOf === 'function') {
+                    supported = Intl.supportedValuesOf('numberingSystem').indexOf(numberingSystem) !== -1;
+                } else {
+                    supported = new Intl.NumberFormat('en', {numberingSystem: numberingSystem}).resolvedOptions().numberingSystem === numberingSystem;
                 }
+            } catch (e) {
+                // Invalid identifier
+            }
 
-                formatterCache.set(cacheKey, new Intl.DateTimeFormat(locale, options));
+            if (!supported) {
+                console.warn('[Intl DateTime Calendar] Unsupported numbering system, using locale default:', numberingSystem);
             }
+            numberingSystemCache.set(numberingSystem, supported);
+        }
 
-            return formatterCache.get(cacheKey);
-        };
+        return numberingSystemCache.get(numberingSystem) ? numberingSystem : undefined;
+    }
 
-        // Handle day of week numerical value separately - can't use Intl API for this
-        const dayOfWeekMap = {
-            'w': date.getDay(), // 0-6 (Sunday is 0)
-            'N': date.getDay() === 0 ? 7 : date.getDay() // 1-7 (Monday is 1, Sunday is 7)
-        };
+    /**
+     * Get the numbering system digits are rendered in for a locale
+     * @param {string} locale - Locale string
+     * @param {string|undefined} numberingSystem - Resolved numbering system override
+     * @returns {string} Numbering system identifier
+     */
+    function getEffectiveNumberingSystem(locale, numberingSystem) {
+        if (numberingSystem) {
+            return numberingSystem;
+        }
 
-        // Special case for Buddhist years when using Thai locale
-        const isThai = locale && locale.indexOf('th') === 0;
-        const isBuddhist = calendar === 'buddhist';
+        try {
+            return getFormatter(locale, {}).resolvedOptions().numberingSystem;
+        } catch (e) {
+            return 'latn';
+        }
+    }
 
-        // Process each character in the format string
-        let result = '';
-        let i = 0;
-        while (i < format.length) {
-            let char = format.charAt(i);
-
-            // Handle special cases for Thai Buddhist calendar
-            if (isThai && isBuddhist && (char === 'B' || char === 'b')) {
-                if (char === 'B') {
-                    result += String(date.getFullYear() + 543);
-                } else {
-                    result += String(date.getFullYear() + 543).slice(-2); // 2 digits
-                }
-                i++;
-                continue;
+    /**
+     * Replace ASCII digits with the digits of a numbering system
+     * @param {string} text - Text containing ASCII digits
+     * @param {string} numberingSystem - Numbering system identifier
+     * @returns {string} Text with localized digits
+     */
+    function localizeDigits(text, numberingSystem) {
+        text = String(text);
+        if (!numberingSystem || numberingSystem === 'latn') {
+            return text;
+        }
+
+        const digits = formatterCache.get('digits|' + numberingSystem, function () {
+            try {
+                const numberFormat = new Intl.NumberFormat('en', {numberingSystem: numberingSystem, useGrouping: false});
+                return '0123456789'.split('').map(function (digit) {
+                    return numberFormat.format(parseInt(digit, 10));
+                });
+            } catch (e) {
+                // Keep ASCII digits
+                return null;
+            }
+        });
+        return digits ? text.replace(/[0-9]/g, function (digit) {
+            return digits[digit];
+        }) : text;
+    }
+
+    /**
+     * Shift a date so its local getters return the wall-clock time of a time zone
+     * @param {Date} date - Date to convert
+     * @param {string|undefined} timeZone - Resolved time zone, or undefined for the browser's zone
+     * @returns {Date} Date whose getFullYear(), getHours() etc. match the time zone
+     */
+    function toZonedWallClock(date, timeZone) {
+        if (!timeZone) {
+            return date;
+        }
+
+        try {
+            const values = {};
+            getFormatter('en-US', {
+                timeZone: timeZone,
+                calendar: 'gregory',
+                numberingSystem: 'latn',
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }).formatToParts(date).forEach(function (part) {
+                values[part.type] = parseInt(part.value, 10);
+            });
+
+            const wallClock = new Date(values.year, values.month - 1, values.day, values.hour, values.minute, values.second, date.getMilliseconds());
+            wallClock.setFullYear(values.year); // Years 0-99 would otherwise map to 1900-1999
+            return wallClock;
+        } catch (e) {
+            return date;
+        }
+    }
+
+    /**
+     * Get the UTC offset of a time zone at a given moment
+     * @param {Date} date - Moment to check
+     * @param {string|undefined} timeZone - Resolved time zone, or undefined for the browser's zone
+     * @returns {number} Offset in minutes east of UTC
+     */
+    function getTimeZoneOffset(date, timeZone) {
+        if (!timeZone) {
+            return -date.getTimezoneOffset();
+        }
+
+        try {
+            const offsetPart = getFormatter('en-US', {timeZone: timeZone, timeZoneName: 'longOffset'})
+                .formatToParts(date)
+                .find(function (part) {
+                    return part.type === 'timeZoneName';
+                });
+            const match = offsetPart && offsetPart.value.match(/^GMT(?:([+-])(\d{1,2})(?::?(\d{2}))?)?$/);
+            if (match) {
+                const minutes = match[1] ? parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10) : 0;
+                return match[1] === '-' ? -minutes : minutes;
             }
+        } catch (e) {
+            // 'longOffset' is not supported by older engines, compare wall-clock time instead
+        }
+
+        const wallClock = toZonedWallClock(date, timeZone);
+        const wallClockUtc = Date.UTC(wallClock.getFullYear(), wallClock.getMonth(), wallClock.getDate(), wallClock.getHours(), wallClock.getMinutes(), wallClock.getSeconds());
+        return Math.round((wallClockUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * Format the PHP time zone characters e, T, O and P
+     * @param {Date} date - Date to format
+     * @param {string} char - Format character
+     * @param {string} locale - Locale string
+     * @param {string|undefined} timeZone - Resolved time zone, or undefined for the browser's zone
+     * @returns {string} Formatted output
+     */
+    function formatTimeZoneChar(date, char, locale, timeZone) {
+        if (char === 'e') {
+            return timeZone || getFormatter('en', {}).resolvedOptions().timeZone;
+        }
+
+        if (char === 'T') {
+            const namePart = getFormatter(locale, {timeZone: timeZone, timeZoneName: 'short'})
+                .formatToParts(date)
+                .find(function (part) {
+                    return part.type === 'timeZoneName';
+                });
+            return namePart ? namePart.value : '';
+        }
+
+        // O (+0700) and P (+07:00)
+        const offset = getTimeZoneOffset(date, timeZone);
+        const absOffset = Math.abs(offset);
+        return (offset < 0 ? '-' : '+') + padZero(Math.floor(absOffset / 60)) + (char === 'P' ? ':' : '') + padZero(absOffset % 60);
+    }
+
+    /**
+     * Intl options each PHP format character needs, and the formatToParts part it reads.
+     * Characters marked `alone` get an option bag of their own.
+     */
+    const PHP_FORMAT_PARTS = {
+        // Year
+        'Y': {part: 'year', options: {year: 'numeric'}},            // 2023
+        'y': {part: 'year', options: {year: '2-digit'}},            // 23
+
+        // Calendar year and era (not PHP characters)
+        'E': {part: 'era', options: {era: 'short', year: 'numeric'}},   // BE, AH, 令和
+        'J': {part: 'era', options: {era: 'long', year: 'numeric'}},    // Buddhist Era, Anno Hegirae
+        // Chinese and Dangi drop the cyclic year name when the year is formatted with a numeric month or day
+        'K': {part: 'year', options: {year: 'numeric'}, alone: true},   // 2566 (era year, or 1-60 in the Chinese cycle)
+        'k': {part: 'year', options: {year: '2-digit'}, alone: true},   // 66
+        'R': {part: 'relatedYear', options: {year: 'numeric'}},         // 2023 (related Gregorian year)
+        'C': {part: 'yearName', options: {year: 'numeric'}, alone: true}, // 癸卯 (cyclic year name for chinese/dangi)
+
+        // Month
+        'F': {part: 'month', options: {month: 'long'}},             // January
+        'M': {part: 'month', options: {month: 'short'}},            // Jan
+        'm': {part: 'month', options: {month: '2-digit'}},          // 01
+        'n': {part: 'month', options: {month: 'numeric'}},          // 1
+
+        // Day
+        'd': {part: 'day', options: {day: '2-digit'}},              // 01
+        'j': {part: 'day', options: {day: 'numeric'}},              // 1
+        'D': {part: 'weekday', options: {weekday: 'short'}},        // Mon
+        'l': {part: 'weekday', options: {weekday: 'long'}},         // Monday
+
+        // Time
+        'a': {part: 'dayPeriod', options: {hourCycle: 'h12'}},                  // am/pm
+        'A': {part: 'dayPeriod', options: {hourCycle: 'h12'}},                  // AM/PM
+        'g': {part: 'hour', options: {hour: 'numeric', hourCycle: 'h12'}},      // 1-12
+        'h': {part: 'hour', options: {hour: '2-digit', hourCycle: 'h12'}},      // 01-12
+        'G': {part: 'hour', options: {hour: 'numeric', hourCycle: 'h23'}},      // 0-23
+        'H': {part: 'hour', options: {hour: '2-digit', hourCycle: 'h23'}},      // 00-23
+        'i': {part: 'minute', options: {minute: '2-digit'}},                    // 00-59
+        's': {part: 'second', options: {second: '2-digit'}}                     // 00-59
+    };
+
+    /**
+     * Part types reported by formatDateWithCustomFormatToParts() for characters computed without Intl
+     */
+    const PHP_COMPUTED_PART_TYPES = {
+        'w': 'weekday', 'N': 'weekday', 'S': 'ordinal', 'z': 'dayOfYear', 'W': 'week',
+        't': 'daysInMonth', 'L': 'leapYear', 'o': 'year', 'X': 'year', 'x': 'year',
+        'B': 'swatchTime', 'u': 'fractionalSecond', 'v': 'fractionalSecond', 'I': 'daylightSaving',
+        'e': 'timeZoneName', 'T': 'timeZoneName', 'O': 'timeZoneName', 'P': 'timeZoneName',
+        'p': 'timeZoneName', 'Z': 'timeZoneName', 'c': 'dateTime', 'r': 'dateTime', 'U': 'timestamp'
+    };
+
+    /**
+     * Get the zero digit of a numbering system (e.g., '0' for latn, '๐' for thai)
+     * @param {string} numberingSystem - Numbering system identifier
+     * @returns {string} Zero digit
+     */
+    function getZeroDigit(numberingSystem) {
+        return formatterCache.get('zero|' + numberingSystem, function () {
+            return new Intl.NumberFormat('en', {numberingSystem: numberingSystem}).format(0);
+        });
+    }
+
+    /**
+     * Split a PHP date format string into format characters and literal text
+     * @param {string} format - PHP date format string
+     * @returns {Array<{char: string}|{literal: string}>} Tokens in format order
+     */
+    function tokenizePhpFormat(format) {
+        const tokens = [];
+
+        for (let i = 0; i < format.length; i++) {
+            const char = format.charAt(i);
+
+            if (char === '\\' && i + 1 < format.length) {
+                tokens.push({literal: format.charAt(++i)});
+            } else if (/[a-zA-Z]/.test(char)) {
+                tokens.push({char: char});
+            } else {
+                tokens.push({literal: char});
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Group the Intl-backed tokens of a format into as few option bags as possible,
+     * so that a format like 'j F Y' needs a single formatToParts call
+     * @param {Array} tokens - Tokens from tokenizePhpFormat()
+     * @returns {Array<Object>} Option bags; each Intl-backed token gets a bag index
+     */
+    function groupPhpFormatTokens(tokens) {
+        const bags = [];
+        const aloneBags = [];
+
+        tokens.forEach(function (token) {
+            const spec = token.char && PHP_FORMAT_PARTS[token.char];
+            if (!spec) {
+                return;
+            }
+
+            // Tokens marked alone only share a bag with the same options
+            let index = bags.findIndex(function (bag, bagIndex) {
+                if (!!spec.alone !== (aloneBags.indexOf(bagIndex) !== -1)) {
+                    return false;
+                }
+                return Object.keys(spec.options).every(function (key) {
+                    return bag[key] === undefined || bag[key] === spec.options[key];
+                });
+            });
+
+            if (index === -1) {
+                index = bags.push({}) - 1;
+                if (spec.alone) {
+                    aloneBags.push(index);
+                }
+            }
+
+            Object.assign(bags[index], spec.options);
+            token.bag = index;
+        });
+
+        bags.forEach(function (bag) {
+            // Day periods only appear next to an hour, and Intl pads minutes and seconds only when an hour is present
+            if (bag.hour === undefined && (bag.hourCycle || bag.minute || bag.second)) {
+                bag.hour = 'numeric';
+            }
+        });
+
+        return bags;
+    }
+
+    /**
+     * Tokenize a PHP format and create the formatters for its option bags, for reuse across dates
+     *
+     * @param {string} format - PHP date format string
+     * @param {string} locale - Locale string
+     * @param {string} calendar - Calendar type
+     * @param {string|undefined} timeZone - Resolved time zone
+     * @param {string|undefined} numberingSystem - Resolved numbering system
+     * @returns {{tokens: Array, formatters: Array<(Intl.DateTimeFormat|null)>}} Tokens and one formatter
+     *     per option bag (null where the options are not supported)
+     */
+    function compilePhpFormat(format, locale, calendar, timeZone, numberingSystem) {
+        const tokens = tokenizePhpFormat(format);
+
+        // Thai B/b predate the calendar year tokens and are kept as aliases of K/k for the Buddhist calendar
+        if (calendar === 'buddhist' && locale && locale.indexOf('th') === 0) {
+            tokens.forEach(function (token) {
+                if (token.char === 'B' || token.char === 'b') {
+                    token.char = token.char === 'B' ? 'K' : 'k';
+                }
+            });
+        }
+
+        const formatters = groupPhpFormatTokens(tokens).map(function (bag) {
+            try {
+                return new Intl.DateTimeFormat(locale, Object.assign({
+                    calendar: calendar,
+                    timeZone: timeZone,
+                    numberingSystem: numberingSystem
+                }, bag));
+            } catch (e) {
+                return null;
+            }
+        });
+
+        return {tokens: tokens, formatters: formatters};
+    }
+
+    /**
+     * Get the ordinal suffix for a number in a locale (e.g., 'st' for 1 in English)
+     * @param {number} num - Number to get the suffix for
+     * @param {string} locale - Locale string
+     * @returns {string} Suffix, or '' if the language has none
+     */
+    function getOrdinalSuffix(num, locale) {
+        const suffixes = Object.assign({}, ORDINAL_SUFFIXES, getSettings().ordinal_suffixes)[locale.split('-')[0].toLowerCase()];
+        if (!suffixes) {
+            return '';
+        }
+
+        let category = 'other';
+        try {
+            category = formatterCache.get('ordinal|' + getCacheKey(locale), function () {
+                return new Intl.PluralRules(locale, {type: 'ordinal'});
+            }).select(num);
+        } catch (e) {
+            // Keep the 'other' category
+        }
+
+        return suffixes[category] !== undefined ? suffixes[category] : (suffixes.other || '');
+    }
+
+    /**
+     * Get the ISO 8601 week number and week-numbering year of a wall-clock date
+     * @param {Date} local - Wall-clock date
+     * @returns {{week: number, year: number}} ISO week and year
+     */
+    function getIsoWeek(local) {
+        const target = utcNoon(local);
+        const dayNumber = (target.getUTCDay() + 6) % 7; // Monday is 0
+
+        // The ISO year is the year of the Thursday in the same week
+        target.setUTCDate(target.getUTCDate() - dayNumber + 3);
+        const year = target.getUTCFullYear();
+
+        const firstThursday = new Date(target.getTime());
+        firstThursday.setUTCMonth(0, 4);
+        firstThursday.setUTCDate(4 - (firstThursday.getUTCDay() + 6) % 7 + 3);
+
+        return {
+            week: 1 + Math.round((target.getTime() - firstThursday.getTime()) / (7 * DAY_MS)),
+            year: year
+        };
+    }
+
+    /**
+     * Get a UTC date at noon on the same calendar day as a wall-clock date, safe for day arithmetic
+     * @param {Date} local - Wall-clock date
+     * @returns {Date} Date at 12:00 UTC
+     */
+    function utcNoon(local) {
+        const noon = new Date(0);
+        noon.setUTCFullYear(local.getFullYear(), local.getMonth(), local.getDate());
+        noon.setUTCHours(12);
+        return noon;
+    }
+
+    /**
+     * Read the year and day of month of a UTC-noon date in a calendar
+     * @param {number} time - Timestamp of a UTC-noon date
+     * @param {string} calendar - Calendar type
+     * @returns {{year: string, day: number}} Year (including era and cycle) and day of month
+     */
+    function getCalendarDay(time, calendar) {
+        const fields = {};
+        getFormatter('en-US', {
+            calendar: calendar,
+            timeZone: 'UTC',
+            numberingSystem: 'latn',
+            era: 'short',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric'
+        }).formatToParts(new Date(time)).forEach(function (part) {
+            fields[part.type] = part.value;
+        });
+
+        return {
+            year: [fields.era, fields.year, fields.relatedYear, fields.yearName].join('|'),
+            day: parseInt(fields.day, 10)
+        };
+    }
+
+    /**
+     * Get calendar-aware day of year, month length and year length for a wall-clock date
+     *
+     * Works for any calendar by walking back through month starts with formatToParts, so
+     * Hebrew leap months, 29/30 day lunar months and the short Ethiopic 13th month are handled.
+     *
+     * @param {Date} local - Wall-clock date
+     * @param {string} calendar - Calendar type
+     * @returns {{dayOfYear: number, daysInMonth: number, daysInYear: number}} Calendar metrics
+     */
+    function getCalendarMetrics(local, calendar) {
+        const noon = utcNoon(local);
+
+        if (calendar === 'gregory' || calendar === 'iso8601') {
+            const year = noon.getUTCFullYear();
+            const isLeap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+            const startOfYear = new Date(noon.getTime());
+            startOfYear.setUTCMonth(0, 1);
+            const endOfMonth = new Date(noon.getTime());
+            endOfMonth.setUTCMonth(endOfMonth.getUTCMonth() + 1, 0);
+
+            return {
+                dayOfYear: Math.round((noon.getTime() - startOfYear.getTime()) / DAY_MS),
+                daysInMonth: endOfMonth.getUTCDate(),
+                daysInYear: isLeap ? 366 : 365
+            };
+        }
+
+        const today = getCalendarDay(noon.getTime(), calendar);
+        const monthStart = noon.getTime() - (today.day - 1) * DAY_MS;
+
+        // Walk back month by month to the first day of the year
+        let dayOfYear = today.day - 1;
+        let yearStart = monthStart;
+        for (let guard = 0; guard < 14; guard++) {
+            const previous = getCalendarDay(yearStart - DAY_MS, calendar);
+            if (previous.year !== today.year) {
+                break;
+            }
+            dayOfYear += previous.day;
+            yearStart -= previous.day * DAY_MS;
+        }
+
+        // A month ends on day n when the day n - 1 days after its first day is still day n
+        let daysInMonth = 31;
+        while (daysInMonth > 1 && getCalendarDay(monthStart + (daysInMonth - 1) * DAY_MS, calendar).day !== daysInMonth) {
+            daysInMonth--;
+        }
+
+        // Lunar, lunisolar and solar year lengths
+        const yearLengths = [353, 354, 355, 365, 366, 383, 384, 385];
+        let daysInYear = 365;
+        for (let i = 0; i < yearLengths.length; i++) {
+            if (getCalendarDay(yearStart + yearLengths[i] * DAY_MS, calendar).year !== today.year) {
+                daysInYear = yearLengths[i];
+                break;
+            }
+        }
+
+        return {
+            dayOfYear: dayOfYear,
+            daysInMonth: daysInMonth,
+            daysInYear: daysInYear
+        };
+    }
+
+    /**
+     * Whether a calendar year of the given length is a leap year
+     * @param {number} daysInYear - Length of the year in days
+     * @param {string} calendar - Calendar type
+     * @returns {boolean} Whether the year is a leap year
+     */
+    function isLeapYearLength(daysInYear, calendar) {
+        if (calendar.indexOf('islamic') === 0) {
+            return daysInYear === 355;
+        }
+
+        // Solar calendars add a day, lunisolar calendars (Hebrew, Chinese, Dangi) add a month
+        return daysInYear === 366 || daysInYear >= 383;
+    }
+
+    /**
+     * Format PHP date characters that have no Intl.DateTimeFormat equivalent
+     *
+     * @param {Date} date - Date being formatted
+     * @param {Date} local - Wall-clock view of the date in the target time zone
+     * @param {string} char - Format character
+     * @param {Object} context - Locale, calendar and resolved time zone; calendar metrics are memoized on it
+     * @returns {string|undefined} Formatted output, or undefined if the character is not computed here
+     */
+    function formatComputedChar(date, local, char, context) {
+        const isGregorian = context.calendar === 'gregory' || context.calendar === 'iso8601';
+
+        switch (char) {
+            case 'w':
+            case 'N':
+            case 'W':
+            case 'o':
+            case 'X':
+            case 'x':
+            case 'u':
+            case 'v':
+                return String(fallbackFormat(local, char));
+
+            case 'S':
+                return getOrdinalSuffix(isGregorian ? local.getDate() : getCalendarDay(utcNoon(local).getTime(), context.calendar).day, context.locale);
+
+            case 'z':
+            case 't':
+            case 'L':
+                // Computed once per formatted date
+                context.metrics = context.metrics || getCalendarMetrics(local, context.calendar);
+
+                if (char === 'z') {
+                    return String(context.metrics.dayOfYear);
+                }
+                if (char === 't') {
+                    return String(context.metrics.daysInMonth);
+                }
+                return isLeapYearLength(context.metrics.daysInYear, context.calendar) ? '1' : '0';
+
+            case 'U':
+                return String(Math.floor(date.getTime() / 1000));
+
+            case 'B': {
+                // Swatch Internet time, measured in UTC+1
+                const seconds = (date.getUTCHours() * 3600 + date.getUTCMinutes() * 60 + date.getUTCSeconds() + 3600) % 86400;
+                return ('00' + Math.floor(seconds / 86.4)).slice(-3);
+            }
+
+            case 'I': {
+                // Daylight saving time is in effect when the offset is above the year's standard offset
+                const january = new Date(Date.UTC(local.getFullYear(), 0, 1));
+                const july = new Date(Date.UTC(local.getFullYear(), 6, 1));
+                const standardOffset = Math.min(getTimeZoneOffset(january, context.timeZone), getTimeZoneOffset(july, context.timeZone));
+                return getTimeZoneOffset(date, context.timeZone) > standardOffset ? '1' : '0';
+            }
+
+            case 'Z':
+                return String(getTimeZoneOffset(date, context.timeZone) * 60);
+
+            case 'p':
+                return getTimeZoneOffset(date, context.timeZone) === 0 ? 'Z' : formatTimeZoneChar(date, 'P', context.locale, context.timeZone);
+
+            case 'c':
+                // ISO 8601 date, always Gregorian
+                return formatFallbackString(local, 'X-m-d\\TH:i:s').replace(/^\+/, '') + formatTimeZoneChar(date, 'P', context.locale, context.timeZone);
+
+            case 'r':
+                // RFC 2822 date, always English and Gregorian
+                return formatFallbackString(local, 'D, d M Y H:i:s ') + formatTimeZoneChar(date, 'O', context.locale, context.timeZone);
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Format a date using a custom PHP format string leveraging Intl API
+     *
+     * Format characters are rendered from formatToParts in the requested calendar while
+     * the literal text between them is kept, so the order and separators of the PHP format are preserved.
+     *
+     * @param {Date} date - JavaScript date object
+     * @param {String} format - PHP date format string
+     * @param {String} locale - Locale string (e.g., 'th-TH', 'en-US')
+     * @param {String} calendar - Calendar type (e.g., 'buddhist', 'gregory')
+     * @param {Object} [settings] - Additional settings (timeZone, numberingSystem)
+     * @returns {String} Formatted date string
+     */
+    function formatDateWithCustomFormat(date, format, locale, calendar, settings) {
+        return joinParts(formatDateWithCustomFormatToParts(date, format, locale, calendar, settings));
+    }
+
+    /**
+     * Format a date using a custom PHP format string, as {type, value} parts like Intl's formatToParts
+     *
+     * Intl-backed characters report the Intl part type (e.g., 'weekday', 'era'), other characters
+     * a descriptive type from PHP_COMPUTED_PART_TYPES, and text between characters is 'literal'.
+     *
+     * @param {Date} date - JavaScript date object
+     * @param {String} format - PHP date format string
+     * @param {String} locale - Locale string (e.g., 'th-TH', 'en-US')
+     * @param {String} calendar - Calendar type (e.g., 'buddhist', 'gregory')
+     * @param {Object} [settings] - Additional settings (timeZone, numberingSystem)
+     * @returns {Array<{type: string, value: string}>} Formatted parts
+     */
+    function formatDateWithCustomFormatToParts(date, format, locale, calendar, settings) {
+        if (!date || !format) {
+            return [];
+        }
+
+        const timeZone = resolveTimeZone(settings && settings.timeZone);
+        const numberingSystem = resolveNumberingSystem(settings && settings.numberingSystem);
+
+        // Digits of values computed without Intl follow the numbering system of the Intl-backed ones
+        const effectiveNumberingSystem = getEffectiveNumberingSystem(locale, numberingSystem);
+        const digits = function (text) {
+            return localizeDigits(text, effectiveNumberingSystem);
+        };
+
+        // Wall-clock view of the date for values computed without Intl
+        const local = toZonedWallClock(date, timeZone);
+
+        const compiled = formatterCache.get('php|' + getCacheKey(locale, {
+            format: format,
+            calendar: calendar,
+            timeZone: timeZone,
+            numberingSystem: numberingSystem
+        }), function () {
+            return compilePhpFormat(format, locale, calendar, timeZone, numberingSystem);
+        });
+        const tokens = compiled.tokens;
+
+        // One formatToParts call per option bag, indexed by part type
+        const partValues = compiled.formatters.map(function (formatter) {
+            const values = {};
+            if (!formatter) {
+                // Leave values empty so the fallback formatter is used
+                return values;
+            }
+            try {
+                formatter
+                    .formatToParts(date)
+                    .forEach(function (part) {
+                        if (values[part.type] === undefined) {
+                            values[part.type] = part.value;
+                        }
+                    });
+
+                // Calendars such as 'chinese' report the Gregorian year as relatedYear
+                if (values.year === undefined && values.relatedYear !== undefined) {
+                    values.year = values.relatedYear;
+                }
+
+                values.zeroDigit = getZeroDigit(formatter.resolvedOptions().numberingSystem);
+            } catch (e) {
+                // Leave values empty so the fallback formatter is used
+            }
+            return values;
+        });
+
+        const context = {
+            locale: locale,
+            calendar: calendar,
+            timeZone: timeZone
+        };
+
+        const parts = [];
+        const push = function (type, value) {
+            const last = parts[parts.length - 1];
+            if (type === 'literal' && last && last.type === 'literal') {
+                last.value += value;
+            } else {
+                parts.push({type: type, value: value});
+            }
+        };
+
+        tokens.forEach(function (token) {
+            const char = token.char;
+
+            // Add literal text as-is (e.g., separators, escaped characters)
+            if (char === undefined) {
+                push('literal', token.literal);
+                return;
+            }
+
+            // Handle characters that can't use Intl API (day of year, ISO week, Unix time, ...)
+            let computed;
+            try {
+                computed = formatComputedChar(date, local, char, context);
+            } catch (e) {
+                computed = fallbackFormat(local, char, getLocaleData(locale));
+            }
+            if (computed !== undefined) {
+                // ISO 8601, RFC 2822 and Unix timestamps stay machine-readable
+                push(PHP_COMPUTED_PART_TYPES[char] || 'literal', /[crU]/.test(char) ? computed : digits(computed));
+                return;
+            }
+
+            // Handle time zone characters
+            if (/[eTOP]/.test(char)) {
+                try {
+                    const zoneValue = formatTimeZoneChar(date, char, locale, timeZone);
+                    push('timeZoneName', char === 'O' || char === 'P' ? digits(zoneValue) : zoneValue);
+                } catch (e) {
+                    push('timeZoneName', fallbackFormat(local, char, getLocaleData(locale)));
+                }
+                return;
+            }
+
+            // Read Intl-backed characters from their formatToParts call
+            if (token.bag !== undefined) {
+                const values = partValues[token.bag];
+                let value = values[PHP_FORMAT_PARTS[char].part];
+
+                // Cyclic calendars have no era year, use the position in the 60-year cycle
+                if ((char === 'K' || char === 'k') && values.yearName !== undefined) {
+                    const relatedYear = parseInt(values.relatedYear, 10);
+                    value = isNaN(relatedYear) ? undefined : digits(((relatedYear - 4) % 60 + 60) % 60 + 1);
+                }
+
+                // Calendars without eras (chinese, dangi) have no era name to show
+                if ((char === 'E' || char === 'J') && value === undefined && values.zeroDigit !== undefined) {
+                    value = '';
+                }
+
+                const type = PHP_FORMAT_PARTS[char].part;
+                if (value === undefined) {
+                    push(type, digits(fallbackFormat(local, char, getLocaleData(locale))));
+                } else if (/[gGjn]/.test(char) && value.length > 1 && value.charAt(0) === partValues[token.bag].zeroDigit) {
+                    // Some locales pad hours, days or months that PHP leaves unpadded
+                    push(type, value.slice(1));
+                } else if (char === 'a') {
+                    push(type, value.toLowerCase());
+                } else if (char === 'A') {
+                    push(type, value.toUpperCase());
+                } else {
+                    push(type, value);
+                }
+                return;
+            }
+
+            // Add any other characters as-is
+            push('literal', char);
+        });
+
+        return parts;
+    }
+
+    /**
+     * Get WordPress site locale (never use browser locale)
+     * @returns {string} WordPress site locale
+     */
+    function getWPLocale() {
+        return getSettings().locale;
+    }
+
+    /**
+     * Get the locale configured for the site, without the language a visitor chose in the switcher
+     * @returns {string} Site locale
+     */
+    function getSiteLocale() {
+        return (window.intlDateTimeCalendarSettings || {}).locale || 'en';
+    }
+
+    /**
+     * Resolve a requested locale, falling back to the site locale when Intl cannot render it
+     * @param {string} [locale] - Requested locale (e.g., 'th-TH' or 'th_TH')
+     * @returns {string} Supported locale
+     */
+    function resolveLocale(locale) {
+        if (!locale) {
+            return getWPLocale();
+        }
+
+        if (!localeCache.has(locale)) {
+            let resolved = null;
+            try {
+                resolved = Intl.DateTimeFormat.supportedLocalesOf([locale.replace(/_/g, '-')])[0] || null;
+            } catch (e) {
+                // Invalid language tag
+            }
+
+            if (!resolved) {
+                console.warn('[Intl DateTime Calendar] Unsupported locale, using site locale:', locale);
+            }
+            localeCache.set(locale, resolved);
+        }
+
+        return localeCache.get(locale) || getWPLocale();
+    }
+
+    /**
+     * Get the month, weekday and day period names used by the fallback formatter
+     *
+     * Locale data packs are passed in intlDateTimeCalendarSettings.locale_data, keyed by
+     * locale (e.g., 'pt-BR') or language (e.g., 'th'). English is used when no pack matches.
+     *
+     * @param {string} [locale] - Locale string
+     * @returns {Object} Locale data with months, monthsShort, weekdays, weekdaysShort and dayPeriods
+     */
+    function getLocaleData(locale) {
+        const packs = getSettings().locale_data;
+        const pack = locale && (packs[locale] || packs[locale.split('-')[0].toLowerCase()]);
+
+        return Object.assign({locale: pack ? locale : 'en'}, DEFAULT_LOCALE_DATA, pack || {});
+    }
+
+    /**
+     * Format date using fallback (custom format or WordPress default)
+     * @param {Date} date - Date object
+     * @param {Object} elementSettings - Element settings including customFormat and type
+     * @returns {string} Formatted date string
+     */
+    function formatWithFallback(date, elementSettings) {
+        const wpSettings = getSettings();
+        const numberingSystem = getEffectiveNumberingSystem(
+            elementSettings.locale || wpSettings.locale,
+            resolveNumberingSystem(elementSettings.numberingSystem || wpSettings.numbering_system)
+        );
+        const local = toZonedWallClock(date, resolveTimeZone(elementSettings.timeZone || wpSettings.time_zone));
+        let format;
+
+        // Use custom format if available, otherwise use WordPress default
+        if (elementSettings.customFormat) {
+            format = elementSettings.customFormat;
+        } else {
+            const type = elementSettings.type || 'date';
+            if (type === 'date') {
+                format = wpSettings.wp_date_format;
+            } else if (type === 'time') {
+                format = wpSettings.wp_time_format;
+            } else {
+                format = wpSettings.wp_date_format + ' ' + wpSettings.wp_time_format;
+            }
+        }
+
+        return localizeDigits(formatFallbackString(local, format, elementSettings.locale || wpSettings.locale), numberingSystem);
+    }
+
+    /**
+     * Format a whole PHP format string with the fallback formatter
+     * @param {Date} date - Date to format
+     * @param {string} format - PHP date format string
+     * @param {string} [locale] - Locale for month and weekday names (English if omitted)
+     * @returns {string} Formatted date string
+     */
+    function formatFallbackString(date, format, locale) {
+        const localeData = getLocaleData(locale);
+        let result = '';
+        for (let i = 0; i < format.length; i++) {
+            const char = format.charAt(i);
+            if (char === '\\' && i + 1 < format.length) {
+                result += format.charAt(++i);
+            } else {
+                result += fallbackFormat(date, char, localeData);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Resolve element settings to either Intl.DateTimeFormat options or a PHP format string
+     *
+     * @param {Object} settings - Formatting settings
+     * @returns {{locale: string, calendar: string, timeZone: (string|undefined), numberingSystem: (string|undefined), options: (Object|undefined), customFormat: (string|undefined)}}
+     */
+    function resolveFormat(settings) {
+        const wpSettings = getSettings();
+        const resolved = {
+            locale: resolveLocale(settings.locale),
+            calendar: resolveCalendar(settings.calendar || wpSettings.calendar_type),
+            timeZone: resolveTimeZone(settings.timeZone || wpSettings.time_zone),
+            numberingSystem: resolveNumberingSystem(settings.numberingSystem || wpSettings.numbering_system)
+        };
+
+        // Check if a custom format specified by the block
+        if ((settings.dateFormat === 'custom' || settings.timeFormat === 'custom') && settings.customFormat) {
+            resolved.customFormat = settings.customFormat;
+            return resolved;
+        }
+
+        // Use dateStyle/timeStyle presets when requested by the element
+        const dateStyle = VALID_STYLES.indexOf(settings.dateStyle) !== -1 ? settings.dateStyle : undefined;
+        const timeStyle = VALID_STYLES.indexOf(settings.timeStyle) !== -1 ? settings.timeStyle : undefined;
+        if (dateStyle || timeStyle) {
+            resolved.options = {
+                dateStyle: dateStyle,
+                timeStyle: timeStyle,
+                calendar: resolved.calendar,
+                timeZone: resolved.timeZone,
+                numberingSystem: resolved.numberingSystem
+            };
+            return resolved;
+        }
+
+        // Determine if formatting date, time, or both
+        const formatType = settings.type || 'date';
+
+        // Get appropriate WordPress format
+        let wpFormat;
+        if (formatType === 'date') {
+            wpFormat = wpSettings.wp_date_format;
+        } else if (formatType === 'time') {
+            wpFormat = wpSettings.wp_time_format;
+        } else {
+            wpFormat = wpSettings.wp_date_format + ' ' + wpSettings.wp_time_format;
+        }
+
+        // Keep the order and separators of the WordPress format
+        if (wpSettings.format_mode === 'wordpress') {
+            resolved.customFormat = wpFormat;
+            return resolved;
+        }
+
+        // Convert WordPress format to Intl options
+        resolved.options = phpFormatToIntlOptions(wpFormat, formatType);
+        resolved.options.calendar = resolved.calendar;
+        if (resolved.timeZone) {
+            resolved.options.timeZone = resolved.timeZone;
+        }
+        if (resolved.numberingSystem) {
+            resolved.options.numberingSystem = resolved.numberingSystem;
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Format a date using Intl.DateTimeFormat with WordPress or custom settings
+     *
+     * @param {Number} timestamp - The timestamp in milliseconds
+     * @param {Object} settings - Formatting settings
+     * @returns {String} Formatted date string
+     */
+    function formatDateTime(timestamp, settings) {
+        return joinParts(formatDateTimeToParts(timestamp, settings));
+    }
+
+    /**
+     * Format a date like formatDateTime(), as {type, value} parts
+     *
+     * @param {Number} timestamp - The timestamp in milliseconds
+     * @param {Object} settings - Formatting settings
+     * @returns {Array<{type: string, value: string}>} Formatted parts
+     */
+    function formatDateTimeToParts(timestamp, settings) {
+        if (!timestamp) {
+            return [];
+        }
+
+        try {
+            const date = new Date(parseInt(timestamp, 10));
+            if (isNaN(date.getTime())) {
+                return [];
+            }
+
+            const format = applyFilters('formatOptions', resolveFormat(settings), {timestamp: date.getTime(), settings: settings});
+            if (format.customFormat) {
+                return formatDateWithCustomFormatToParts(date, format.customFormat, format.locale, format.calendar, {
+                    timeZone: format.timeZone,
+                    numberingSystem: format.numberingSystem
+                });
+            }
+
+            const formatter = getFormatter(format.locale, format.options);
+            return formatter.formatToParts(date);
+        } catch (e) {
+            console.error('[Intl DateTime Calendar] Error formatting date:', e, settings);
+            try {
+                // Fallback: Use custom format if available, otherwise WordPress default
+                const fallbackDate = new Date(parseInt(timestamp, 10));
+                const fallback = formatWithFallback(fallbackDate, settings);
+                return fallback ? [{type: 'literal', value: fallback}] : [];
+            } catch (fallbackError) {
+                console.error('[Intl DateTime Calendar] Error fallback formatting date:', fallbackError);
+                return [];
+            }
+        }
+    }
+
+    /**
+     * Join formatted parts into a string
+     * @param {Array<{value: string}>} parts - Parts from a formatToParts-style function
+     * @returns {string} Formatted string
+     */
+    function joinParts(parts) {
+        return parts.map(function (part) {
+            return part.value;
+        }).join('');
+    }
+
+    /**
+     * Format a date range, collapsing the fields both ends share (e.g., "3 – 5 January 2024")
+     *
+     * Uses Intl.DateTimeFormat.prototype.formatRangeToParts in the element's calendar. Custom PHP formats,
+     * and browsers without it, render both ends separately.
+     *
+     * @param {Number} startTimestamp - Start timestamp in milliseconds
+     * @param {Number} endTimestamp - End timestamp in milliseconds
+     * @param {Object} settings - Formatting settings
+     * @returns {String} Formatted date range
+     */
+    function formatDateTimeRange(startTimestamp, endTimestamp, settings) {
+        return joinParts(formatDateTimeRangeToParts(startTimestamp, endTimestamp, settings));
+    }
+
+    /**
+     * Format a date range like formatDateTimeRange(), as {type, value, source} parts
+     *
+     * @param {Number} startTimestamp - Start timestamp in milliseconds
+     * @param {Number} endTimestamp - End timestamp in milliseconds
+     * @param {Object} settings - Formatting settings
+     * @returns {Array<{type: string, value: string, source: (string|undefined)}>} Formatted parts
+     */
+    function formatDateTimeRangeToParts(startTimestamp, endTimestamp, settings) {
+        const start = new Date(parseInt(startTimestamp, 10));
+        const end = new Date(parseInt(endTimestamp, 10));
+
+        if (isNaN(end.getTime()) || end.getTime() === start.getTime()) {
+            return formatDateTimeToParts(startTimestamp, settings);
+        }
+
+        try {
+            const format = applyFilters('formatOptions', resolveFormat(settings), {
+                timestamp: start.getTime(),
+                endTimestamp: end.getTime(),
+                settings: settings
+            });
+            if (!format.customFormat) {
+                const formatter = getFormatter(format.locale, format.options);
+                if (typeof formatter.formatRangeToParts === 'function') {
+                    return start < end ? formatter.formatRangeToParts(start, end) : formatter.formatRangeToParts(end, start);
+                }
+            }
+        } catch (e) {
+            console.error('[Intl DateTime Calendar] Error formatting date range:', e, settings);
+        }
+
+        const withSource = function (parts, source) {
+            return parts.map(function (part) {
+                return Object.assign({}, part, {source: source});
+            });
+        };
+
+        return withSource(formatDateTimeToParts(startTimestamp, settings), 'startRange')
+            .concat([{type: 'literal', value: RANGE_SEPARATOR, source: 'shared'}])
+            .concat(withSource(formatDateTimeToParts(endTimestamp, settings), 'endRange'));
+    }
+
+    /**
+     * Fallback formatter for when Intl API fails
+     * @param {Date} date - Date to format
+     * @param {string} char - Format character
+     * @param {Object} [localeData] - Names from getLocaleData() (English if omitted)
+     * @returns {string} Formatted output
+     */
+    function fallbackFormat(date, char, localeData) {
+        localeData = localeData || Object.assign({locale: 'en'}, DEFAULT_LOCALE_DATA);
+
+        const year = date.getFullYear();
+        const isLeap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+        const dayOfYear = Math.round((Date.UTC(year, date.getMonth(), date.getDate()) - Date.UTC(year, 0, 1)) / DAY_MS);
+        const isoWeek = getIsoWeek(date);
+        const paddedYear = ('000' + Math.abs(year)).slice(-Math.max(4, String(Math.abs(year)).length));
+
+        const formatChars = {
+            // Day
+            'd': padZero(date.getDate()),                         // 01-31
+            'j': date.getDate(),                                  // 1-31
+            'D': localeData.weekdaysShort[date.getDay()],         // Short day name
+            'l': localeData.weekdays[date.getDay()],              // Full day name
+            'w': date.getDay(),                                   // 0-6
+            'N': date.getDay() === 0 ? 7 : date.getDay(),         // 1-7 (Monday is 1, Sunday is 7)
+            'S': getOrdinalSuffix(date.getDate(), localeData.locale), // st, nd, rd or th
+            'z': dayOfYear,                                       // 0-365
+
+            // Week
+            'W': padZero(isoWeek.week),                           // 01-53 (ISO 8601)
+
+            // Month
+            'm': padZero(date.getMonth() + 1),               // 01-12
+            'n': date.getMonth() + 1,                             // 1-12
+            'F': localeData.months[date.getMonth()],              // Full month name
+            'M': localeData.monthsShort[date.getMonth()],         // Short month name
+            't': new Date(year, date.getMonth() + 1, 0).getDate(), // 28-31
+
+            // Year
+            'Y': date.getFullYear(),                              // 2023
+            'y': String(date.getFullYear()).slice(-2),            // 23
+            'L': isLeap ? 1 : 0,                                  // 1 if leap year
+            'E': year > 0 ? 'AD' : 'BC',                          // Era
+            'J': year > 0 ? 'Anno Domini' : 'Before Christ',      // Era (long)
+            'K': Math.abs(year) + (year > 0 ? 0 : 1),             // Year of era
+            'k': String(Math.abs(year) + (year > 0 ? 0 : 1)).slice(-2),
+            'R': year,                                            // Related Gregorian year
+            'C': '',                                              // Cyclic year name
+            'o': isoWeek.year,                                    // ISO 8601 week-numbering year
+            'X': (year < 0 ? '-' : '+') + paddedYear,             // +2023
+            'x': year < 0 || year >= 10000 ? (year < 0 ? '-' : '+') + paddedYear : paddedYear, // 2023
+
+            // Time
+            'a': localeData.dayPeriods[date.getHours() < 12 ? 0 : 1].toLowerCase(), // am/pm
+            'A': localeData.dayPeriods[date.getHours() < 12 ? 0 : 1].toUpperCase(), // AM/PM
+            'g': date.getHours() % 12 || 12,                      // 1-12
+            'h': padZero(date.getHours() % 12 || 12),        // 01-12
+            'G': date.getHours(),                                 // 0-23
+            'H': padZero(date.getHours()),                        // 00-23
+            'i': padZero(date.getMinutes()),                      // 00-59
+            's': padZero(date.getSeconds()),                      // 00-59
+            'u': ('00' + date.getMilliseconds()).slice(-3) + '000', // Microseconds
+            'v': ('00' + date.getMilliseconds()).slice(-3),         // Milliseconds
+        };
+
+        return formatChars[char] !== undefined ? formatChars[char] : char;
+    }
+
+    /**
+     * Helper function to pad numbers with leading zeros
+     * @param {number} num - Number to pad
+     * @returns {string|number} Padded number
+     */
+    function padZero(num) {
+        return num < 10 ? '0' + num : num;
+    }
+
+    /**
+     * Safely extract settings from global object
+     * @returns {Object} Settings object with defaults
+     */
+    function getSettings() {
+        const settings = Object.assign({}, window.intlDateTimeCalendarSettings || {}, runtimeSettings);
+        return {
+            locale: settings.locale || 'en',
+            calendar_type: settings.calendar_type || 'gregory',
+            wp_date_format: settings.wp_date_format || 'F j, Y',
+            wp_time_format: settings.wp_time_format || 'g:i a',
+            relative_thresholds: Object.assign({}, DEFAULT_RELATIVE_THRESHOLDS, settings.relative_thresholds || {}),
+            relative_absolute_after: parseInt(settings.relative_absolute_after, 10) || 0,
+            time_zone: settings.time_zone || '',
+            format_mode: settings.format_mode || 'locale',
+            ordinal_suffixes: settings.ordinal_suffixes || {},
+            secondary_calendar: settings.secondary_calendar || '',
+            secondary_display: settings.secondary_display || 'parentheses',
+            secondary_template: settings.secondary_template || '{primary} ({secondary})',
+            numbering_system: settings.numbering_system || '',
+            locale_data: settings.locale_data || {},
+            tooltip: settings.tooltip || 'wordpress',
+            accessible_label: settings.accessible_label || 'label',
+            defer_offscreen: !!settings.defer_offscreen,
+            formatter_cache_size: parseInt(settings.formatter_cache_size, 10) || DEFAULT_FORMATTER_CACHE_SIZE,
+            time_selector: settings.time_selector || '',
+            calendar_fallbacks: settings.calendar_fallbacks || {},
+            calendar_grid_labels: settings.calendar_grid_labels || {},
+            start_of_week: settings.start_of_week,
+            editor: !!settings.editor
+        };
+    }
+
+    /**
+     * Write formatted text into an element, keeping an inner link if present
+     * @param {HTMLElement} el - Datetime element
+     * @param {string|Node} text - Formatted text, or a node to insert instead
+     */
+    function writeElementText(el, text) {
+        const target = el.querySelector('a') || el;
+
+        if (typeof text === 'string') {
+            target.textContent = text;
+        } else {
+            target.textContent = '';
+            target.appendChild(text);
+        }
+    }
+
+    /**
+     * Build styleable markup from formatted parts
+     *
+     * Each part becomes a <span class="intl-dt-part intl-dt-{type}">, with an extra
+     * intl-dt-{source} class (start-range, end-range, shared) for range parts.
+     *
+     * @param {Array<{type: string, value: string, source: (string|undefined)}>} parts - Formatted parts
+     * @returns {DocumentFragment} Spans for the parts
+     */
+    function createPartsFragment(parts) {
+        const toClass = function (name) {
+            return 'intl-dt-' + name.replace(/[A-Z]/g, function (letter) {
+                return '-' + letter.toLowerCase();
+            });
+        };
+
+        const fragment = document.createDocumentFragment();
+        parts.forEach(function (part) {
+            const span = document.createElement('span');
+            span.className = 'intl-dt-part ' + toClass(part.type) + (part.source ? ' ' + toClass(part.source) : '');
+            span.textContent = part.value;
+            fragment.appendChild(span);
+        });
+        return fragment;
+    }
+
+    /**
+     * Build part markup for a value that formattedValue hooks may have changed
+     *
+     * Text the hooks added around the original value is kept as plain text next to the parts;
+     * if the value was rewritten entirely, it is shown as plain text.
+     *
+     * @param {Array<{type: string, value: string}>} parts - Formatted parts
+     * @param {string} original - The parts joined, before the hooks ran
+     * @param {string} value - The value after the hooks ran
+     * @returns {DocumentFragment|string} Part markup, or the value if the parts no longer apply
+     */
+    function createFilteredPartsFragment(parts, original, value) {
+        const index = value.indexOf(original);
+        if (index === -1) {
+            return value;
+        }
+
+        const fragment = document.createDocumentFragment();
+        if (index > 0) {
+            fragment.appendChild(document.createTextNode(value.slice(0, index)));
+        }
+        fragment.appendChild(createPartsFragment(parts));
+        if (index + original.length < value.length) {
+            fragment.appendChild(document.createTextNode(value.slice(index + original.length)));
+        }
+        return fragment;
+    }
+
+    /**
+     * Serialize part markup to HTML
+     * @param {DocumentFragment|string} content - Part markup, or plain text
+     * @returns {string} HTML
+     */
+    function toHtml(content) {
+        const container = document.createElement('div');
+        container.appendChild(typeof content === 'string' ? document.createTextNode(content) : content);
+        return container.innerHTML;
+    }
+
+    /**
+     * Combine primary and secondary calendar renderings
+     *
+     * Strings are combined into a string; if either rendering is a node (part markup),
+     * the result is a DocumentFragment.
+     *
+     * @param {string|Node} primary - Date in the primary calendar
+     * @param {string|Node} secondary - Date in the secondary calendar
+     * @param {string} display - 'parentheses' or 'inline' (uses the configured template)
+     * @returns {string|DocumentFragment} Combined text
+     */
+    function applyDualCalendarTemplate(primary, secondary, display) {
+        const template = display === 'parentheses' ? '{primary} ({secondary})' : getSettings().secondary_template;
+
+        if (typeof primary === 'string' && typeof secondary === 'string') {
+            return template.replace(/\{(primary|secondary)}/g, function (match, name) {
+                return name === 'primary' ? primary : secondary;
+            });
+        }
+
+        const fragment = document.createDocumentFragment();
+        template.split(/(\{(?:primary|secondary)})/).forEach(function (piece) {
+            const content = piece === '{primary}' ? primary : (piece === '{secondary}' ? secondary : piece);
+            if (typeof content === 'string') {
+                fragment.appendChild(document.createTextNode(content));
+            } else {
+                // Templates may repeat a placeholder, so insert copies
+                fragment.appendChild(content.cloneNode(true));
+            }
+        });
+        return fragment;
+    }
+
+    /**
+     * Format an element's date (or range) and write it, adding the secondary calendar when configured
+     * @param {HTMLElement} el - Datetime element
+     * @param {number|string} timestamp - Start timestamp in milliseconds
+     * @param {Object} elementSettings - Element settings, including endTimestamp, secondaryCalendar, secondaryDisplay and render
+     * @returns {Object|null} Render context for notifyRendered() (element, timestamp, endTimestamp,
+     *     settings after the beforeFormat hook, and the primary formatted value), or null if nothing was written
+     */
+    function renderDateTime(el, timestamp, elementSettings) {
+        const endTimestamp = elementSettings.endTimestamp;
+        const context = {
+            element: el,
+            timestamp: parseInt(timestamp, 10),
+            endTimestamp: endTimestamp ? parseInt(endTimestamp, 10) : undefined
+        };
+
+        // A beforeFormat hook can return false to keep the server-rendered text
+        elementSettings = applyFilters('beforeFormat', elementSettings, context);
+        if (!elementSettings) {
+            return null;
+        }
+        context.settings = elementSettings;
+
+        const formatFor = function (settings) {
+            return endTimestamp
+                ? formatDateTimeRangeToParts(timestamp, endTimestamp, settings)
+                : formatDateTimeToParts(timestamp, settings);
+        };
+        const asParts = elementSettings.render === 'parts';
+
+        const primaryParts = formatFor(elementSettings);
+        const primary = joinParts(primaryParts);
+        if (!primary) {
+            return null;
+        }
+        context.value = applyFilters('formattedValue', primary, context);
+        const primaryContent = asParts ? createFilteredPartsFragment(primaryParts, primary, context.value) : context.value;
+
+        // Record the calendars actually used, which differ from the requested ones when the browser lacks them
+        const calendar = resolveCalendar(elementSettings.calendar || getSettings().calendar_type);
+        el.setAttribute('data-intl-calendar', calendar);
+        el.removeAttribute('data-intl-secondary-calendar');
+
+        const secondaryCalendar = elementSettings.secondaryCalendar;
+        const showSecondary = secondaryCalendar && secondaryCalendar !== 'none' && resolveCalendar(secondaryCalendar) !== calendar;
+        const secondaryParts = showSecondary ? formatFor(Object.assign({}, elementSettings, {calendar: secondaryCalendar})) : [];
+        const secondary = joinParts(secondaryParts);
+
+        let content = primaryContent;
+        if (secondary) {
+            el.setAttribute('data-intl-secondary-calendar', resolveCalendar(secondaryCalendar));
+            const secondaryContent = asParts ? createPartsFragment(secondaryParts) : secondary;
+
+            if (elementSettings.secondaryDisplay === 'tooltip') {
+                el.setAttribute('title', secondary);
+            } else if (elementSettings.secondaryDisplay === 'ruby') {
+                content = document.createElement('ruby');
+                content.className = 'intl-datetime-dual';
+                content.appendChild(typeof primaryContent === 'string' ? document.createTextNode(primaryContent) : primaryContent);
+                ['(', secondaryContent, ')'].forEach(function (piece, index) {
+                    const child = document.createElement(index === 1 ? 'rt' : 'rp');
+                    if (typeof piece === 'string') {
+                        child.textContent = piece;
+                    } else {
+                        child.appendChild(piece);
+                    }
+                    content.appendChild(child);
+                });
+            } else {
+                content = applyDualCalendarTemplate(primaryContent, secondaryContent, elementSettings.secondaryDisplay);
+            }
+        }
+
+        writeElementText(el, content);
+        describeDateTime(el, context, secondary ? [calendar, resolveCalendar(secondaryCalendar)] : [calendar]);
+
+        return context;
+    }
+
+    /**
+     * Describe a rendered date to assistive technology and mark it up for machines
+     *
+     * Terse formats like 'j/n/y' are read out as fractions, and nothing else says which calendar a date is in,
+     * so the full date and calendar name are read out from visually hidden text (accessibleLabel 'label' for
+     * inline styles, 'text' for the theme's screen-reader-text class, or 'none'). The element also gets the rendering locale as its lang, and elements other
+     * than <time> get their content wrapped in a <time datetime> element.
+     *
+     * @param {HTMLElement} el - Rendered element
+     * @param {Object} context - Render context from renderDateTime()
+     * @param {string[]} calendars - Calendars shown, primary first
+     */
+    function describeDateTime(el, context, calendars) {
+        const settings = context.settings;
+        const locale = settings.locale || getWPLocale();
+        const target = el.querySelector('a') || el;
+
+        el.setAttribute('lang', locale);
+
+        // Machine-readable value, for the start of ranges
+        let time = el.localName === 'time' ? el : target.querySelector(':scope > time.intl-datetime-value');
+        if (!time) {
+            time = document.createElement('time');
+            time.className = 'intl-datetime-value';
+            while (target.firstChild) {
+                time.appendChild(target.firstChild);
+            }
+            target.appendChild(time);
+        }
+        if (!time.hasAttribute('datetime')) {
+            time.setAttribute('datetime', getElementDateTime(el).dateOnly
+                ? new Date(context.timestamp).toISOString().slice(0, 10)
+                : new Date(context.timestamp).toISOString());
+        }
+
+        // Full date in the shown calendars, with the calendar named unless it is Gregorian
+        const styled = settings.dateStyle || settings.timeStyle;
+        const fullSettings = Object.assign({}, settings, {
+            dateStyle: (styled ? settings.dateStyle : settings.type !== 'time') ? 'full' : undefined,
+            timeStyle: (styled ? settings.timeStyle : settings.type !== 'date') ? 'short' : undefined,
+            customFormat: null
+        });
+        const label = calendars.map(function (calendar) {
+            const calendarSettings = Object.assign({}, fullSettings, {calendar: calendar});
+            const text = context.endTimestamp
+                ? formatDateTimeRange(context.timestamp, context.endTimestamp, calendarSettings)
+                : formatDateTime(context.timestamp, calendarSettings);
+            const name = calendar === 'gregory' || calendar === 'iso8601' ? calendar : getDisplayName(calendar, 'calendar', locale);
+            return name === calendar ? text : text + ' (' + name + ')';
+        }).join(', ');
+
+        const mode = settings.accessibleLabel || getSettings().accessible_label;
+        if (!label || mode === 'none' || label === time.textContent.trim()) {
+            return;
+        }
+
+        // Screen readers ignore aria-label on <time>, which has no role, so the full date is hidden text.
+        // Inside a link, so the link stays focusable and the next render rewrites both spans with it.
+        const container = time === el ? target : time;
+        const visible = document.createElement('span');
+        visible.setAttribute('aria-hidden', 'true');
+        while (container.firstChild) {
+            visible.appendChild(container.firstChild);
+        }
+        const hidden = document.createElement('span');
+        if (mode === 'text') {
+            hidden.className = 'screen-reader-text';
+        } else {
+            hidden.className = 'intl-datetime-label';
+            hidden.style.cssText = VISUALLY_HIDDEN_STYLE;
+        }
+        hidden.textContent = label;
+        container.appendChild(visible);
+        container.appendChild(hidden);
+    }
+
+    /**
+     * Find the unprocessed datetime elements in a root, including the root itself
+     * @param {ParentNode} [root=document] - Root to search for elements
+     * @returns {HTMLElement[]} Elements to format
+     */
+    function findDateTimeElements(root) {
+        root = root || document;
+
+        const timeSelector = getSettings().time_selector;
+        const matches = function (selector) {
+            const found = Array.prototype.slice.call(root.querySelectorAll(selector));
+            if (typeof root.matches === 'function' && root.matches(selector)) {
+                found.unshift(root);
+            }
+            return found;
+        };
+
+        const elements = matches(ELEMENT_SELECTOR);
+        if (!timeSelector) {
+            return elements;
+        }
+
+        try {
+            matches(timeSelector).forEach(function (el) {
+                const container = el.parentElement && el.parentElement.closest(RENDERED_CONTAINER_SELECTOR);
+                if (!container && !el.hasAttribute('data-intl-processed') && elements.indexOf(el) === -1) {
+                    elements.push(el);
+                }
+            });
+        } catch (e) {
+            console.error('[Intl DateTime Calendar] Invalid time selector:', timeSelector, e);
+        }
+        return elements;
+    }
+
+    /**
+     * Parse an ISO 8601 date or date-time
+     *
+     * Values with 'Z' or an offset are exact moments. Values without one are wall-clock times in
+     * the given time zone. Date-only values are returned as UTC midnight and flagged, since they
+     * name a calendar day and must be displayed in UTC to avoid shifting to a neighbouring day.
+     *
+     * @param {string} value - ISO 8601 string (e.g., '2024-12-15', '2024-12-15T10:00', '2024-12-15T03:00:00Z')
+     * @param {string|undefined} timeZone - Resolved time zone for local times, or undefined for the browser's zone
+     * @returns {{timestamp: number, dateOnly: boolean}|null} Parsed value (NaN timestamp for invalid dates), or null if not ISO 8601
+     */
+    function parseIsoDateTime(value, timeZone) {
+        const match = String(value).trim().match(ISO_DATETIME_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const year = parseInt(match[1], 10);
+        const month = parseInt(match[2], 10) - 1;
+        const day = parseInt(match[3], 10);
+        const hour = match[4] ? parseInt(match[4], 10) : 0;
+        const minute = match[5] ? parseInt(match[5], 10) : 0;
+        const second = match[6] ? parseInt(match[6], 10) : 0;
+        const millisecond = match[7] ? Math.floor(parseFloat('0.' + match[7]) * 1000) : 0;
+
+        const utc = new Date(Date.UTC(2000, month, day, hour, minute, second, millisecond));
+        utc.setUTCFullYear(year); // Years 0-99 would otherwise map to 1900-1999
+
+        // Reject out-of-range fields such as '2024-02-30' or '25:00' that Date.UTC would roll over
+        if (utc.getUTCMonth() !== month || utc.getUTCDate() !== day || utc.getUTCHours() !== hour || utc.getUTCMinutes() !== minute) {
+            return {timestamp: NaN, dateOnly: false};
+        }
+
+        if (match[4] === undefined) {
+            return {timestamp: utc.getTime(), dateOnly: true};
+        }
+
+        const zone = match[8];
+        if (zone) {
+            let offset = 0;
+            if (zone.toUpperCase() !== 'Z') {
+                const digits = zone.replace(':', '');
+                offset = (parseInt(digits.slice(1, 3), 10) * 60 + parseInt(digits.slice(3, 5) || '0', 10)) * (zone.charAt(0) === '-' ? -1 : 1);
+            }
+            return {timestamp: utc.getTime() - offset * 60000, dateOnly: false};
+        }
+
+        // The offset at the estimated moment can differ from the one at the result around DST changes
+        const estimate = utc.getTime() - getTimeZoneOffset(utc, timeZone) * 60000;
+        const estimateOffset = getTimeZoneOffset(new Date(estimate), timeZone);
+        const corrected = utc.getTime() - estimateOffset * 60000;
+
+        // Wall-clock times skipped by a DST change have no matching moment, keep the one just after the gap
+        return {
+            timestamp: getTimeZoneOffset(new Date(corrected), timeZone) === estimateOffset ? corrected : estimate,
+            dateOnly: false
+        };
+    }
+
+    /**
+     * Parse a timestamp attribute: milliseconds, ISO 8601, or a date string Date.parse() understands
+     * @param {string|null} value - Attribute value
+     * @param {string|undefined} timeZone - Resolved time zone for ISO values without an offset
+     * @returns {{timestamp: number, dateOnly: boolean}} Parsed value; timestamp is NaN if it cannot be parsed
+     */
+    function parseDateTimeValue(value, timeZone) {
+        if (!value) {
+            return {timestamp: NaN, dateOnly: false};
+        }
+        if (/^-?\d+$/.test(value.trim())) {
+            return {timestamp: parseInt(value, 10), dateOnly: false};
+        }
+        return parseIsoDateTime(value, timeZone) || {timestamp: Date.parse(value), dateOnly: false};
+    }
+
+    /**
+     * Get the moment an element displays
+     *
+     * Timestamps computed on the server (data-intl-datetime) are preferred; otherwise the
+     * datetime attribute is parsed, with local times read in the element's time zone.
+     *
+     * @param {HTMLElement} el - Datetime element, <time> or <intl-datetime>
+     * @returns {{timestamp: number, dateOnly: boolean}} Parsed value; timestamp is NaN if there is none
+     */
+    function getElementDateTime(el) {
+        const isCustomElement = el.localName === CUSTOM_ELEMENT_NAME;
+
+        if (!isCustomElement && el.dataset.intlDatetime) {
+            return {timestamp: parseInt(el.dataset.intlDatetime, 10), dateOnly: false};
+        }
+
+        const timeZone = isCustomElement ? el.getAttribute('time-zone') : el.dataset.timeZone;
+        return parseDateTimeValue(el.getAttribute('datetime'), resolveTimeZone(timeZone || getSettings().time_zone));
+    }
+
+    /**
+     * Get the timestamp an element displays
+     * @param {HTMLElement} el - Datetime element, <time> or <intl-datetime>
+     * @returns {number} Timestamp in milliseconds, or NaN
+     */
+    function getElementTimestamp(el) {
+        return getElementDateTime(el).timestamp;
+    }
+
+    /**
+     * Read an element's formatting settings from its attributes
+     * @param {HTMLElement} el - Datetime element, <time> or <intl-datetime>
+     * @param {Object} settings - Settings from getSettings()
+     * @returns {Object} Element settings
+     */
+    function getElementSettings(el, settings) {
+        const elementSettings = el.localName === CUSTOM_ELEMENT_NAME
+            ? getCustomElementSettings(el, settings)
+            : getDataElementSettings(el, settings);
+
+        // Date-only values are calendar days rather than moments: show that day, without a time, in every time zone
+        if (getElementDateTime(el).dateOnly) {
+            elementSettings.timeZone = 'UTC';
+            if (elementSettings.type === 'datetime' && !elementSettings.timeStyle) {
+                elementSettings.type = 'date';
+            }
+        }
+
+        return elementSettings;
+    }
+
+    /**
+     * Read the formatting settings of a datetime element from its data attributes
+     * @param {HTMLElement} el - Datetime element or <time>
+     * @param {Object} settings - Settings from getSettings()
+     * @returns {Object} Element settings
+     */
+    function getDataElementSettings(el, settings) {
+        const dateFormat = el.dataset.dateFormat;
+        const timeFormat = el.dataset.timeFormat;
+
+        const elementSettings = {
+            calendar: el.dataset.calendar || settings.calendar_type,
+            locale: resolveLocale(el.dataset.locale), // Site locale (never the browser's) unless the element asks for one
+            timeZone: el.dataset.timeZone || settings.time_zone,
+            numberingSystem: el.dataset.numberingSystem || settings.numbering_system,
+            dateStyle: el.dataset.dateStyle,
+            timeStyle: el.dataset.timeStyle,
+            type: 'datetime', // Default to full datetime
+            dateFormat: dateFormat || 'wp',
+            timeFormat: timeFormat || 'wp',
+            customFormat: el.dataset.customFormat || null,
+            secondaryCalendar: el.dataset.secondaryCalendar || settings.secondary_calendar,
+            secondaryDisplay: el.dataset.secondaryDisplay || settings.secondary_display,
+            render: el.dataset.render,
+            accessibleLabel: el.dataset.accessibleLabel || settings.accessible_label,
+            endTimestamp: el.dataset.intlDatetimeEnd
+        };
+
+        const hasDate = elementSettings.dateFormat !== 'none';
+        const hasTime = elementSettings.timeFormat !== 'none';
+
+        if (hasDate && !hasTime) {
+            elementSettings.type = 'date';
+        } else if (!hasDate && hasTime) {
+            elementSettings.type = 'time';
+        } else if (!dateFormat && !timeFormat) {
+            // Post Date and Post Time blocks without format attributes
+            const container = el.closest('.wp-block-post-date, .wp-block-post-time');
+            if (container) {
+                elementSettings.type = container.classList.contains('wp-block-post-date') ? 'date' : 'time';
+            }
+        }
+
+        return elementSettings;
+    }
+
+    /**
+     * Format a single datetime element
+     * @param {HTMLElement} el - Datetime element
+     * @param {Object} settings - Settings from getSettings()
+     */
+    function processDateTimeElement(el, settings) {
+        // Durations and month grids are not a single moment
+        if (el.hasAttribute('data-duration') && !el.hasAttribute('data-intl-processed')) {
+            el.setAttribute('data-intl-processed', 'true');
+            renderDuration(el, settings);
+            return;
+        }
+        if (el.hasAttribute('data-intl-calendar-grid')) {
+            if (!el.hasAttribute('data-intl-processed')) {
+                el.setAttribute('data-intl-processed', 'true');
+                renderCalendarGrid(el);
+            }
+            return;
+        }
+
+        const timestamp = getElementTimestamp(el);
+
+        if (isNaN(timestamp) || el.hasAttribute('data-intl-processed')) {
+            return;
+        }
+
+        // Mark as processed to prevent re-processing
+        el.setAttribute('data-intl-processed', 'true');
+
+        // Render countdowns and human-diff elements as live relative time
+        if (el.dataset.mode === 'countdown' || el.dataset.customFormat === 'human-diff') {
+            trackRelativeTime(el);
+            return;
+        }
+
+        const elementSettings = getElementSettings(el, settings);
+        const rendered = renderDateTime(el, timestamp, elementSettings);
+        if (!rendered) {
+            return;
+        }
+
+        // The secondary calendar may already occupy the tooltip
+        if (!(rendered.settings.secondaryDisplay === 'tooltip' && el.hasAttribute('title'))) {
+            try {
+                const title = formatTooltip(timestamp, rendered.endTimestamp, rendered.settings);
+                if (title) {
+                    el.setAttribute('title', title);
+                }
+            } catch {
+            }
+        }
+
+        notifyRendered(el, rendered);
+    }
+
+    /**
+     * Process and format all datetime elements in a root, in one pass
+     * @param {ParentNode} [root=document] - Root to search for elements
+     */
+    function processDateTimeElements(root) {
+        const settings = getSettings();
+
+        findDateTimeElements(root).forEach(function (el) {
+            processDateTimeElement(el, settings);
+        });
+    }
+
+    /**
+     * Read the formatting settings of an <intl-datetime> element from its attributes
+     *
+     * The format attribute takes 'date', 'time' or 'datetime' (WordPress formats), a style
+     * ('full', 'long', 'medium', 'short'), 'relative', or a PHP date() format string.
+     *
+     * @param {HTMLElement} el - <intl-datetime> element
+     * @param {Object} settings - Settings from getSettings()
+     * @returns {Object} Element settings
+     */
+    function getCustomElementSettings(el, settings) {
+        const format = el.getAttribute('format') || 'datetime';
+        const end = parseDateTimeValue(el.getAttribute('end'), resolveTimeZone(el.getAttribute('time-zone') || settings.time_zone)).timestamp;
+
+        const elementSettings = {
+            calendar: el.getAttribute('calendar') || settings.calendar_type,
+            locale: resolveLocale(el.getAttribute('locale')),
+            timeZone: el.getAttribute('time-zone') || settings.time_zone,
+            numberingSystem: el.getAttribute('numbering-system') || settings.numbering_system,
+            dateStyle: el.getAttribute('date-style') || undefined,
+            timeStyle: el.getAttribute('time-style') || undefined,
+            type: 'datetime',
+            dateFormat: 'wp',
+            timeFormat: 'wp',
+            customFormat: null,
+            secondaryCalendar: el.getAttribute('secondary-calendar') || settings.secondary_calendar,
+            secondaryDisplay: el.getAttribute('secondary-display') || settings.secondary_display,
+            render: el.getAttribute('render') || undefined,
+            accessibleLabel: el.getAttribute('accessible-label') || settings.accessible_label,
+            endTimestamp: isNaN(end) ? undefined : end
+        };
+
+        if (format === 'date' || format === 'time' || format === 'datetime') {
+            elementSettings.type = format;
+        } else if (VALID_STYLES.indexOf(format) !== -1) {
+            elementSettings.dateStyle = elementSettings.dateStyle || format;
+        } else if (format === 'relative') {
+            elementSettings.customFormat = 'human-diff';
+        } else {
+            elementSettings.dateFormat = 'custom';
+            elementSettings.customFormat = format;
+        }
+
+        return elementSettings;
+    }
+
+    /**
+     * Render an <intl-datetime> element from its current attributes
+     *
+     * The element's original content is kept when the datetime attribute is missing or invalid.
+     *
+     * @param {HTMLElement} el - <intl-datetime> element
+     */
+    function renderCustomElement(el) {
+        relativeTimeElements.delete(el);
+
+        const timestamp = getElementTimestamp(el);
+        if (isNaN(timestamp)) {
+            return;
+        }
+
+        const elementSettings = getElementSettings(el, getSettings());
+        if (elementSettings.customFormat === 'human-diff') {
+            trackRelativeTime(el);
+            return;
+        }
+
+        const rendered = renderDateTime(el, timestamp, elementSettings);
+        if (rendered) {
+            notifyRendered(el, rendered);
+        }
+    }
+
+    /**
+     * Register the <intl-datetime> custom element
+     */
+    function defineCustomElement() {
+        if (!window.customElements || window.customElements.get(CUSTOM_ELEMENT_NAME)) {
+            return;
+        }
+
+        class IntlDateTimeElement extends HTMLElement {
+            static get observedAttributes() {
+                return CUSTOM_ELEMENT_ATTRIBUTES;
+            }
+
+            connectedCallback() {
+                renderCustomElement(this);
+            }
+
+            disconnectedCallback() {
+                relativeTimeElements.delete(this);
+            }
+
+            attributeChangedCallback(name, oldValue, newValue) {
+                if (oldValue !== newValue && this.isConnected) {
+                    renderCustomElement(this);
+                }
+            }
+        }
+
+        window.customElements.define(CUSTOM_ELEMENT_NAME, IntlDateTimeElement);
+    }
+
+    /**
+     * Get the first day of the week of a locale from Intl.Locale week info, or the WordPress 'Week Starts On' setting
+     * @param {string} locale - Resolved locale
+     * @returns {number} First day of the week (0 for Sunday to 6 for Saturday)
+     */
+    function getFirstDayOfWeek(locale) {
+        try {
+            const intlLocale = new Intl.Locale(locale);
+            // Renamed from a getter to a method in newer engines
+            const weekInfo = typeof intlLocale.getWeekInfo === 'function' ? intlLocale.getWeekInfo() : intlLocale.weekInfo;
+            if (weekInfo && weekInfo.firstDay) {
+                return weekInfo.firstDay % 7;
+            }
+        } catch (e) {
+            // No Intl.Locale support
+        }
+
+        const startOfWeek = parseInt(getSettings().start_of_week, 10);
+        return isNaN(startOfWeek) ? 0 : startOfWeek % 7;
+    }
+
+    /**
+     * Get the Gregorian ISO date (YYYY-MM-DD) of a UTC-noon date
+     * @param {number} time - Timestamp of a UTC-noon date
+     * @returns {string} ISO date
+     */
+    function toIsoDate(time) {
+        return new Date(time).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Read the links of a month grid's data-posts attribute
+     * @param {HTMLElement} el - Month grid mount point
+     * @returns {Object<string, {url: string, title: (string|undefined)}>} Links keyed by Gregorian ISO date
+     */
+    function getCalendarGridLinks(el) {
+        const links = {};
+        let posts;
+
+        try {
+            posts = JSON.parse(el.getAttribute('data-posts') || '{}') || {};
+        } catch (e) {
+            console.error('[Intl DateTime Calendar] Invalid calendar grid posts:', el.getAttribute('data-posts'), e);
+            return links;
+        }
+
+        Object.keys(posts).forEach(function (date) {
+            const link = typeof posts[date] === 'string' ? {url: posts[date]} : posts[date];
+            if (link && link.url) {
+                links[date] = link;
+            }
+        });
+
+        return links;
+    }
+
+    /**
+     * Render an accessible month grid into a data-intl-calendar-grid mount point
+     *
+     * The attribute names a Gregorian date (YYYY-MM-DD) in the month to show, or the current month when empty.
+     * data-calendar, data-locale, data-numbering-system and data-time-zone override the site settings, and
+     * data-posts links days to URLs with a JSON object keyed by Gregorian date, e.g.
+     * {"2024-12-15": "https://example.com/2024/12/15/"} or {"2024-12-15": {"url": "...", "title": "2 posts"}}.
+     *
+     * @param {HTMLElement} el - Month grid mount point
+     * @returns {HTMLElement} The mount point
+     */
+    function renderCalendarGrid(el) {
+        const settings = getSettings();
+        const locale = resolveLocale(el.dataset.locale);
+        const calendar = resolveCalendar(el.dataset.calendar || settings.calendar_type);
+        const numberingSystem = resolveNumberingSystem(el.dataset.numberingSystem || settings.numbering_system);
+        const labels = Object.assign({}, DEFAULT_CALENDAR_GRID_LABELS, settings.calendar_grid_labels);
+        const links = getCalendarGridLinks(el);
+        const formatWith = function (options) {
+            return getFormatter(locale, Object.assign({calendar: calendar, numberingSystem: numberingSystem, timeZone: 'UTC'}, options));
+        };
+
+        // Days are handled as UTC noon, so day arithmetic never crosses a daylight saving change
+        const today = utcNoon(toZonedWallClock(new Date(), resolveTimeZone(el.dataset.timeZone || settings.time_zone))).getTime();
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(el.getAttribute('data-intl-calendar-grid') || '');
+        const shown = match ? Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10), 12) : today;
+
+        const monthStart = shown - (getCalendarDay(shown, calendar).day - 1) * DAY_MS;
+        let daysInMonth = 1;
+        while (daysInMonth < 31 && getCalendarDay(monthStart + daysInMonth * DAY_MS, calendar).day === daysInMonth + 1) {
+            daysInMonth++;
+        }
+        const previousMonth = monthStart - getCalendarDay(monthStart - DAY_MS, calendar).day * DAY_MS;
+        const nextMonth = monthStart + daysInMonth * DAY_MS;
+
+        const caption = formatWith({year: 'numeric', month: 'long'}).format(new Date(monthStart));
+        const firstDay = getFirstDayOfWeek(locale);
+
+        const table = document.createElement('table');
+        table.className = 'intl-calendar-grid-table wp-calendar-table';
+        table.createCaption().textContent = caption;
+
+        // Weekday headers, starting from the first day of the week (1 January 2023 was a Sunday)
+        const headerRow = table.createTHead().insertRow();
+        for (let i = 0; i < 7; i++) {
+            const weekday = new Date(Date.UTC(2023, 0, 1 + (firstDay + i) % 7, 12));
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = formatWith({weekday: 'short'}).format(weekday);
+            th.setAttribute('aria-label', formatWith({weekday: 'long'}).format(weekday));
+            headerRow.appendChild(th);
+        }
+
+        const body = table.createTBody();
+        let row = body.insertRow();
+        const pad = function (count) {
+            if (count > 0) {
+                const td = row.insertCell();
+                td.className = 'pad';
+                td.colSpan = count;
+                td.textContent = '\u00a0';
+            }
+        };
+
+        pad((new Date(monthStart).getUTCDay() - firstDay + 7) % 7);
+        for (let day = 0; day < daysInMonth; day++) {
+            const time = monthStart + day * DAY_MS;
+            const date = new Date(time);
+            const isoDate = toIsoDate(time);
+
+            if (day > 0 && date.getUTCDay() === firstDay) {
+                row = body.insertRow();
+            }
+
+            const cell = row.insertCell();
+            const dayNumber = document.createElement('time');
+            dayNumber.setAttribute('datetime', isoDate);
+            // Keep the 'Other Dates' selector from formatting the day numbers
+            dayNumber.setAttribute('data-intl-processed', 'true');
+            dayNumber.textContent = formatWith({day: 'numeric'}).formatToParts(date).filter(function (part) {
+                return part.type === 'day';
+            }).map(function (part) {
+                return part.value;
+            }).join('');
+
+            if (time === today) {
+                cell.className = 'intl-calendar-grid-today';
+                cell.setAttribute('aria-current', 'date');
+            }
+
+            const link = links[isoDate];
+            if (link) {
+                const a = document.createElement('a');
+                a.href = link.url;
+                a.setAttribute('aria-label', formatWith({dateStyle: 'full'}).format(date) + (link.title ? ', ' + link.title : ''));
+                a.appendChild(dayNumber);
+                cell.appendChild(a);
+            } else {
+                cell.appendChild(dayNumber);
+            }
+        }
+        pad(6 - (new Date(nextMonth - DAY_MS).getUTCDay() - firstDay + 7) % 7);
+
+        const nav = document.createElement('nav');
+        nav.className = 'intl-calendar-grid-nav wp-calendar-nav';
+        nav.setAttribute('aria-label', labels.navigation);
+        [['previous', previousMonth, '‹ '], ['next', nextMonth, ' ›']].forEach(function (target) {
+            const button = document.createElement('button');
+            const month = formatWith({month: 'short'}).format(new Date(target[1]));
+            button.type = 'button';
+            button.className = 'intl-calendar-grid-' + target[0] + ' wp-calendar-nav-' + (target[0] === 'previous' ? 'prev' : 'next');
+            button.textContent = target[0] === 'previous' ? target[2] + month : month + target[2];
+            button.setAttribute('aria-label', labels[target[0]] + ': ' + formatWith({year: 'numeric', month: 'long'}).format(new Date(target[1])));
+            button.addEventListener('click', function () {
+                el.setAttribute('data-intl-calendar-grid', toIsoDate(target[1]));
+                renderCalendarGrid(el).querySelector('.intl-calendar-grid-' + target[0]).focus();
+            });
+            nav.appendChild(button);
+        });
+
+        el.classList.add('intl-calendar-grid');
+        el.textContent = '';
+        el.appendChild(table);
+        el.appendChild(nav);
+
+        notifyRendered(el, {
+            element: el,
+            timestamp: monthStart,
+            endTimestamp: nextMonth - DAY_MS,
+            settings: {locale: locale, calendar: calendar, numberingSystem: numberingSystem},
+            value: caption
+        });
+
+        return el;
+    }
+
+    /**
+     * Format the title tooltip of an element according to the tooltip setting
+     *
+     * 'wordpress' renders the element's PHP format with the fallback formatter, 'gregorian'
+     * renders it with Intl in the Gregorian calendar and the site locale, and 'none' leaves the title alone.
+     *
+     * @param {number|string} timestamp - Start timestamp in milliseconds
+     * @param {number|string} [endTimestamp] - End timestamp in milliseconds, for ranges
+     * @param {Object} elementSettings - Element settings
+     * @returns {string} Tooltip text, or '' for none
+     */
+    function formatTooltip(timestamp, endTimestamp, elementSettings) {
+        const mode = getSettings().tooltip;
+
+        if (mode === 'none') {
+            return '';
+        }
+
+        if (mode === 'gregorian') {
+            const gregorianSettings = Object.assign({}, elementSettings, {calendar: 'gregory', locale: getSiteLocale()});
+            return endTimestamp
+                ? formatDateTimeRange(timestamp, endTimestamp, gregorianSettings)
+                : formatDateTime(timestamp, gregorianSettings);
+        }
+
+        const originalDate = new Date(parseInt(timestamp, 10));
+        if (isNaN(originalDate.getTime())) {
+            return '';
+        }
+
+        // Use element's format for title attribute
+        let title = formatWithFallback(originalDate, elementSettings);
+        if (endTimestamp) {
+            title += RANGE_SEPARATOR + formatWithFallback(new Date(parseInt(endTimestamp, 10)), elementSettings);
+        }
+        return title;
+    }
+
+    /**
+     * Format the distance between a timestamp and now with Intl.RelativeTimeFormat
+     *
+     * @param {Number} timestamp - The timestamp in milliseconds
+     * @param {Object} [options] - Optional locale, numberingSystem, thresholds and now overrides
+     * @returns {String} Relative time string (e.g., '3 hours ago'), or '' if unsupported
+     */
+    function formatRelativeTime(timestamp, options) {
+        const settings = getSettings();
+        options = options || {};
+
+        if (typeof Intl.RelativeTimeFormat !== 'function') {
+            return '';
+        }
+
+        const thresholds = Object.assign({}, settings.relative_thresholds, options.thresholds || {});
+        const now = options.now || Date.now();
+        const seconds = (parseInt(timestamp, 10) - now) / 1000;
+        const absSeconds = Math.abs(seconds);
+
+        let value;
+        let unit;
+        if (absSeconds < thresholds.second) {
+            value = seconds;
+            unit = 'second';
+        } else if (absSeconds / 60 < thresholds.minute) {
+            value = seconds / 60;
+            unit = 'minute';
+        } else if (absSeconds / 3600 < thresholds.hour) {
+            value = seconds / 3600;
+            unit = 'hour';
+        } else if (absSeconds / 86400 < thresholds.day) {
+            value = seconds / 86400;
+            unit = 'day';
+        } else if (absSeconds / 2629746 < thresholds.month) {
+            value = seconds / 2629746; // Average Gregorian month
+            unit = 'month';
+        } else {
+            value = seconds / 31556952; // Average Gregorian year
+            unit = 'year';
+        }
+
+        const locale = options.locale || settings.locale;
+        const numberingSystem = resolveNumberingSystem(options.numberingSystem || settings.numbering_system);
+        const relativeOptions = {numeric: 'auto', numberingSystem: numberingSystem};
+        const formatter = formatterCache.get('relative|' + getCacheKey(locale, relativeOptions), function () {
+            return new Intl.RelativeTimeFormat(locale, relativeOptions);
+        });
+
+        // Normalize -0 so the current moment reads as "now" rather than "0 seconds ago"
+        return formatter.format(Math.round(value) || 0, unit);
+    }
+
+    /**
+     * Format the time left until a timestamp (e.g., '2 days, 3 hours, 0 minutes, 5 seconds')
+     *
+     * Uses Intl.DurationFormat where available, and Intl.NumberFormat unit formatting otherwise.
+     * Leading units that are zero are left out.
+     *
+     * @param {Number} timestamp - The timestamp in milliseconds
+     * @param {Object} [options] - Optional locale, numberingSystem, style ('long', 'short' or 'narrow') and now overrides
+     * @returns {String} Countdown string, with every unit at zero once the timestamp has passed
+     */
+    function formatCountdown(timestamp, options) {
+        options = options || {};
+
+        const remaining = Math.max(0, Math.ceil((parseInt(timestamp, 10) - (options.now || Date.now())) / 1000));
+        const values = {
+            days: Math.floor(remaining / 86400),
+            hours: Math.floor(remaining % 86400 / 3600),
+            minutes: Math.floor(remaining % 3600 / 60),
+            seconds: remaining % 60
+        };
+
+        // Units at zero in the middle are kept ("1 day, 0 hours, 5 minutes"), leading ones left out
+        const duration = {};
+        Object.keys(values).forEach(function (unit) {
+            if (values[unit] || Object.keys(duration).length || unit === 'seconds') {
+                duration[unit] = values[unit];
+            }
+        });
+
+        const style = ['long', 'short', 'narrow', 'digital'].indexOf(options.style) !== -1 ? options.style : 'long';
+        return formatDuration(duration, Object.assign({}, options, {style: style}));
+    }
+
+    /**
+     * Parse an ISO 8601 duration
+     * @param {string} value - ISO 8601 duration (e.g., 'PT45M', 'P1DT2H30M')
+     * @returns {Object|null} Duration with the units the value names (e.g., {hours: 2, minutes: 30}), or null if invalid
+     */
+    function parseIsoDuration(value) {
+        const match = String(value || '').trim().match(ISO_DURATION_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const duration = {};
+        DURATION_UNITS.slice(0, 7).forEach(function (unit, index) {
+            if (match[index + 1] !== undefined) {
+                duration[unit] = parseInt(match[index + 1], 10);
+            }
+        });
+        if (match[8] !== undefined) {
+            duration.milliseconds = parseInt((match[8] + '00').slice(0, 3), 10);
+        }
+
+        return duration;
+    }
+
+    /**
+     * Format a duration (e.g., '2 hr, 30 min', '2:30:00')
+     *
+     * Uses Intl.DurationFormat where available, and Intl.NumberFormat unit formatting otherwise.
+     * Every unit the duration names is shown, including units at zero.
+     *
+     * @param {Object|string} duration - Duration object ({years, months, weeks, days, hours, minutes, seconds, milliseconds}) or ISO 8601 duration
+     * @param {Object} [options] - Optional locale, numberingSystem and style ('long', 'short', 'narrow' or 'digital') overrides
+     * @returns {String} Formatted duration, or '' if the duration is invalid
+     */
+    function formatDuration(duration, options) {
+        const settings = getSettings();
+        options = options || {};
+
+        if (typeof duration === 'string') {
+            duration = parseIsoDuration(duration);
+        }
+        const units = DURATION_UNITS.filter(function (unit) {
+            return duration && typeof duration[unit] === 'number' && isFinite(duration[unit]);
+        });
+        if (!units.length) {
+            return '';
+        }
+
+        const locale = options.locale || settings.locale;
+        const style = ['long', 'short', 'narrow', 'digital'].indexOf(options.style) !== -1 ? options.style : 'short';
+        const numberingSystem = resolveNumberingSystem(options.numberingSystem || settings.numbering_system);
+
+        if (typeof Intl.DurationFormat === 'function') {
+            const values = {};
+            const durationOptions = {style: style, numberingSystem: numberingSystem};
+            units.forEach(function (unit) {
+                values[unit] = duration[unit];
+                durationOptions[unit + 'Display'] = 'always';
+            });
+
+            return formatterCache.get('duration|' + getCacheKey(locale, durationOptions), function () {
+                return new Intl.DurationFormat(locale, durationOptions);
+            }).format(values);
+        }
+
+        const numberFormat = function (numberOptions) {
+            numberOptions = Object.assign({numberingSystem: numberingSystem}, numberOptions);
+            return formatterCache.get('number|' + getCacheKey(locale, numberOptions), function () {
+                return new Intl.NumberFormat(locale, numberOptions);
+            });
+        };
+
+        // Digital style writes hours, minutes and seconds as a clock (2:30:00) after the larger units
+        const clockUnits = style === 'digital' ? ['hours', 'minutes', 'seconds', 'milliseconds'] : [];
+        const parts = units.filter(function (unit) {
+            return clockUnits.indexOf(unit) === -1;
+        }).map(function (unit) {
+            return numberFormat({style: 'unit', unit: unit.slice(0, -1), unitDisplay: style === 'digital' ? 'short' : style}).format(duration[unit]);
+        });
+
+        if (style === 'digital') {
+            const fractionDigits = duration.milliseconds ? 3 : 0;
+            parts.push(numberFormat({useGrouping: false}).format(duration.hours || 0) + ':' +
+                numberFormat({minimumIntegerDigits: 2}).format(duration.minutes || 0) + ':' +
+                numberFormat({minimumIntegerDigits: 2, minimumFractionDigits: fractionDigits}).format((duration.seconds || 0) + (duration.milliseconds || 0) / 1000));
+        }
+
+        if (typeof Intl.ListFormat !== 'function') {
+            return parts.join(' ');
+        }
+
+        const listOptions = {type: 'unit', style: style === 'digital' ? 'short' : style};
+        return formatterCache.get('list|' + getCacheKey(locale, listOptions), function () {
+            return new Intl.ListFormat(locale, listOptions);
+        }).format(parts);
+    }
+
+    /**
+     * Render a data-duration element as a localized duration
+     * @param {HTMLElement} el - Datetime element
+     * @param {Object} settings - Settings from getSettings()
+     */
+    function renderDuration(el, settings) {
+        const duration = parseIsoDuration(el.dataset.duration);
+        if (!duration) {
+            console.warn('[Intl DateTime Calendar] Invalid ISO 8601 duration:', el.dataset.duration);
+            return;
+        }
+
+        const elementSettings = getElementSettings(el, settings);
+        const context = {element: el, duration: duration};
+        context.settings = applyFilters('beforeFormat', {
+            locale: elementSettings.locale,
+            numberingSystem: elementSettings.numberingSystem,
+            style: el.dataset.durationStyle
+        }, context);
+        if (!context.settings) {
+            return;
+        }
+
+        const value = formatDuration(duration, context.settings);
+        if (!value) {
+            return;
+        }
+
+        context.value = applyFilters('formattedValue', value, context);
+        writeElementText(el, context.value);
+        el.setAttribute('lang', context.settings.locale || getWPLocale());
+
+        // <time> takes durations in its datetime attribute
+        if (el.localName === 'time' && !el.hasAttribute('datetime')) {
+            el.setAttribute('datetime', el.dataset.duration.trim());
+        }
+
+        notifyRendered(el, context);
+    }
+
+    /**
+     * Render a data-mode="countdown" element as the time left, or as its ended label or date once the time has passed
+     * @param {HTMLElement} el - Datetime element
+     * @returns {boolean} Whether the element still needs live updates
+     */
+    function renderCountdown(el) {
+        const timestamp = getElementTimestamp(el);
+        const elementSettings = getElementSettings(el, getSettings());
+
+        if (timestamp <= Date.now()) {
+            el.setAttribute('data-countdown-state', 'ended');
+
+            // Only countdowns seen running reach zero; pages loaded afterwards just show the ended state
+            if (relativeTimeElements.has(el) && typeof CustomEvent === 'function') {
+                el.dispatchEvent(new CustomEvent('intl-datetime:countdown-end', {
+                    bubbles: true,
+                    detail: {element: el, timestamp: timestamp}
+                }));
+            }
+
+            if (el.dataset.countdownEnded) {
+                writeElementText(el, el.dataset.countdownEnded);
+            } else {
+                const rendered = renderDateTime(el, timestamp, elementSettings);
+                if (rendered) {
+                    notifyRendered(el, rendered);
+                }
+            }
+            return false;
+        }
+
+        const context = {element: el, timestamp: timestamp, countdown: true};
+        context.settings = applyFilters('beforeFormat', {
+            calendar: elementSettings.calendar,
+            locale: elementSettings.locale,
+            timeZone: elementSettings.timeZone,
+            numberingSystem: elementSettings.numberingSystem,
+            style: el.dataset.countdownStyle
+        }, context);
+        if (!context.settings) {
+            return false;
+        }
+
+        context.value = applyFilters('formattedValue', formatCountdown(timestamp, context.settings), context);
+        writeElementText(el, context.value);
+        el.setAttribute('data-countdown-state', 'running');
+
+        el.setAttribute('title', formatDateTime(timestamp, Object.assign({}, context.settings, {type: 'datetime'})));
+        notifyRendered(el, context);
+        return true;
+    }
+
+    /**
+     * Render a human-diff element as relative time, or as an absolute date once it is old enough
+     * @param {HTMLElement} el - Datetime element
+     * @returns {boolean} Whether the element still needs live updates
+     */
+    function renderRelativeTime(el) {
+        if (el.dataset.mode === 'countdown') {
+            return renderCountdown(el);
+        }
+
+        const settings = getSettings();
+        const timestamp = getElementTimestamp(el);
+        const ageSeconds = Math.abs(Date.now() - timestamp) / 1000;
+        const attributeSettings = getElementSettings(el, settings);
+        const elementSettings = {
+            calendar: attributeSettings.calendar,
+            locale: attributeSettings.locale,
+            timeZone: attributeSettings.timeZone,
+            numberingSystem: attributeSettings.numberingSystem
+        };
+
+        if (settings.relative_absolute_after && ageSeconds >= settings.relative_absolute_after) {
+            elementSettings.type = 'date';
+            const rendered = renderDateTime(el, timestamp, elementSettings);
+            if (rendered) {
+                notifyRendered(el, rendered);
+            }
+            return false;
+        }
+
+        const context = {element: el, timestamp: timestamp, relative: true};
+        context.settings = applyFilters('beforeFormat', elementSettings, context);
+        if (!context.settings) {
+            return false;
+        }
+
+        const relative = formatRelativeTime(timestamp, {
+            locale: context.settings.locale,
+            numberingSystem: context.settings.numberingSystem
+        });
+        if (!relative) {
+            return false;
+        }
+
+        context.value = applyFilters('formattedValue', relative, context);
+        writeElementText(el, context.value);
+
+        el.setAttribute('title', formatDateTime(timestamp, Object.assign({}, context.settings, {type: 'datetime'})));
+        notifyRendered(el, context);
+        return true;
+    }
+
+    /**
+     * Render a human-diff element and register it with the shared update timer
+     * @param {HTMLElement} el - Datetime element
+     */
+    function trackRelativeTime(el) {
+        if (renderRelativeTime(el)) {
+            relativeTimeElements.add(el);
+
+            // The shared timer may be set for older timestamps, e.g. minutes away while a countdown ends in seconds
+            if (relativeTimeTimer && relativeTimeDue > Date.now() + getRelativeTimeDelay(el)) {
+                clearTimeout(relativeTimeTimer);
+                relativeTimeTimer = null;
+            }
+            scheduleRelativeTimeUpdate();
+        }
+    }
+
+    /**
+     * Re-render all tracked relative time elements
+     */
+    function updateRelativeTimes() {
+        relativeTimeTimer = null;
+
+        relativeTimeElements.forEach(function (el) {
+            if (!el.isConnected || !renderRelativeTime(el)) {
+                relativeTimeElements.delete(el);
+            }
+        });
+
+        scheduleRelativeTimeUpdate();
+    }
+
+    /**
+     * Get how soon a relative time element needs updating, more often while its timestamp is recent
+     * @param {HTMLElement} el - Tracked element
+     * @returns {number} Delay in milliseconds
+     */
+    function getRelativeTimeDelay(el) {
+        const distance = getElementTimestamp(el) - Date.now();
+
+        // Countdowns tick on each whole second left
+        if (el.dataset.mode === 'countdown') {
+            return distance % 1000 || 1000;
+        }
+
+        const age = Math.abs(distance) / 1000;
+        if (age < 60) {
+            return 1000;
+        } else if (age < 3600) {
+            return 30000;
+        } else if (age < 86400) {
+            return 300000;
+        }
+        return 3600000;
+    }
+
+    /**
+     * Schedule the next relative time update for the element that needs it soonest
+     */
+    function scheduleRelativeTimeUpdate() {
+        if (relativeTimeTimer || relativeTimeElements.size === 0 || document.hidden) {
+            return;
+        }
+
+        let delay = Infinity;
+        relativeTimeElements.forEach(function (el) {
+            delay = Math.min(delay, getRelativeTimeDelay(el));
+        });
+
+        relativeTimeDue = Date.now() + delay;
+        relativeTimeTimer = setTimeout(updateRelativeTimes, delay);
+    }
+
+    /**
+     * Pause relative time updates while the tab is hidden and catch up when it is shown again
+     */
+    function onVisibilityChange() {
+        if (document.hidden) {
+            clearTimeout(relativeTimeTimer);
+            relativeTimeTimer = null;
+        } else {
+            updateRelativeTimes();
+        }
+    }
+
+    /**
+     * Run a callback when the browser is idle, or soon after in browsers without requestIdleCallback
+     * @param {Function} callback - Callback receiving an IdleDeadline-like object
+     * @returns {number} Handle for cancelIdle()
+     */
+    function requestIdle(callback) {
+        if (typeof window.requestIdleCallback === 'function') {
+            // Do not postpone formatting indefinitely on busy pages
+            return window.requestIdleCallback(callback, {timeout: 500});
+        }
+
+        return setTimeout(function () {
+            const start = Date.now();
+            callback({
+                didTimeout: false,
+                timeRemaining: function () {
+                    return Math.max(0, 16 - (Date.now() - start));
+                }
+            });
+        }, 1);
+    }
+
+    /**
+     * Cancel a callback scheduled with requestIdle()
+     * @param {number} handle - Handle returned by requestIdle()
+     */
+    function cancelIdle(handle) {
+        if (typeof window.cancelIdleCallback === 'function') {
+            window.cancelIdleCallback(handle);
+        } else {
+            clearTimeout(handle);
+        }
+    }
+
+    /**
+     * Queue the unprocessed datetime elements in a root for formatting in the next idle period
+     *
+     * With deferred off-screen formatting, elements are queued once they approach the viewport.
+     *
+     * @param {ParentNode} root - Root to search for elements
+     */
+    function queueDateTimeElements(root) {
+        findDateTimeElements(root).forEach(function (el) {
+            if (intersectionObserver) {
+                intersectionObserver.observe(el);
+            } else {
+                pendingElements.add(el);
+            }
+        });
+
+        schedulePendingElements();
+    }
+
+    /**
+     * Schedule processing of queued elements, unless already scheduled
+     */
+    function schedulePendingElements() {
+        if (idleHandle === null && pendingElements.size > 0) {
+            idleHandle = requestIdle(processPendingElements);
+        }
+    }
 
-            // Handle numeric day of week (w, N) that can't use Intl API
-            if (dayOfWeekMap[char] !== undefined) {
-                result += dayOfWeekMap[char];
-                i++;
-                continue;
-            }
+    /**
+     * Format queued elements until the idle period ends, then schedule the rest
+     * @param {IdleDeadline} deadline - Idle deadline
+     */
+    function processPendingElements(deadline) {
+        idleHandle = null;
 
-            // Handle escaped characters
-            if (char === '\\' && i + 1 < format.length) {
-                result += format.charAt(++i);
-                i++;
-                continue;
+        const settings = getSettings();
+        let processed = 0;
+        for (const el of pendingElements) {
+            // Always handle a small batch, so elements still get formatted when the page is never idle
+            if (processed >= 25 && deadline.timeRemaining() <= 0) {
+                break;
             }
 
-            // Try to use Intl formatter for this character
-            if (/[YyFMmndjDlaAgGhHis]/.test(char)) {
-                try {
-                    const formatter = getFormatterFor(char);
-
-                    // Special handling for AM/PM indicators
-                    if (char === 'a' || char === 'A') {
-                        const timeParts = formatter.formatToParts(date);
-                        const ampmPart = timeParts.find(function (part) {
-                            return part.type === 'dayPeriod';
-                        });
-                        if (ampmPart) {
-                            result += char === 'a' ? ampmPart.value.toLowerCase() : ampmPart.value.toUpperCase();
-                        } else {
-                            // Fallback if no dayPeriod part found
-                            result += char === 'a' ? (date.getHours() < 12 ? 'am' : 'pm') : (date.getHours() < 12 ? 'AM' : 'PM');
-                        }
-                    }
-                    // Special handling for 12-hour format numeric hours
-                    else if (char === 'g') {
-                        const hourParts = formatter.formatToParts(date);
-                        const hourPart = hourParts.find(function (part) {
-                            return part.type === 'hour';
-                        });
-                        if (hourPart) {
-                            result += hourPart.value;
-                        } else {
-                            // Fallback
-                            result += date.getHours() % 12 || 12;
-                        }
-                    }
-                    // For all other formatters, use the formatted value directly
-                    else {
-                        result += formatter.format(date);
-                    }
-                } catch (e) {
-                    result += fallbackFormat(date, char);
-                }
+            pendingElements.delete(el);
+            if (el.isConnected) {
+                processDateTimeElement(el, settings);
+                processed++;
             }
-            // Add any other characters as-is (e.g., separators, text)
-            else {
-                result += char;
-            }
-
-            i++;
         }
 
-        return result;
+        schedulePendingElements();
     }
 
     /**
-     * Get WordPress site locale (never use browser locale)
-     * @returns {string} WordPress site locale
+     * Get the attributes of a block from the editor store, which lives in the parent window of the iframed canvas
+     * @param {string} clientId - Block client ID
+     * @returns {Object} Block attributes, or an empty object when the store is not available
      */
-    function getWPLocale() {
-        return (window.intlDateTimeCalendarSettings && window.intlDateTimeCalendarSettings.locale) || 'en';
+    function getEditorBlockAttributes(clientId) {
+        try {
+            const editorWindow = window.parent !== window && window.parent.wp ? window.parent : window;
+            const data = editorWindow.wp && editorWindow.wp.data;
+            return (clientId && data && data.select('core/block-editor').getBlockAttributes(clientId)) || {};
+        } catch (e) {
+            // Cross-origin parent, or no block editor store
+            return {};
+        }
     }
 
     /**
-     * Format date using fallback (custom format or WordPress default)
-     * @param {Date} date - Date object
-     * @param {Object} elementSettings - Element settings including customFormat and type
-     * @returns {string} Formatted date string
+     * Give a date in a block preview the data attributes the server adds to the block on the front end
+     * @param {HTMLElement} el - <time> element inside an editor block
+     * @returns {boolean} Whether the element belongs to a block whose dates are formatted
      */
-    function formatWithFallback(date, elementSettings) {
-        const wpSettings = getSettings();
-        let format;
+    function prepareEditorElement(el) {
+        const block = el.closest('[data-type]');
+        const part = block && EDITOR_BLOCK_TYPES[block.getAttribute('data-type')];
+        if (!part) {
+            return false;
+        }
 
-        // Use custom format if available, otherwise use WordPress default
-        if (elementSettings.customFormat) {
-            format = elementSettings.customFormat;
+        const format = getEditorBlockAttributes(block.getAttribute('data-block')).format;
+        el.classList.add('intl-datetime-element');
+        el.setAttribute('data-date-format', part === 'date' ? (format ? 'custom' : 'wp') : 'none');
+        el.setAttribute('data-time-format', part === 'time' ? (format ? 'custom' : 'wp') : 'none');
+        if (format) {
+            el.setAttribute('data-custom-format', format);
         } else {
-            const type = elementSettings.type || 'date';
-            if (type === 'date') {
-                format = wpSettings.wp_date_format;
-            } else if (type === 'time') {
-                format = wpSettings.wp_time_format;
-            } else {
-                format = wpSettings.wp_date_format + ' ' + wpSettings.wp_time_format;
-            }
+            el.removeAttribute('data-custom-format');
         }
+        el.removeAttribute('data-intl-processed');
 
-        // Use fallback formatter with the format string
-        let result = '';
-        for (let i = 0; i < format.length; i++) {
-            const char = format.charAt(i);
-            if (char === '\\' && i + 1 < format.length) {
-                result += format.charAt(++i);
-            } else {
-                result += fallbackFormat(date, char);
-            }
-        }
-        return result;
+        return true;
     }
 
     /**
-     * Format a date using Intl.DateTimeFormat with WordPress or custom settings
-     *
-     * @param {Number} timestamp - The timestamp in milliseconds
-     * @param {Object} settings - Formatting settings
-     * @returns {String} Formatted date string
+     * Format the block preview dates in a subtree that the editor rendered or re-rendered
+     * @param {Element} root - Root element to search, included in the search
      */
-    function formatDateTime(timestamp, settings) {
-        if (!timestamp) {
-            return '';
+    function processEditorElements(root) {
+        const settings = getSettings();
+        const elements = Array.from(root.querySelectorAll('time[datetime]'));
+        if (root.matches('time[datetime]')) {
+            elements.unshift(root);
         }
 
-        try {
-            const date = new Date(parseInt(timestamp, 10));
-            if (isNaN(date.getTime())) {
-                return '';
+        elements.forEach(function (el) {
+            // The editor writes its own Gregorian text when a block's date or format changes
+            if (el.textContent !== editorTexts.get(el) && prepareEditorElement(el)) {
+                processDateTimeElement(el, settings);
+                editorTexts.set(el, el.textContent);
             }
+        });
+    }
 
-            const locale = getWPLocale();
-            const calendar = settings.calendar || (window.intlDateTimeCalendarSettings && window.intlDateTimeCalendarSettings.calendar_type) || 'gregory';
-
-            // Check if a custom format specified by the block
-            if ((settings.dateFormat === 'custom' || settings.timeFormat === 'custom') && settings.customFormat) {
-                // Use our improved custom format function
-                return formatDateWithCustomFormat(date, settings.customFormat, locale, calendar);
+    /**
+     * Queue the subtrees added to the page
+     * @param {MutationRecord[]} mutations - Observed mutations
+     */
+    function onMutations(mutations) {
+        const editor = getSettings().editor;
+
+        mutations.forEach(function (mutation) {
+            if (editor) {
+                const target = mutation.target.nodeType === 1 ? mutation.target : mutation.target.parentElement;
+                const el = target && target.closest('time[datetime]');
+                if (el) {
+                    processEditorElements(el);
+                }
             }
 
-            // Determine if formatting date, time, or both
-            const formatType = settings.type || 'date';
+            mutation.addedNodes.forEach(function (node) {
+                // Elements only; text written into processed elements needs no work
+                if (node.nodeType === 1) {
+                    if (editor) {
+                        processEditorElements(node);
+                    }
+                    queueDateTimeElements(node);
+                }
+            });
+        });
+    }
 
-            // Get appropriate WordPress format with fallbacks
-            let wpFormat;
-            if (formatType === 'date') {
-                wpFormat = (window.intlDateTimeCalendarSettings && window.intlDateTimeCalendarSettings.wp_date_format) || 'F j, Y';
-            } else if (formatType === 'time') {
-                wpFormat = (window.intlDateTimeCalendarSettings && window.intlDateTimeCalendarSettings.wp_time_format) || 'g:i a';
-            } else {
-                const dateFormat = (window.intlDateTimeCalendarSettings && window.intlDateTimeCalendarSettings.wp_date_format) || 'F j, Y';
-                const timeFormat = (window.intlDateTimeCalendarSettings && window.intlDateTimeCalendarSettings.wp_time_format) || 'g:i a';
-                wpFormat = dateFormat + ' ' + timeFormat;
+    /**
+     * Queue deferred elements that are about to scroll into view
+     * @param {IntersectionObserverEntry[]} entries - Intersection changes
+     */
+    function onIntersection(entries) {
+        entries.forEach(function (entry) {
+            if (entry.isIntersecting) {
+                intersectionObserver.unobserve(entry.target);
+                pendingElements.add(entry.target);
             }
+        });
 
-            // Convert WordPress format to Intl options
-            const formatOptions = phpFormatToIntlOptions(wpFormat, formatType);
-            formatOptions.calendar = calendar;
-
-            const formatter = getFormatter(locale, formatOptions);
-            return formatter.format(date);
-        } catch (e) {
-            console.error('[Intl DateTime Calendar] Error formatting date:', e, settings);
-            try {
-                // Fallback: Use custom format if available, otherwise WordPress default
-                const fallbackDate = new Date(parseInt(timestamp, 10));
-                return formatWithFallback(fallbackDate, settings);
-            } catch (fallbackError) {
-                console.error('[Intl DateTime Calendar] Error fallback formatting date:', fallbackError);
-                return '';
-            }
-        }
+        schedulePendingElements();
     }
 
     /**
-     * Fallback formatter for when Intl API fails
-     * @param {Date} date - Date to format
-     * @param {string} char - Format character
-     * @returns {string} Formatted output
+     * Called when DOM is ready
      */
-    function fallbackFormat(date, char) {
-        const formatChars = {
-            // Day
-            'd': padZero(date.getDate()),                         // 01-31
-            'j': date.getDate(),                                  // 1-31
-            'D': ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][date.getDay()], // Short day name
-            'l': ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][date.getDay()], // Full day name
-            'w': date.getDay(),                                   // 0-6
-            'N': date.getDay() === 0 ? 7 : date.getDay(),         // 1-7 (Monday is 1, Sunday is 7)
+    function onReady() {
+        const editor = getSettings().editor;
 
-            // Month
-            'm': padZero(date.getMonth() + 1),               // 01-12
-            'n': date.getMonth() + 1,                             // 1-12
-            'F': ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'][date.getMonth()], // Full month name
-            'M': ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'][date.getMonth()], // Short month name
+        document.querySelectorAll('.intl-datetime-switcher').forEach(initSwitcher);
 
-            // Year
-            'Y': date.getFullYear(),                              // 2023
-            'y': String(date.getFullYear()).slice(-2),            // 23
+        if (editor) {
+            processEditorElements(document.body);
+        }
 
-            // Time
-            'a': date.getHours() < 12 ? 'am' : 'pm',              // am/pm
-            'A': date.getHours() < 12 ? 'AM' : 'PM',              // AM/PM
-            'g': date.getHours() % 12 || 12,                      // 1-12
-            'h': padZero(date.getHours() % 12 || 12),        // 01-12
-            'G': date.getHours(),                                 // 0-23
-            'H': padZero(date.getHours()),                        // 00-23
-            'i': padZero(date.getMinutes()),                      // 00-59
-            's': padZero(date.getSeconds()),                      // 00-59
-        };
+        if (getSettings().defer_offscreen && typeof IntersectionObserver === 'function') {
+            intersectionObserver = new IntersectionObserver(onIntersection, {rootMargin: '200px 0px'});
+            queueDateTimeElements(document);
+        } else {
+            refresh();
+        }
 
-        return formatChars[char] !== undefined ? formatChars[char] : char;
+        document.addEventListener('visibilitychange', onVisibilityChange);
+
+        if (typeof MutationObserver === 'function') {
+            observer = new MutationObserver(onMutations);
+            // Editor re-renders of block previews only change the text of their dates
+            observer.observe(document.body, {
+                childList: true, subtree: true, characterData: editor
+            });
+        }
     }
 
     /**
-     * Helper function to pad numbers with leading zeros
-     * @param {number} num - Number to pad
-     * @returns {string|number} Padded number
+     * Read the visitor's switcher choices from localStorage
+     * @returns {Object} Choices keyed by field (calendar, locale, numbering_system)
      */
-    function padZero(num) {
-        return num < 10 ? '0' + num : num;
+    function loadPreferences() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(PREFERENCES_KEY) || '{}');
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (e) {
+            // Storage disabled or corrupted
+            return {};
+        }
     }
 
     /**
-     * Safely extract settings from global object
-     * @returns {Object} Settings object with defaults
+     * Store the visitor's switcher choices in localStorage
+     * @param {Object} preferences - Choices keyed by field
      */
-    function getSettings() {
-        const settings = window.intlDateTimeCalendarSettings || {};
-        return {
-            locale: settings.locale || 'en',
-            calendar_type: settings.calendar_type || 'gregory',
-            wp_date_format: settings.wp_date_format || 'F j, Y',
-            wp_time_format: settings.wp_time_format || 'g:i a'
-        };
+    function savePreferences(preferences) {
+        try {
+            window.localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+        } catch (e) {
+            // Storage disabled or full, the choice lasts until the page is left
+        }
     }
 
     /**
-     * Process and format all datetime elements on the page
+     * Apply the visitor's switcher choices over the site settings; empty choices restore the site setting
+     * @param {Object} preferences - Choices keyed by field
      */
-    function processDateTimeElements() {
-        const settings = getSettings();
-        const elements = document.querySelectorAll('.intl-datetime-element:not([data-intl-processed])');
-
-        elements.forEach(function (el) {
-            const timestamp = el.dataset.intlDatetime;
+    function applyPreferences(preferences) {
+        Object.keys(PREFERENCE_SETTINGS).forEach(function (field) {
+            const value = preferences[field];
+            let valid = typeof value === 'string' && /^[A-Za-z0-9-]{1,40}$/.test(value);
 
-            if (!timestamp) {
-                return;
+            if (valid && field === 'locale') {
+                try {
+                    valid = Intl.DateTimeFormat.supportedLocalesOf([value]).length > 0;
+                } catch (e) {
+                    valid = false;
+                }
             }
 
-            if (el.dataset.customFormat === 'human-diff') {
-                el.setAttribute('data-intl-processed', 'true');
-                return;
+            if (valid) {
+                runtimeSettings[PREFERENCE_SETTINGS[field]] = value;
+            } else {
+                delete runtimeSettings[PREFERENCE_SETTINGS[field]];
             }
+        });
+    }
 
-            // Mark as processed to prevent re-processing
-            el.setAttribute('data-intl-processed', 'true');
+    /**
+     * Format every element on the page again with the current settings
+     *
+     * Like the first pass, elements are formatted in idle periods, and off-screen ones only once they
+     * approach the viewport when formatting is deferred.
+     */
+    function rerender() {
+        clearTimeout(relativeTimeTimer);
+        relativeTimeTimer = null;
+        relativeTimeElements.clear();
 
-            const elementSettings = {
-                calendar: el.dataset.calendar || settings.calendar_type,
-                locale: settings.locale, // Always use WordPress site locale (not browser)
-                type: 'datetime', // Default to full datetime
-                dateFormat: el.dataset.dateFormat || 'wp',
-                timeFormat: el.dataset.timeFormat || 'wp',
-                customFormat: el.dataset.customFormat || null
-            };
+        document.querySelectorAll('[data-intl-processed]').forEach(function (el) {
+            el.removeAttribute('data-intl-processed');
+        });
+        queueDateTimeElements(document);
 
-            const hasDate = elementSettings.dateFormat !== 'none';
-            const hasTime = elementSettings.timeFormat !== 'none';
+        document.querySelectorAll(CUSTOM_ELEMENT_NAME).forEach(renderCustomElement);
+    }
 
-            if (hasDate && !hasTime) {
-                elementSettings.type = 'date';
-            } else if (!hasDate && hasTime) {
-                elementSettings.type = 'time';
-            }
+    /**
+     * Get the display name of a calendar or locale, falling back to its identifier
+     * @param {string} value - Calendar or locale identifier
+     * @param {string} type - 'calendar' or 'language'
+     * @param {string} locale - Locale to name it in
+     * @returns {string} Display name
+     */
+    function getDisplayName(value, type, locale) {
+        if (typeof Intl.DisplayNames !== 'function') {
+            return value;
+        }
 
-            const formattedDate = formatDateTime(timestamp, elementSettings);
-            if (formattedDate) {
-                const link = el.querySelector('a');
-                if (link) {
-                    link.textContent = formattedDate;
-                } else {
-                    el.textContent = formattedDate;
-                }
+        try {
+            const displayNames = formatterCache.get('names|' + getCacheKey(locale, {type: type}), function () {
+                return new Intl.DisplayNames(locale, {type: type, fallback: 'code'});
+            });
+            return displayNames.of(value) || value;
+        } catch (e) {
+            return value;
+        }
+    }
 
-                try {
-                    const originalDate = new Date(parseInt(timestamp, 10));
-                    if (!isNaN(originalDate.getTime())) {
-                        // Use element's format for title attribute
-                        el.setAttribute('title', formatWithFallback(originalDate, elementSettings));
-                    }
-                } catch {
+    /**
+     * Set up a visitor switcher rendered by the [intl_datetime_switcher] shortcode
+     * @param {HTMLElement} switcher - Switcher container
+     */
+    function initSwitcher(switcher) {
+        const siteLocale = getSiteLocale();
+        const preferences = loadPreferences();
+
+        switcher.querySelectorAll('select[data-intl-switcher]').forEach(function (select) {
+            const field = select.getAttribute('data-intl-switcher');
+
+            if (field === 'calendar' && typeof Intl.supportedValuesOf === 'function') {
+                // Offer every calendar this browser supports, after the "site default" option
+                while (select.options.length > 1) {
+                    select.remove(1);
                 }
+                Intl.supportedValuesOf('calendar').forEach(function (calendar) {
+                    select.add(new Option(getDisplayName(calendar, 'calendar', siteLocale), calendar));
+                });
+            } else if (field === 'locale') {
+                // Name each language in itself
+                Array.prototype.slice.call(select.options, 1).forEach(function (option) {
+                    option.textContent = getDisplayName(option.value, 'language', option.value);
+                });
+            }
+
+            select.value = preferences[field] || '';
+            if (select.selectedIndex === -1) {
+                select.value = '';
             }
+
+            select.addEventListener('change', function () {
+                const updated = loadPreferences();
+                updated[field] = select.value;
+                savePreferences(updated);
+                applyPreferences(updated);
+                rerender();
+            });
         });
     }
 
     /**
-     * Fix date elements in WordPress block editor
+     * Format a timestamp the same way page elements are formatted
+     *
+     * With render: 'parts' the result is HTML with a <span class="intl-dt-part intl-dt-{type}">
+     * per part, as written into elements with data-render="parts".
+     *
+     * @param {Number|Date} timestamp - Timestamp in milliseconds or Date object
+     * @param {Object} [options] - Element settings (calendar, secondaryCalendar, secondaryDisplay, locale, timeZone, numberingSystem, type, dateStyle, timeStyle, dateFormat, timeFormat, customFormat, render)
+     * @returns {String} Formatted date string, or HTML for render: 'parts'
      */
-    function fixDateTimeInBlocks() {
-        const settings = getSettings();
-        const elements = document.querySelectorAll('time.intl-datetime-element:not([data-intl-processed])');
+    function format(timestamp, options) {
+        if (timestamp instanceof Date) {
+            timestamp = timestamp.getTime();
+        }
 
-        elements.forEach(function (el) {
-            const timestamp = el.dataset.intlDatetime;
+        const context = {element: null, timestamp: parseInt(timestamp, 10)};
+        options = applyFilters('beforeFormat', Object.assign({type: 'date'}, options || {}), context);
+        if (!options) {
+            return '';
+        }
+        context.settings = options;
 
-            if (!timestamp) {
-                return;
+        const asParts = options.render === 'parts';
+        const primaryParts = formatDateTimeToParts(timestamp, options);
+        const original = joinParts(primaryParts);
+        if (!original) {
+            return '';
+        }
+        const primary = applyFilters('formattedValue', original, context);
+        const primaryContent = asParts ? createFilteredPartsFragment(primaryParts, original, primary) : primary;
+
+        let result = primaryContent;
+        if (options.secondaryCalendar && options.secondaryCalendar !== options.calendar) {
+            const secondaryParts = formatDateTimeToParts(timestamp, Object.assign({}, options, {calendar: options.secondaryCalendar}));
+            if (secondaryParts.length) {
+                result = applyDualCalendarTemplate(
+                    primaryContent,
+                    asParts ? createPartsFragment(secondaryParts) : joinParts(secondaryParts),
+                    options.secondaryDisplay
+                );
             }
+        }
 
-            // Skip elements with human-diff format
-            if (el.dataset.customFormat === 'human-diff') {
-                el.setAttribute('data-intl-processed', 'true');
-                return;
-            }
+        return asParts ? toHtml(result) : result;
+    }
 
-            // Mark as processed to prevent re-processing
-            el.setAttribute('data-intl-processed', 'true');
+    /**
+     * Format a date range the same way page elements with data-intl-datetime-end are formatted
+     *
+     * @param {Number|Date} start - Start timestamp in milliseconds or Date object
+     * @param {Number|Date} end - End timestamp in milliseconds or Date object
+     * @param {Object} [options] - Element settings, as for format()
+     * @returns {String} Formatted date range
+     */
+    function formatRange(start, end, options) {
+        if (start instanceof Date) {
+            start = start.getTime();
+        }
+        if (end instanceof Date) {
+            end = end.getTime();
+        }
 
-            const dateFormat = el.dataset.dateFormat;
-            const timeFormat = el.dataset.timeFormat;
-            const customFormat = el.dataset.customFormat;
+        return formatDateTimeRange(start, end, Object.assign({type: 'date'}, options || {}));
+    }
 
-            const elementSettings = {
-                calendar: el.dataset.calendar || settings.calendar_type, locale: settings.locale
-            };
+    /**
+     * Format a date with a PHP date() format string
+     *
+     * @param {Date|Number} date - Date object or timestamp in milliseconds
+     * @param {String} phpFormat - PHP date format string (e.g., 'j F Y')
+     * @param {Object} [options] - Optional locale, calendar, timeZone and numberingSystem overrides
+     * @returns {String} Formatted date string
+     */
+    function formatPhp(date, phpFormat, options) {
+        const settings = getSettings();
+        options = options || {};
 
-            // Determine if this is a date, time, or datetime display
-            if (dateFormat === 'custom' || timeFormat === 'custom') {
-                // Use custom format if specified
-                elementSettings.dateFormat = dateFormat;
-                elementSettings.timeFormat = timeFormat;
-                elementSettings.customFormat = customFormat;
-                elementSettings.type = 'custom';
-            } else {
-                // Otherwise determine type based on context or data attributes
-                let formatType = 'datetime';
-
-                // Check data attributes first
-                if (dateFormat === 'wp' && timeFormat === 'none') {
-                    formatType = 'date';
-                } else if (dateFormat === 'none' && timeFormat === 'wp') {
-                    formatType = 'time';
-                } else {
-                    // Fall back to checking container classes
-                    const container = el.closest('.wp-block-post-date, .wp-block-post-time');
-                    if (container) {
-                        formatType = container.classList.contains('wp-block-post-date') ? 'date' : 'time';
-                    }
-                }
+        if (!(date instanceof Date)) {
+            date = new Date(parseInt(date, 10));
+        }
+        if (isNaN(date.getTime())) {
+            return '';
+        }
 
-                elementSettings.type = formatType;
-            }
+        return formatDateWithCustomFormat(date, phpFormat, options.locale || settings.locale, resolveCalendar(options.calendar || settings.calendar_type), {
+            timeZone: options.timeZone || settings.time_zone,
+            numberingSystem: options.numberingSystem || settings.numbering_system
+        });
+    }
 
-            const formattedDate = formatDateTime(timestamp, elementSettings);
-            if (!formattedDate) {
+    /**
+     * List the characters of a PHP date format that cannot be shown the way PHP shows them
+     *
+     * Reasons are 'locale' (dropped because the format follows the locale layout), 'unknown' (not a format
+     * character, shown as-is), 'gregorian' (always Gregorian) and 'calendar' (only in the Chinese and Dangi calendars).
+     *
+     * @param {string} phpFormat - PHP date format string
+     * @param {Object} [options] - Optional calendar and formatMode ('locale' or 'wordpress') overrides
+     * @returns {Array<{char: string, reason: string}>} One entry per character, in format order
+     */
+    function checkPhpFormat(phpFormat, options) {
+        const settings = getSettings();
+        options = options || {};
+
+        const calendar = resolveCalendar(options.calendar || settings.calendar_type);
+        const localeLayout = (options.formatMode || settings.format_mode) === 'locale';
+        const isGregorian = calendar === 'gregory' || calendar === 'iso8601';
+        const isCyclic = calendar === 'chinese' || calendar === 'dangi';
+        const warnings = [];
+        const seen = {};
+
+        tokenizePhpFormat(phpFormat || '').forEach(function (token) {
+            const char = token.char;
+            if (char === undefined || seen[char]) {
                 return;
             }
+            seen[char] = true;
+
+            let reason;
+            if (localeLayout) {
+                reason = PHP_INTL_OPTIONS[char] ? null : 'locale';
+            } else if (!PHP_FORMAT_PARTS[char] && !PHP_COMPUTED_PART_TYPES[char]) {
+                reason = 'unknown';
+            } else if (!isGregorian && /[WoXx]/.test(char)) {
+                reason = 'gregorian';
+            } else if (!isCyclic && /[RC]/.test(char)) {
+                reason = 'calendar';
+            }
 
-            const link = el.querySelector('a');
-            if (link) {
-                link.textContent = formattedDate;
-            } else {
-                el.textContent = formattedDate;
+            if (reason) {
+                warnings.push({char: char, reason: reason});
             }
         });
+
+        return warnings;
     }
 
     /**
-     * Debounce function to limit how often a function can be called
-     * @param {Function} func - Function to debounce
-     * @param {number} wait - Milliseconds to wait
-     * @returns {Function} Debounced function
+     * Format any unprocessed datetime elements inside a root element
+     * @param {ParentNode} [root=document] - Root to search for elements
      */
-    function debounce(func, wait) {
-        let timeout;
-        return function () {
-            const context = this;
-            const args = arguments;
-            clearTimeout(timeout);
-            timeout = setTimeout(function () {
-                func.apply(context, args);
-            }, wait);
-        };
+    function refresh(root) {
+        processDateTimeElements(root);
     }
 
     /**
-     * Called when DOM is ready
+     * Override intlDateTimeCalendarSettings at runtime
+     * @param {Object} settings - Settings to merge over the localized ones
+     * @returns {Object} The resulting settings
      */
-    function onReady() {
-        processDateTimeElements();
-        fixDateTimeInBlocks();
+    function configure(settings) {
+        Object.assign(runtimeSettings, settings || {});
+        calendarCache.clear();
 
-        const processDebounced = debounce(function () {
-            processDateTimeElements();
-            fixDateTimeInBlocks();
-        }, 250);
+        const resolved = getSettings();
+        formatterCache.resize(resolved.formatter_cache_size);
+        return resolved;
+    }
 
-        if (typeof MutationObserver === 'function') {
-            const observer = new MutationObserver(processDebounced);
-            observer.observe(document.body, {
-                childList: true, subtree: true
-            });
+    /**
+     * Get formatter cache statistics, for debugging
+     * @returns {{size: number, maxSize: number, hits: number, misses: number}} Cache statistics
+     */
+    function getCacheStats() {
+        return formatterCache.stats();
+    }
+
+    /**
+     * Stop watching the DOM and release cached formatters
+     */
+    function destroy() {
+        if (observer) {
+            observer.disconnect();
+            observer = null;
         }
+        if (intersectionObserver) {
+            intersectionObserver.disconnect();
+            intersectionObserver = null;
+        }
+        if (idleHandle !== null) {
+            cancelIdle(idleHandle);
+            idleHandle = null;
+        }
+        pendingElements.clear();
+        clearTimeout(relativeTimeTimer);
+        relativeTimeTimer = null;
+        relativeTimeElements.clear();
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+        document.removeEventListener('DOMContentLoaded', onReady);
+        formatterCache.clear();
+        localeCache.clear();
+        timeZoneCache.clear();
+        numberingSystemCache.clear();
+        calendarCache.clear();
     }
 
     /**
      * Initialize the plugin's JavaScript functionality
      */
     function init() {
+        window.IntlDateTimeCalendar = {
+            format: format,
+            formatPhp: formatPhp,
+            checkPhpFormat: checkPhpFormat,
+            formatRange: formatRange,
+            formatRelative: formatRelativeTime,
+            formatCountdown: formatCountdown,
+            formatDuration: formatDuration,
+            renderCalendarGrid: renderCalendarGrid,
+            refresh: refresh,
+            rerender: rerender,
+            configure: configure,
+            addHook: addHook,
+            removeHook: removeHook,
+            getCacheStats: getCacheStats,
+            destroy: destroy
+        };
+
+        formatterCache.resize(getSettings().formatter_cache_size);
+
         if (!window.intlDateTimeCalendarSettings) {
             console.error('[Intl DateTime Calendar] Settings not loaded properly');
         }
@@ -647,6 +3594,13 @@
             return;
         }
 
+        // Visitor choices from the switcher apply before anything is formatted, but not to editor previews
+        if (!getSettings().editor) {
+            applyPreferences(loadPreferences());
+        }
+
+        defineCustomElement();
+
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', onReady);
         } else {
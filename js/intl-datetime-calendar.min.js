@@ -1 +1 @@
-(function(){"use strict";const formatterCache=new Map;function isIntlSupported(){try{if(typeof Intl==="undefined"||typeof Intl.DateTimeFormat==="undefined"){return false}if(typeof Intl.supportedValuesOf!=="function"){console.warn("Intl.supportedValuesOf not available limited calendar support")}new Intl.DateTimeFormat("en",{dateStyle:"full"}).format(new Date);return true}catch(e){return false}}function getFormatter(locale,options){const cacheKey=locale+"|"+JSON.stringify(options);if(!formatterCache.has(cacheKey)){formatterCache.set(cacheKey,new Intl.DateTimeFormat(locale,options))}return formatterCache.get(cacheKey)}function phpFormatToIntlOptions(phpFormat,type){const options={};if(type==="date"||type==="datetime"){options.year="numeric";options.month="long";options.day="numeric"}if(type==="time"||type==="datetime"){options.hour="2-digit";options.minute="2-digit"}if(!phpFormat){return options}const formatMap={Y:{year:"numeric"},y:{year:"2-digit"},F:{month:"long"},M:{month:"short"},m:{month:"2-digit"},n:{month:"numeric"},d:{day:"2-digit"},j:{day:"numeric"},D:{weekday:"short"},l:{weekday:"long"},g:{hour:"numeric",hour12:true},h:{hour:"2-digit",hour12:true},G:{hour:"numeric",hour12:false},H:{hour:"2-digit",hour12:false},i:{minute:"2-digit"},s:{second:"2-digit"},a:{hour12:true,hourCycle:"h12"},A:{hour12:true,hourCycle:"h12"}};for(const char in formatMap){if(formatMap.hasOwnProperty(char)&&phpFormat.includes(char)){Object.assign(options,formatMap[char])}}return options}function formatDateWithCustomFormat(date,format,locale,calendar){if(!date||!format){return""}const getFormatterFor=function(formatChar,extraOptions){extraOptions=extraOptions||{};const cacheKey=formatChar+"|"+locale+"|"+calendar+"|"+JSON.stringify(extraOptions);if(!formatterCache.has(cacheKey)){const options=Object.assign({calendar:calendar},extraOptions);switch(formatChar){case"Y":options.year="numeric";break;case"y":options.year="2-digit";break;case"F":options.month="long";break;case"M":options.month="short";break;case"m":options.month="2-digit";break;case"n":options.month="numeric";break;case"d":options.day="2-digit";break;case"j":options.day="numeric";break;case"D":options.weekday="short";break;case"l":options.weekday="long";break;case"a":case"A":options.hour="numeric";options.hour12=true;break;case"g":options.hour="numeric";options.hour12=true;break;case"h":options.hour="2-digit";options.hour12=true;break;case"G":options.hour="numeric";options.hour12=false;break;case"H":options.hour="2-digit";options.hour12=false;break;case"i":options.minute="2-digit";break;case"s":options.second="2-digit";break}formatterCache.set(cacheKey,new Intl.DateTimeFormat(locale,options))}return formatterCache.get(cacheKey)};const dayOfWeekMap={w:date.getDay(),N:date.getDay()===0?7:date.getDay()};const isThai=locale&&locale.indexOf("th")===0;const isBuddhist=calendar==="buddhist";let result="";let i=0;while(i<format.length){let char=format.charAt(i);if(isThai&&isBuddhist&&(char==="B"||char==="b")){if(char==="B"){result+=String(date.getFullYear()+543)}else{result+=String(date.getFullYear()+543).slice(-2)}i++;continue}if(dayOfWeekMap[char]!==undefined){result+=dayOfWeekMap[char];i++;continue}if(char==="\\"&&i+1<format.length){result+=format.charAt(++i);i++;continue}if(/[YyFMmndjDlaAgGhHis]/.test(char)){try{const formatter=getFormatterFor(char);if(char==="a"||char==="A"){const timeParts=formatter.formatToParts(date);const ampmPart=timeParts.find(function(part){return part.type==="dayPeriod"});if(ampmPart){result+=char==="a"?ampmPart.value.toLowerCase():ampmPart.value.toUpperCase()}else{result+=char==="a"?date.getHours()<12?"am":"pm":date.getHours()<12?"AM":"PM"}}else if(char==="g"){const hourParts=formatter.formatToParts(date);const hourPart=hourParts.find(function(part){return part.type==="hour"});if(hourPart){result+=hourPart.value}else{result+=date.getHours()%12||12}}else{result+=formatter.format(date)}}catch(e){result+=fallbackFormat(date,char)}}else{result+=char}i++}return result}function getWPLocale(){return window.intlDateTimeCalendarSettings&&window.intlDateTimeCalendarSettings.locale||"en"}function formatWithFallback(date,elementSettings){const wpSettings=getSettings();let format;if(elementSettings.customFormat){format=elementSettings.customFormat}else{const type=elementSettings.type||"date";if(type==="date"){format=wpSettings.wp_date_format}else if(type==="time"){format=wpSettings.wp_time_format}else{format=wpSettings.wp_date_format+" "+wpSettings.wp_time_format}}let result="";for(let i=0;i<format.length;i++){const char=format.charAt(i);if(char==="\\"&&i+1<format.length){result+=format.charAt(++i)}else{result+=fallbackFormat(date,char)}}return result}function formatDateTime(timestamp,settings){if(!timestamp){return""}try{const date=new Date(parseInt(timestamp,10));if(isNaN(date.getTime())){return""}const locale=getWPLocale();const calendar=settings.calendar||window.intlDateTimeCalendarSettings&&window.intlDateTimeCalendarSettings.calendar_type||"gregory";if((settings.dateFormat==="custom"||settings.timeFormat==="custom")&&settings.customFormat){return formatDateWithCustomFormat(date,settings.customFormat,locale,calendar)}const formatType=settings.type||"date";let wpFormat;if(formatType==="date"){wpFormat=window.intlDateTimeCalendarSettings&&window.intlDateTimeCalendarSettings.wp_date_format||"F j, Y"}else if(formatType==="time"){wpFormat=window.intlDateTimeCalendarSettings&&window.intlDateTimeCalendarSettings.wp_time_format||"g:i a"}else{const dateFormat=window.intlDateTimeCalendarSettings&&window.intlDateTimeCalendarSettings.wp_date_format||"F j, Y";const timeFormat=window.intlDateTimeCalendarSettings&&window.intlDateTimeCalendarSettings.wp_time_format||"g:i a";wpFormat=dateFormat+" "+timeFormat}const formatOptions=phpFormatToIntlOptions(wpFormat,formatType);formatOptions.calendar=calendar;const formatter=getFormatter(locale,formatOptions);return formatter.format(date)}catch(e){console.error("[Intl DateTime Calendar] Error formatting date:",e,settings);try{const fallbackDate=new Date(parseInt(timestamp,10));return formatWithFallback(fallbackDate,settings)}catch(fallbackError){console.error("[Intl DateTime Calendar] Error fallback formatting date:",fallbackError);return""}}}function fallbackFormat(date,char){const formatChars={d:padZero(date.getDate()),j:date.getDate(),D:["Sun","Mon","Tue","Wed","Thu","Fri","Sat"][date.getDay()],l:["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"][date.getDay()],w:date.getDay(),N:date.getDay()===0?7:date.getDay(),m:padZero(date.getMonth()+1),n:date.getMonth()+1,F:["January","February","March","April","May","June","July","August","September","October","November","December"][date.getMonth()],M:["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"][date.getMonth()],Y:date.getFullYear(),y:String(date.getFullYear()).slice(-2),a:date.getHours()<12?"am":"pm",A:date.getHours()<12?"AM":"PM",g:date.getHours()%12||12,h:padZero(date.getHours()%12||12),G:date.getHours(),H:padZero(date.getHours()),i:padZero(date.getMinutes()),s:padZero(date.getSeconds())};return formatChars[char]!==undefined?formatChars[char]:char}function padZero(num){return num<10?"0"+num:num}function getSettings(){const settings=window.intlDateTimeCalendarSettings||{};return{locale:settings.locale||"en",calendar_type:settings.calendar_type||"gregory",wp_date_format:settings.wp_date_format||"F j, Y",wp_time_format:settings.wp_time_format||"g:i a"}}function processDateTimeElements(){const settings=getSettings();const elements=document.querySelectorAll(".intl-datetime-element:not([data-intl-processed])");elements.forEach(function(el){const timestamp=el.dataset.intlDatetime;if(!timestamp){return}if(el.dataset.customFormat==="human-diff"){el.setAttribute("data-intl-processed","true");return}el.setAttribute("data-intl-processed","true");const elementSettings={calendar:el.dataset.calendar||settings.calendar_type,locale:settings.locale,type:"datetime",dateFormat:el.dataset.dateFormat||"wp",timeFormat:el.dataset.timeFormat||"wp",customFormat:el.dataset.customFormat||null};const hasDate=elementSettings.dateFormat!=="none";const hasTime=elementSettings.timeFormat!=="none";if(hasDate&&!hasTime){elementSettings.type="date"}else if(!hasDate&&hasTime){elementSettings.type="time"}const formattedDate=formatDateTime(timestamp,elementSettings);if(formattedDate){const link=el.querySelector("a");if(link){link.textContent=formattedDate}else{el.textContent=formattedDate}try{const originalDate=new Date(parseInt(timestamp,10));if(!isNaN(originalDate.getTime())){el.setAttribute("title",formatWithFallback(originalDate,elementSettings))}}catch{}}})}function fixDateTimeInBlocks(){const settings=getSettings();const elements=document.querySelectorAll("time.intl-datetime-element:not([data-intl-processed])");elements.forEach(function(el){const timestamp=el.dataset.intlDatetime;if(!timestamp){return}if(el.dataset.customFormat==="human-diff"){el.setAttribute("data-intl-processed","true");return}el.setAttribute("data-intl-processed","true");const dateFormat=el.dataset.dateFormat;const timeFormat=el.dataset.timeFormat;const customFormat=el.dataset.customFormat;const elementSettings={calendar:el.dataset.calendar||settings.calendar_type,locale:settings.locale};if(dateFormat==="custom"||timeFormat==="custom"){elementSettings.dateFormat=dateFormat;elementSettings.timeFormat=timeFormat;elementSettings.customFormat=customFormat;elementSettings.type="custom"}else{let formatType="datetime";if(dateFormat==="wp"&&timeFormat==="none"){formatType="date"}else if(dateFormat==="none"&&timeFormat==="wp"){formatType="time"}else{const container=el.closest(".wp-block-post-date, .wp-block-post-time");if(container){formatType=container.classList.contains("wp-block-post-date")?"date":"time"}}elementSettings.type=formatType}const formattedDate=formatDateTime(timestamp,elementSettings);if(!formattedDate){return}const link=el.querySelector("a");if(link){link.textContent=formattedDate}else{el.textContent=formattedDate}})}function debounce(func,wait){let timeout;return function(){const context=this;const args=arguments;clearTimeout(timeout);timeout=setTimeout(function(){func.apply(context,args)},wait)}}function onReady(){processDateTimeElements();fixDateTimeInBlocks();const processDebounced=debounce(function(){processDateTimeElements();fixDateTimeInBlocks()},250);if(typeof MutationObserver==="function"){const observer=new MutationObserver(processDebounced);observer.observe(document.body,{childList:true,subtree:true})}}function init(){if(!window.intlDateTimeCalendarSettings){console.error("[Intl DateTime Calendar] Settings not loaded properly")}if(!isIntlSupported()){console.warn("Intl API is not fully supported in this browser. Date formatting will use browser defaults.");return}if(document.readyState==="loading"){document.addEventListener("DOMContentLoaded",onReady)}else{onReady()}}init()})();
\ No newline at end of file
+!function(){"use strict";const formatterCache=function(maxSize){const entries=new Map;let hits=0,misses=0;const evict=function(){for(;entries.size>maxSize;)entries.delete(entries.keys().next().value)};return{get:function(key,create){if(entries.has(key)){const value=entries.get(key);return entries.delete(key),entries.set(key,value),hits++,value}misses++;const value=create();return entries.set(key,value),evict(),value},resize:function(size){maxSize=Math.max(1,parseInt(size,10)||200),evict()},clear:function(){entries.clear(),hits=0,misses=0},stats:function(){return{size:entries.size,maxSize,hits,misses}}}}(200);let runtimeSettings={},observer=null,intersectionObserver=null;const pendingElements=new Set;let idleHandle=null;const relativeTimeElements=new Set;let relativeTimeTimer=null,relativeTimeDue=0;const hooks={beforeFormat:[],formatOptions:[],formattedValue:[],afterRender:[]},timeZoneCache=new Map,numberingSystemCache=new Map,calendarCache=new Map,localeCache=new Map,DAY_MS=864e5,ORDINAL_SUFFIXES={en:{one:"st",two:"nd",few:"rd",other:"th"},fr:{one:"er",other:""}},DEFAULT_LOCALE_DATA={months:["January","February","March","April","May","June","July","August","September","October","November","December"],monthsShort:["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"],weekdays:["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"],weekdaysShort:["Sun","Mon","Tue","Wed","Thu","Fri","Sat"],dayPeriods:["AM","PM"]},DEFAULT_CALENDAR_GRID_LABELS={navigation:"Previous and next months",previous:"Previous month",next:"Next month"},DEFAULT_CALENDAR_FALLBACKS={"islamic-rgsa":["islamic-umalqura","islamic"],"islamic-umalqura":["islamic"],"islamic-tbla":["islamic-civil","islamic"],"islamic-civil":["islamic-tbla","islamic"],ethioaa:["ethiopic"],dangi:["chinese"]},CALENDAR_ALIASES={islamicc:"islamic-civil","ethiopic-amete-alem":"ethioaa"},ISO_DATETIME_PATTERN=/^([+-]\d{6}|\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?)?$/i,ISO_DURATION_PATTERN=/^P(?!$)(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?=\d)(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)(?:[.,](\d+))?S)?)?$/i,DURATION_UNITS=["years","months","weeks","days","hours","minutes","seconds","milliseconds"],PREFERENCE_SETTINGS={calendar:"calendar_type",locale:"locale",numbering_system:"numbering_system"},EDITOR_BLOCK_TYPES={"core/post-date":"date","core/post-time":"time","core/post-modified-date":"date","core/post-modified-time":"time","core/latest-posts":"date","core/latest-comments":"date"},editorTexts=new WeakMap,CUSTOM_ELEMENT_ATTRIBUTES=["datetime","end","calendar","locale","format","date-style","time-style","time-zone","numbering-system","secondary-calendar","secondary-display","render","accessible-label"],VISUALLY_HIDDEN_STYLE="position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0",VALID_STYLES=["full","long","medium","short"],DEFAULT_RELATIVE_THRESHOLDS={second:45,minute:45,hour:22,day:26,month:11};function getCacheKey(locale,options){return options=options||{},String(locale).toLowerCase()+"|"+Object.keys(options).sort().filter(function(key){return void 0!==options[key]}).map(function(key){return key+"="+options[key]}).join(",")}function addHook(name,callback,priority){if(!hooks[name])throw new Error("[Intl DateTime Calendar] Unknown hook: "+name);if("function"!=typeof callback)throw new TypeError("[Intl DateTime Calendar] Hook callback must be a function");return hooks[name].push({callback,priority:"number"==typeof priority?priority:10}),hooks[name].sort(function(a,b){return a.priority-b.priority}),function(){removeHook(name,callback)}}function removeHook(name,callback){hooks[name]&&(hooks[name]=hooks[name].filter(function(hook){return hook.callback!==callback}))}function applyFilters(name,value,context){return hooks[name].forEach(function(hook){try{const result=hook.callback(value,context);void 0!==result&&(value=result)}catch(e){console.error("[Intl DateTime Calendar] Error in "+name+" hook:",e)}}),value}function notifyRendered(el,context){hooks.afterRender.forEach(function(hook){try{hook.callback(el,context)}catch(e){console.error("[Intl DateTime Calendar] Error in afterRender hook:",e)}}),"function"==typeof CustomEvent&&el.dispatchEvent(new CustomEvent("intl-datetime:rendered",{bubbles:!0,detail:context}))}function getFormatter(locale,options){return formatterCache.get("date|"+getCacheKey(locale,options),function(){return new Intl.DateTimeFormat(locale,options)})}const PHP_INTL_OPTIONS={Y:{year:"numeric"},y:{year:"2-digit"},F:{month:"long"},M:{month:"short"},m:{month:"2-digit"},n:{month:"numeric"},d:{day:"2-digit"},j:{day:"numeric"},D:{weekday:"short"},l:{weekday:"long"},g:{hour:"numeric",hour12:!0},h:{hour:"2-digit",hour12:!0},G:{hour:"numeric",hour12:!1},H:{hour:"2-digit",hour12:!1},i:{minute:"2-digit"},s:{second:"2-digit"},a:{hour12:!0,hourCycle:"h12"},A:{hour12:!0,hourCycle:"h12"}};function resolveTimeZone(timeZone){if(timeZone&&"visitor"!==timeZone){if(!timeZoneCache.has(timeZone))try{new Intl.DateTimeFormat("en",{timeZone}),timeZoneCache.set(timeZone,!0)}catch(e){console.warn("[Intl DateTime Calendar] Unsupported time zone, using visitor time zone:",timeZone),timeZoneCache.set(timeZone,!1)}return timeZoneCache.get(timeZone)?timeZone:void 0}}function isCalendarSupported(calendar){try{const resolved=new Intl.DateTimeFormat("en",{calendar}).resolvedOptions().calendar;return resolved===calendar||resolved===CALENDAR_ALIASES[calendar]}catch(e){return!1}}function resolveCalendar(calendar){if(!calendar)return calendar;if(!calendarCache.has(calendar)){const fallbacks=Object.assign({},DEFAULT_CALENDAR_FALLBACKS,getSettings().calendar_fallbacks)[calendar]||[],supported=[calendar].concat(fallbacks).find(isCalendarSupported)||"gregory";supported!==calendar&&console.warn("[Intl DateTime Calendar] Unsupported calendar, using "+supported+" instead:",calendar),calendarCache.set(calendar,CALENDAR_ALIASES[supported]||supported)}return calendarCache.get(calendar)}function resolveNumberingSystem(numberingSystem){if(numberingSystem){if(!numberingSystemCache.has(numberingSystem)){let supported=!1;try{supported="function"==typeof Intl.supportedValuesOf?-1!==Intl.supportedValuesOf("numberingSystem").indexOf(numberingSystem):new Intl.NumberFormat("en",{numberingSystem}).resolvedOptions().numberingSystem===numberingSystem}catch(e){}supported||console.warn("[Intl DateTime Calendar] Unsupported numbering system, using locale default:",numberingSystem),numberingSystemCache.set(numberingSystem,supported)}return numberingSystemCache.get(numberingSystem)?numberingSystem:void 0}}function getEffectiveNumberingSystem(locale,numberingSystem){if(numberingSystem)return numberingSystem;try{return getFormatter(locale,{}).resolvedOptions().numberingSystem}catch(e){return"latn"}}function localizeDigits(text,numberingSystem){if(text=String(text),!numberingSystem||"latn"===numberingSystem)return text;const digits=formatterCache.get("digits|"+numberingSystem,function(){try{const numberFormat=new Intl.NumberFormat("en",{numberingSystem,useGrouping:!1});return"0123456789".split("").map(function(digit){return numberFormat.format(parseInt(digit,10))})}catch(e){return null}});return digits?text.replace(/[0-9]/g,function(digit){return digits[digit]}):text}function toZonedWallClock(date,timeZone){if(!timeZone)return date;try{const values={};getFormatter("en-US",{timeZone,calendar:"gregory",numberingSystem:"latn",hourCycle:"h23",year:"numeric",month:"numeric",day:"numeric",hour:"numeric",minute:"numeric",second:"numeric"}).formatToParts(date).forEach(function(part){values[part.type]=parseInt(part.value,10)});const wallClock=new Date(values.year,values.month-1,values.day,values.hour,values.minute,values.second,date.getMilliseconds());return wallClock.setFullYear(values.year),wallClock}catch(e){return date}}function getTimeZoneOffset(date,timeZone){if(!timeZone)return-date.getTimezoneOffset();try{const offsetPart=getFormatter("en-US",{timeZone,timeZoneName:"longOffset"}).formatToParts(date).find(function(part){return"timeZoneName"===part.type}),match=offsetPart&&offsetPart.value.match(/^GMT(?:([+-])(\d{1,2})(?::?(\d{2}))?)?$/);if(match){const minutes=match[1]?60*parseInt(match[2],10)+parseInt(match[3]||"0",10):0;return"-"===match[1]?-minutes:minutes}}catch(e){}const wallClock=toZonedWallClock(date,timeZone),wallClockUtc=Date.UTC(wallClock.getFullYear(),wallClock.getMonth(),wallClock.getDate(),wallClock.getHours(),wallClock.getMinutes(),wallClock.getSeconds());return Math.round((wallClockUtc-1e3*Math.floor(date.getTime()/1e3))/6e4)}function formatTimeZoneChar(date,char,locale,timeZone){if("e"===char)return timeZone||getFormatter("en",{}).resolvedOptions().timeZone;if("T"===char){const namePart=getFormatter(locale,{timeZone,timeZoneName:"short"}).formatToParts(date).find(function(part){return"timeZoneName"===part.type});return namePart?namePart.value:""}const offset=getTimeZoneOffset(date,timeZone),absOffset=Math.abs(offset);return(offset<0?"-":"+")+padZero(Math.floor(absOffset/60))+("P"===char?":":"")+padZero(absOffset%60)}const PHP_FORMAT_PARTS={Y:{part:"year",options:{year:"numeric"}},y:{part:"year",options:{year:"2-digit"}},E:{part:"era",options:{era:"short",year:"numeric"}},J:{part:"era",options:{era:"long",year:"numeric"}},K:{part:"year",options:{year:"numeric"},alone:!0},k:{part:"year",options:{year:"2-digit"},alone:!0},R:{part:"relatedYear",options:{year:"numeric"}},C:{part:"yearName",options:{year:"numeric"},alone:!0},F:{part:"month",options:{month:"long"}},M:{part:"month",options:{month:"short"}},m:{part:"month",options:{month:"2-digit"}},n:{part:"month",options:{month:"numeric"}},d:{part:"day",options:{day:"2-digit"}},j:{part:"day",options:{day:"numeric"}},D:{part:"weekday",options:{weekday:"short"}},l:{part:"weekday",options:{weekday:"long"}},a:{part:"dayPeriod",options:{hourCycle:"h12"}},A:{part:"dayPeriod",options:{hourCycle:"h12"}},g:{part:"hour",options:{hour:"numeric",hourCycle:"h12"}},h:{part:"hour",options:{hour:"2-digit",hourCycle:"h12"}},G:{part:"hour",options:{hour:"numeric",hourCycle:"h23"}},H:{part:"hour",options:{hour:"2-digit",hourCycle:"h23"}},i:{part:"minute",options:{minute:"2-digit"}},s:{part:"second",options:{second:"2-digit"}}},PHP_COMPUTED_PART_TYPES={w:"weekday",N:"weekday",S:"ordinal",z:"dayOfYear",W:"week",t:"daysInMonth",L:"leapYear",o:"year",X:"year",x:"year",B:"swatchTime",u:"fractionalSecond",v:"fractionalSecond",I:"daylightSaving",e:"timeZoneName",T:"timeZoneName",O:"timeZoneName",P:"timeZoneName",p:"timeZoneName",Z:"timeZoneName",c:"dateTime",r:"dateTime",U:"timestamp"};function tokenizePhpFormat(format){const tokens=[];for(let i=0;i<format.length;i++){const char=format.charAt(i);"\\"===char&&i+1<format.length?tokens.push({literal:format.charAt(++i)}):/[a-zA-Z]/.test(char)?tokens.push({char}):tokens.push({literal:char})}return tokens}function compilePhpFormat(format,locale,calendar,timeZone,numberingSystem){const tokens=tokenizePhpFormat(format);"buddhist"===calendar&&locale&&0===locale.indexOf("th")&&tokens.forEach(function(token){"B"!==token.char&&"b"!==token.char||(token.char="B"===token.char?"K":"k")});const formatters=function(tokens){const bags=[],aloneBags=[];return tokens.forEach(function(token){const spec=token.char&&PHP_FORMAT_PARTS[token.char];if(!spec)return;let index=bags.findIndex(function(bag,bagIndex){return!!spec.alone==(-1!==aloneBags.indexOf(bagIndex))&&Object.keys(spec.options).every(function(key){return void 0===bag[key]||bag[key]===spec.options[key]})});-1===index&&(index=bags.push({})-1,spec.alone&&aloneBags.push(index)),Object.assign(bags[index],spec.options),token.bag=index}),bags.forEach(function(bag){void 0===bag.hour&&(bag.hourCycle||bag.minute||bag.second)&&(bag.hour="numeric")}),bags}(tokens).map(function(bag){try{return new Intl.DateTimeFormat(locale,Object.assign({calendar,timeZone,numberingSystem},bag))}catch(e){return null}});return{tokens,formatters}}function getOrdinalSuffix(num,locale){const suffixes=Object.assign({},ORDINAL_SUFFIXES,getSettings().ordinal_suffixes)[locale.split("-")[0].toLowerCase()];if(!suffixes)return"";let category="other";try{category=formatterCache.get("ordinal|"+getCacheKey(locale),function(){return new Intl.PluralRules(locale,{type:"ordinal"})}).select(num)}catch(e){}return void 0!==suffixes[category]?suffixes[category]:suffixes.other||""}function utcNoon(local){const noon=new Date(0);return noon.setUTCFullYear(local.getFullYear(),local.getMonth(),local.getDate()),noon.setUTCHours(12),noon}function getCalendarDay(time,calendar){const fields={};return getFormatter("en-US",{calendar,timeZone:"UTC",numberingSystem:"latn",era:"short",year:"numeric",month:"numeric",day:"numeric"}).formatToParts(new Date(time)).forEach(function(part){fields[part.type]=part.value}),{year:[fields.era,fields.year,fields.relatedYear,fields.yearName].join("|"),day:parseInt(fields.day,10)}}function formatComputedChar(date,local,char,context){const isGregorian="gregory"===context.calendar||"iso8601"===context.calendar;switch(char){case"w":case"N":case"W":case"o":case"X":case"x":case"u":case"v":return String(fallbackFormat(local,char));case"S":return getOrdinalSuffix(isGregorian?local.getDate():getCalendarDay(utcNoon(local).getTime(),context.calendar).day,context.locale);case"z":case"t":case"L":return context.metrics=context.metrics||function(local,calendar){const noon=utcNoon(local);if("gregory"===calendar||"iso8601"===calendar){const year=noon.getUTCFullYear(),isLeap=year%4==0&&year%100!=0||year%400==0,startOfYear=new Date(noon.getTime());startOfYear.setUTCMonth(0,1);const endOfMonth=new Date(noon.getTime());return endOfMonth.setUTCMonth(endOfMonth.getUTCMonth()+1,0),{dayOfYear:Math.round((noon.getTime()-startOfYear.getTime())/DAY_MS),daysInMonth:endOfMonth.getUTCDate(),daysInYear:isLeap?366:365}}const today=getCalendarDay(noon.getTime(),calendar),monthStart=noon.getTime()-(today.day-1)*DAY_MS;let dayOfYear=today.day-1,yearStart=monthStart;for(let guard=0;guard<14;guard++){const previous=getCalendarDay(yearStart-DAY_MS,calendar);if(previous.year!==today.year)break;dayOfYear+=previous.day,yearStart-=previous.day*DAY_MS}let daysInMonth=31;for(;daysInMonth>1&&getCalendarDay(monthStart+(daysInMonth-1)*DAY_MS,calendar).day!==daysInMonth;)daysInMonth--;const yearLengths=[353,354,355,365,366,383,384,385];let daysInYear=365;for(let i=0;i<yearLengths.length;i++)if(getCalendarDay(yearStart+yearLengths[i]*DAY_MS,calendar).year!==today.year){daysInYear=yearLengths[i];break}return{dayOfYear,daysInMonth,daysInYear}}(local,context.calendar),"z"===char?String(context.metrics.dayOfYear):"t"===char?String(context.metrics.daysInMonth):(daysInYear=context.metrics.daysInYear,(0===context.calendar.indexOf("islamic")?355===daysInYear:366===daysInYear||daysInYear>=383)?"1":"0");case"U":return String(Math.floor(date.getTime()/1e3));case"B":{const seconds=(3600*date.getUTCHours()+60*date.getUTCMinutes()+date.getUTCSeconds()+3600)%86400;return("00"+Math.floor(seconds/86.4)).slice(-3)}case"I":{const january=new Date(Date.UTC(local.getFullYear(),0,1)),july=new Date(Date.UTC(local.getFullYear(),6,1)),standardOffset=Math.min(getTimeZoneOffset(january,context.timeZone),getTimeZoneOffset(july,context.timeZone));return getTimeZoneOffset(date,context.timeZone)>standardOffset?"1":"0"}case"Z":return String(60*getTimeZoneOffset(date,context.timeZone));case"p":return 0===getTimeZoneOffset(date,context.timeZone)?"Z":formatTimeZoneChar(date,"P",context.locale,context.timeZone);case"c":return formatFallbackString(local,"X-m-d\\TH:i:s").replace(/^\+/,"")+formatTimeZoneChar(date,"P",context.locale,context.timeZone);case"r":return formatFallbackString(local,"D, d M Y H:i:s ")+formatTimeZoneChar(date,"O",context.locale,context.timeZone)}var daysInYear}function formatDateWithCustomFormatToParts(date,format,locale,calendar,settings){if(!date||!format)return[];const timeZone=resolveTimeZone(settings&&settings.timeZone),numberingSystem=resolveNumberingSystem(settings&&settings.numberingSystem),effectiveNumberingSystem=getEffectiveNumberingSystem(locale,numberingSystem),digits=function(text){return localizeDigits(text,effectiveNumberingSystem)},local=toZonedWallClock(date,timeZone),compiled=formatterCache.get("php|"+getCacheKey(locale,{format,calendar,timeZone,numberingSystem}),function(){return compilePhpFormat(format,locale,calendar,timeZone,numberingSystem)}),tokens=compiled.tokens,partValues=compiled.formatters.map(function(formatter){const values={};if(!formatter)return values;try{formatter.formatToParts(date).forEach(function(part){void 0===values[part.type]&&(values[part.type]=part.value)}),void 0===values.year&&void 0!==values.relatedYear&&(values.year=values.relatedYear),values.zeroDigit=function(numberingSystem){return formatterCache.get("zero|"+numberingSystem,function(){return new Intl.NumberFormat("en",{numberingSystem}).format(0)})}(formatter.resolvedOptions().numberingSystem)}catch(e){}return values}),context={locale,calendar,timeZone},parts=[],push=function(type,value){const last=parts[parts.length-1];"literal"===type&&last&&"literal"===last.type?last.value+=value:parts.push({type,value})};return tokens.forEach(function(token){const char=token.char;if(void 0===char)return void push("literal",token.literal);let computed;try{computed=formatComputedChar(date,local,char,context)}catch(e){computed=fallbackFormat(local,char,getLocaleData(locale))}if(void 0===computed)if(/[eTOP]/.test(char))try{const zoneValue=formatTimeZoneChar(date,char,locale,timeZone);push("timeZoneName","O"===char||"P"===char?digits(zoneValue):zoneValue)}catch(e){push("timeZoneName",fallbackFormat(local,char,getLocaleData(locale)))}else{if(void 0!==token.bag){const values=partValues[token.bag];let value=values[PHP_FORMAT_PARTS[char].part];if(("K"===char||"k"===char)&&void 0!==values.yearName){const relatedYear=parseInt(values.relatedYear,10);value=isNaN(relatedYear)?void 0:digits(((relatedYear-4)%60+60)%60+1)}"E"!==char&&"J"!==char||void 0!==value||void 0===values.zeroDigit||(value="");const type=PHP_FORMAT_PARTS[char].part;return void(void 0===value?push(type,digits(fallbackFormat(local,char,getLocaleData(locale)))):/[gGjn]/.test(char)&&value.length>1&&value.charAt(0)===partValues[token.bag].zeroDigit?push(type,value.slice(1)):push(type,"a"===char?value.toLowerCase():"A"===char?value.toUpperCase():value))}push("literal",char)}else push(PHP_COMPUTED_PART_TYPES[char]||"literal",/[crU]/.test(char)?computed:digits(computed))}),parts}function getWPLocale(){return getSettings().locale}function getSiteLocale(){return(window.intlDateTimeCalendarSettings||{}).locale||"en"}function resolveLocale(locale){if(!locale)return getWPLocale();if(!localeCache.has(locale)){let resolved=null;try{resolved=Intl.DateTimeFormat.supportedLocalesOf([locale.replace(/_/g,"-")])[0]||null}catch(e){}resolved||console.warn("[Intl DateTime Calendar] Unsupported locale, using site locale:",locale),localeCache.set(locale,resolved)}return localeCache.get(locale)||getWPLocale()}function getLocaleData(locale){const packs=getSettings().locale_data,pack=locale&&(packs[locale]||packs[locale.split("-")[0].toLowerCase()]);return Object.assign({locale:pack?locale:"en"},DEFAULT_LOCALE_DATA,pack||{})}function formatWithFallback(date,elementSettings){const wpSettings=getSettings(),numberingSystem=getEffectiveNumberingSystem(elementSettings.locale||wpSettings.locale,resolveNumberingSystem(elementSettings.numberingSystem||wpSettings.numbering_system)),local=toZonedWallClock(date,resolveTimeZone(elementSettings.timeZone||wpSettings.time_zone));let format;if(elementSettings.customFormat)format=elementSettings.customFormat;else{const type=elementSettings.type||"date";format="date"===type?wpSettings.wp_date_format:"time"===type?wpSettings.wp_time_format:wpSettings.wp_date_format+" "+wpSettings.wp_time_format}return localizeDigits(formatFallbackString(local,format,elementSettings.locale||wpSettings.locale),numberingSystem)}function formatFallbackString(date,format,locale){const localeData=getLocaleData(locale);let result="";for(let i=0;i<format.length;i++){const char=format.charAt(i);"\\"===char&&i+1<format.length?result+=format.charAt(++i):result+=fallbackFormat(date,char,localeData)}return result}function resolveFormat(settings){const wpSettings=getSettings(),resolved={locale:resolveLocale(settings.locale),calendar:resolveCalendar(settings.calendar||wpSettings.calendar_type),timeZone:resolveTimeZone(settings.timeZone||wpSettings.time_zone),numberingSystem:resolveNumberingSystem(settings.numberingSystem||wpSettings.numbering_system)};if(("custom"===settings.dateFormat||"custom"===settings.timeFormat)&&settings.customFormat)return resolved.customFormat=settings.customFormat,resolved;const dateStyle=-1!==VALID_STYLES.indexOf(settings.dateStyle)?settings.dateStyle:void 0,timeStyle=-1!==VALID_STYLES.indexOf(settings.timeStyle)?settings.timeStyle:void 0;if(dateStyle||timeStyle)return resolved.options={dateStyle,timeStyle,calendar:resolved.calendar,timeZone:resolved.timeZone,numberingSystem:resolved.numberingSystem},resolved;const formatType=settings.type||"date";let wpFormat;return wpFormat="date"===formatType?wpSettings.wp_date_format:"time"===formatType?wpSettings.wp_time_format:wpSettings.wp_date_format+" "+wpSettings.wp_time_format,"wordpress"===wpSettings.format_mode?(resolved.customFormat=wpFormat,resolved):(resolved.options=function(phpFormat,type){const options={};if("date"!==type&&"datetime"!==type||(options.year="numeric",options.month="long",options.day="numeric"),"time"!==type&&"datetime"!==type||(options.hour="2-digit",options.minute="2-digit"),!phpFormat)return options;for(const char in PHP_INTL_OPTIONS)PHP_INTL_OPTIONS.hasOwnProperty(char)&&phpFormat.includes(char)&&Object.assign(options,PHP_INTL_OPTIONS[char]);return options}(wpFormat,formatType),resolved.options.calendar=resolved.calendar,resolved.timeZone&&(resolved.options.timeZone=resolved.timeZone),resolved.numberingSystem&&(resolved.options.numberingSystem=resolved.numberingSystem),resolved)}function formatDateTime(timestamp,settings){return joinParts(formatDateTimeToParts(timestamp,settings))}function formatDateTimeToParts(timestamp,settings){if(!timestamp)return[];try{const date=new Date(parseInt(timestamp,10));if(isNaN(date.getTime()))return[];const format=applyFilters("formatOptions",resolveFormat(settings),{timestamp:date.getTime(),settings});if(format.customFormat)return formatDateWithCustomFormatToParts(date,format.customFormat,format.locale,format.calendar,{timeZone:format.timeZone,numberingSystem:format.numberingSystem});return getFormatter(format.locale,format.options).formatToParts(date)}catch(e){console.error("[Intl DateTime Calendar] Error formatting date:",e,settings);try{const fallback=formatWithFallback(new Date(parseInt(timestamp,10)),settings);return fallback?[{type:"literal",value:fallback}]:[]}catch(fallbackError){return console.error("[Intl DateTime Calendar] Error fallback formatting date:",fallbackError),[]}}}function joinParts(parts){return parts.map(function(part){return part.value}).join("")}function formatDateTimeRange(startTimestamp,endTimestamp,settings){return joinParts(formatDateTimeRangeToParts(startTimestamp,endTimestamp,settings))}function formatDateTimeRangeToParts(startTimestamp,endTimestamp,settings){const start=new Date(parseInt(startTimestamp,10)),end=new Date(parseInt(endTimestamp,10));if(isNaN(end.getTime())||end.getTime()===start.getTime())return formatDateTimeToParts(startTimestamp,settings);try{const format=applyFilters("formatOptions",resolveFormat(settings),{timestamp:start.getTime(),endTimestamp:end.getTime(),settings});if(!format.customFormat){const formatter=getFormatter(format.locale,format.options);if("function"==typeof formatter.formatRangeToParts)return start<end?formatter.formatRangeToParts(start,end):formatter.formatRangeToParts(end,start)}}catch(e){console.error("[Intl DateTime Calendar] Error formatting date range:",e,settings)}const withSource=function(parts,source){return parts.map(function(part){return Object.assign({},part,{source})})};return withSource(formatDateTimeToParts(startTimestamp,settings),"startRange").concat([{type:"literal",value:" – ",source:"shared"}]).concat(withSource(formatDateTimeToParts(endTimestamp,settings),"endRange"))}function fallbackFormat(date,char,localeData){localeData=localeData||Object.assign({locale:"en"},DEFAULT_LOCALE_DATA);const year=date.getFullYear(),isLeap=year%4==0&&year%100!=0||year%400==0,dayOfYear=Math.round((Date.UTC(year,date.getMonth(),date.getDate())-Date.UTC(year,0,1))/DAY_MS),isoWeek=function(local){const target=utcNoon(local),dayNumber=(target.getUTCDay()+6)%7;target.setUTCDate(target.getUTCDate()-dayNumber+3);const year=target.getUTCFullYear(),firstThursday=new Date(target.getTime());return firstThursday.setUTCMonth(0,4),firstThursday.setUTCDate(4-(firstThursday.getUTCDay()+6)%7+3),{week:1+Math.round((target.getTime()-firstThursday.getTime())/(7*DAY_MS)),year}}(date),paddedYear=("000"+Math.abs(year)).slice(-Math.max(4,String(Math.abs(year)).length)),formatChars={d:padZero(date.getDate()),j:date.getDate(),D:localeData.weekdaysShort[date.getDay()],l:localeData.weekdays[date.getDay()],w:date.getDay(),N:0===date.getDay()?7:date.getDay(),S:getOrdinalSuffix(date.getDate(),localeData.locale),z:dayOfYear,W:padZero(isoWeek.week),m:padZero(date.getMonth()+1),n:date.getMonth()+1,F:localeData.months[date.getMonth()],M:localeData.monthsShort[date.getMonth()],t:new Date(year,date.getMonth()+1,0).getDate(),Y:date.getFullYear(),y:String(date.getFullYear()).slice(-2),L:isLeap?1:0,E:year>0?"AD":"BC",J:year>0?"Anno Domini":"Before Christ",K:Math.abs(year)+(year>0?0:1),k:String(Math.abs(year)+(year>0?0:1)).slice(-2),R:year,C:"",o:isoWeek.year,X:(year<0?"-":"+")+paddedYear,x:year<0||year>=1e4?(year<0?"-":"+")+paddedYear:paddedYear,a:localeData.dayPeriods[date.getHours()<12?0:1].toLowerCase(),A:localeData.dayPeriods[date.getHours()<12?0:1].toUpperCase(),g:date.getHours()%12||12,h:padZero(date.getHours()%12||12),G:date.getHours(),H:padZero(date.getHours()),i:padZero(date.getMinutes()),s:padZero(date.getSeconds()),u:("00"+date.getMilliseconds()).slice(-3)+"000",v:("00"+date.getMilliseconds()).slice(-3)};return void 0!==formatChars[char]?formatChars[char]:char}function padZero(num){return num<10?"0"+num:num}function getSettings(){const settings=Object.assign({},window.intlDateTimeCalendarSettings||{},runtimeSettings);return{locale:settings.locale||"en",calendar_type:settings.calendar_type||"gregory",wp_date_format:settings.wp_date_format||"F j, Y",wp_time_format:settings.wp_time_format||"g:i a",relative_thresholds:Object.assign({},DEFAULT_RELATIVE_THRESHOLDS,settings.relative_thresholds||{}),relative_absolute_after:parseInt(settings.relative_absolute_after,10)||0,time_zone:settings.time_zone||"",format_mode:settings.format_mode||"locale",ordinal_suffixes:settings.ordinal_suffixes||{},secondary_calendar:settings.secondary_calendar||"",secondary_display:settings.secondary_display||"parentheses",secondary_template:settings.secondary_template||"{primary} ({secondary})",numbering_system:settings.numbering_system||"",locale_data:settings.locale_data||{},tooltip:settings.tooltip||"wordpress",accessible_label:settings.accessible_label||"label",defer_offscreen:!!settings.defer_offscreen,formatter_cache_size:parseInt(settings.formatter_cache_size,10)||200,time_selector:settings.time_selector||"",calendar_fallbacks:settings.calendar_fallbacks||{},calendar_grid_labels:settings.calendar_grid_labels||{},start_of_week:settings.start_of_week,editor:!!settings.editor}}function writeElementText(el,text){const target=el.querySelector("a")||el;"string"==typeof text?target.textContent=text:(target.textContent="",target.appendChild(text))}function createPartsFragment(parts){const toClass=function(name){return"intl-dt-"+name.replace(/[A-Z]/g,function(letter){return"-"+letter.toLowerCase()})},fragment=document.createDocumentFragment();return parts.forEach(function(part){const span=document.createElement("span");span.className="intl-dt-part "+toClass(part.type)+(part.source?" "+toClass(part.source):""),span.textContent=part.value,fragment.appendChild(span)}),fragment}function createFilteredPartsFragment(parts,original,value){const index=value.indexOf(original);if(-1===index)return value;const fragment=document.createDocumentFragment();return index>0&&fragment.appendChild(document.createTextNode(value.slice(0,index))),fragment.appendChild(createPartsFragment(parts)),index+original.length<value.length&&fragment.appendChild(document.createTextNode(value.slice(index+original.length))),fragment}function applyDualCalendarTemplate(primary,secondary,display){const template="parentheses"===display?"{primary} ({secondary})":getSettings().secondary_template;if("string"==typeof primary&&"string"==typeof secondary)return template.replace(/\{(primary|secondary)}/g,function(match,name){return"primary"===name?primary:secondary});const fragment=document.createDocumentFragment();return template.split(/(\{(?:primary|secondary)})/).forEach(function(piece){const content="{primary}"===piece?primary:"{secondary}"===piece?secondary:piece;"string"==typeof content?fragment.appendChild(document.createTextNode(content)):fragment.appendChild(content.cloneNode(!0))}),fragment}function renderDateTime(el,timestamp,elementSettings){const endTimestamp=elementSettings.endTimestamp,context={element:el,timestamp:parseInt(timestamp,10),endTimestamp:endTimestamp?parseInt(endTimestamp,10):void 0};if(!(elementSettings=applyFilters("beforeFormat",elementSettings,context)))return null;context.settings=elementSettings;const formatFor=function(settings){return endTimestamp?formatDateTimeRangeToParts(timestamp,endTimestamp,settings):formatDateTimeToParts(timestamp,settings)},asParts="parts"===elementSettings.render,primaryParts=formatFor(elementSettings),primary=joinParts(primaryParts);if(!primary)return null;context.value=applyFilters("formattedValue",primary,context);const primaryContent=asParts?createFilteredPartsFragment(primaryParts,primary,context.value):context.value,calendar=resolveCalendar(elementSettings.calendar||getSettings().calendar_type);el.setAttribute("data-intl-calendar",calendar),el.removeAttribute("data-intl-secondary-calendar");const secondaryCalendar=elementSettings.secondaryCalendar,secondaryParts=secondaryCalendar&&"none"!==secondaryCalendar&&resolveCalendar(secondaryCalendar)!==calendar?formatFor(Object.assign({},elementSettings,{calendar:secondaryCalendar})):[],secondary=joinParts(secondaryParts);let content=primaryContent;if(secondary){el.setAttribute("data-intl-secondary-calendar",resolveCalendar(secondaryCalendar));const secondaryContent=asParts?createPartsFragment(secondaryParts):secondary;"tooltip"===elementSettings.secondaryDisplay?el.setAttribute("title",secondary):"ruby"===elementSettings.secondaryDisplay?(content=document.createElement("ruby"),content.className="intl-datetime-dual",content.appendChild("string"==typeof primaryContent?document.createTextNode(primaryContent):primaryContent),["(",secondaryContent,")"].forEach(function(piece,index){const child=document.createElement(1===index?"rt":"rp");"string"==typeof piece?child.textContent=piece:child.appendChild(piece),content.appendChild(child)})):content=applyDualCalendarTemplate(primaryContent,secondaryContent,elementSettings.secondaryDisplay)}return writeElementText(el,content),function(el,context,calendars){const settings=context.settings,locale=settings.locale||getWPLocale(),target=el.querySelector("a")||el;el.setAttribute("lang",locale);let time="time"===el.localName?el:target.querySelector(":scope > time.intl-datetime-value");if(!time){for(time=document.createElement("time"),time.className="intl-datetime-value";target.firstChild;)time.appendChild(target.firstChild);target.appendChild(time)}time.hasAttribute("datetime")||time.setAttribute("datetime",getElementDateTime(el).dateOnly?new Date(context.timestamp).toISOString().slice(0,10):new Date(context.timestamp).toISOString());const styled=settings.dateStyle||settings.timeStyle,fullSettings=Object.assign({},settings,{dateStyle:(styled?settings.dateStyle:"time"!==settings.type)?"full":void 0,timeStyle:(styled?settings.timeStyle:"date"!==settings.type)?"short":void 0,customFormat:null}),label=calendars.map(function(calendar){const calendarSettings=Object.assign({},fullSettings,{calendar}),text=context.endTimestamp?formatDateTimeRange(context.timestamp,context.endTimestamp,calendarSettings):formatDateTime(context.timestamp,calendarSettings),name="gregory"===calendar||"iso8601"===calendar?calendar:getDisplayName(calendar,"calendar",locale);return name===calendar?text:text+" ("+name+")"}).join(", "),mode=settings.accessibleLabel||getSettings().accessible_label;if(!label||"none"===mode||label===time.textContent.trim())return;const container=time===el?target:time,visible=document.createElement("span");visible.setAttribute("aria-hidden","true");for(;container.firstChild;)visible.appendChild(container.firstChild);const hidden=document.createElement("span");"text"===mode?hidden.className="screen-reader-text":(hidden.className="intl-datetime-label",hidden.style.cssText=VISUALLY_HIDDEN_STYLE);hidden.textContent=label,container.appendChild(visible),container.appendChild(hidden)}(el,context,secondary?[calendar,resolveCalendar(secondaryCalendar)]:[calendar]),context}function findDateTimeElements(root){root=root||document;const timeSelector=getSettings().time_selector,matches=function(selector){const found=Array.prototype.slice.call(root.querySelectorAll(selector));return"function"==typeof root.matches&&root.matches(selector)&&found.unshift(root),found},elements=matches(".intl-datetime-element:not([data-intl-processed]), .intl-datetime-auto:not([data-intl-processed]), [data-intl-calendar-grid]:not([data-intl-processed])");if(!timeSelector)return elements;try{matches(timeSelector).forEach(function(el){el.parentElement&&el.parentElement.closest("[data-intl-processed], .intl-datetime-element, .intl-datetime-auto, [data-intl-calendar-grid], intl-datetime")||el.hasAttribute("data-intl-processed")||-1!==elements.indexOf(el)||elements.push(el)})}catch(e){console.error("[Intl DateTime Calendar] Invalid time selector:",timeSelector,e)}return elements}function parseDateTimeValue(value,timeZone){return value?/^-?\d+$/.test(value.trim())?{timestamp:parseInt(value,10),dateOnly:!1}:function(value,timeZone){const match=String(value).trim().match(ISO_DATETIME_PATTERN);if(!match)return null;const year=parseInt(match[1],10),month=parseInt(match[2],10)-1,day=parseInt(match[3],10),hour=match[4]?parseInt(match[4],10):0,minute=match[5]?parseInt(match[5],10):0,second=match[6]?parseInt(match[6],10):0,millisecond=match[7]?Math.floor(1e3*parseFloat("0."+match[7])):0,utc=new Date(Date.UTC(2e3,month,day,hour,minute,second,millisecond));if(utc.setUTCFullYear(year),utc.getUTCMonth()!==month||utc.getUTCDate()!==day||utc.getUTCHours()!==hour||utc.getUTCMinutes()!==minute)return{timestamp:NaN,dateOnly:!1};if(void 0===match[4])return{timestamp:utc.getTime(),dateOnly:!0};const zone=match[8];if(zone){let offset=0;if("Z"!==zone.toUpperCase()){const digits=zone.replace(":","");offset=(60*parseInt(digits.slice(1,3),10)+parseInt(digits.slice(3,5)||"0",10))*("-"===zone.charAt(0)?-1:1)}return{timestamp:utc.getTime()-6e4*offset,dateOnly:!1}}const estimate=utc.getTime()-6e4*getTimeZoneOffset(utc,timeZone),estimateOffset=getTimeZoneOffset(new Date(estimate),timeZone),corrected=utc.getTime()-6e4*estimateOffset;return{timestamp:getTimeZoneOffset(new Date(corrected),timeZone)===estimateOffset?corrected:estimate,dateOnly:!1}}(value,timeZone)||{timestamp:Date.parse(value),dateOnly:!1}:{timestamp:NaN,dateOnly:!1}}function getElementDateTime(el){const isCustomElement="intl-datetime"===el.localName;if(!isCustomElement&&el.dataset.intlDatetime)return{timestamp:parseInt(el.dataset.intlDatetime,10),dateOnly:!1};const timeZone=isCustomElement?el.getAttribute("time-zone"):el.dataset.timeZone;return parseDateTimeValue(el.getAttribute("datetime"),resolveTimeZone(timeZone||getSettings().time_zone))}function getElementTimestamp(el){return getElementDateTime(el).timestamp}function getElementSettings(el,settings){const elementSettings="intl-datetime"===el.localName?function(el,settings){const format=el.getAttribute("format")||"datetime",end=parseDateTimeValue(el.getAttribute("end"),resolveTimeZone(el.getAttribute("time-zone")||settings.time_zone)).timestamp,elementSettings={calendar:el.getAttribute("calendar")||settings.calendar_type,locale:resolveLocale(el.getAttribute("locale")),timeZone:el.getAttribute("time-zone")||settings.time_zone,numberingSystem:el.getAttribute("numbering-system")||settings.numbering_system,dateStyle:el.getAttribute("date-style")||void 0,timeStyle:el.getAttribute("time-style")||void 0,type:"datetime",dateFormat:"wp",timeFormat:"wp",customFormat:null,secondaryCalendar:el.getAttribute("secondary-calendar")||settings.secondary_calendar,secondaryDisplay:el.getAttribute("secondary-display")||settings.secondary_display,render:el.getAttribute("render")||void 0,accessibleLabel:el.getAttribute("accessible-label")||settings.accessible_label,endTimestamp:isNaN(end)?void 0:end};"date"===format||"time"===format||"datetime"===format?elementSettings.type=format:-1!==VALID_STYLES.indexOf(format)?elementSettings.dateStyle=elementSettings.dateStyle||format:"relative"===format?elementSettings.customFormat="human-diff":(elementSettings.dateFormat="custom",elementSettings.customFormat=format);return elementSettings}(el,settings):function(el,settings){const dateFormat=el.dataset.dateFormat,timeFormat=el.dataset.timeFormat,elementSettings={calendar:el.dataset.calendar||settings.calendar_type,locale:resolveLocale(el.dataset.locale),timeZone:el.dataset.timeZone||settings.time_zone,numberingSystem:el.dataset.numberingSystem||settings.numbering_system,dateStyle:el.dataset.dateStyle,timeStyle:el.dataset.timeStyle,type:"datetime",dateFormat:dateFormat||"wp",timeFormat:timeFormat||"wp",customFormat:el.dataset.customFormat||null,secondaryCalendar:el.dataset.secondaryCalendar||settings.secondary_calendar,secondaryDisplay:el.dataset.secondaryDisplay||settings.secondary_display,render:el.dataset.render,accessibleLabel:el.dataset.accessibleLabel||settings.accessible_label,endTimestamp:el.dataset.intlDatetimeEnd},hasDate="none"!==elementSettings.dateFormat,hasTime="none"!==elementSettings.timeFormat;if(hasDate&&!hasTime)elementSettings.type="date";else if(!hasDate&&hasTime)elementSettings.type="time";else if(!dateFormat&&!timeFormat){const container=el.closest(".wp-block-post-date, .wp-block-post-time");container&&(elementSettings.type=container.classList.contains("wp-block-post-date")?"date":"time")}return elementSettings}(el,settings);return getElementDateTime(el).dateOnly&&(elementSettings.timeZone="UTC","datetime"!==elementSettings.type||elementSettings.timeStyle||(elementSettings.type="date")),elementSettings}function processDateTimeElement(el,settings){if(el.hasAttribute("data-duration")&&!el.hasAttribute("data-intl-processed"))return el.setAttribute("data-intl-processed","true"),void function(el,settings){const duration=parseIsoDuration(el.dataset.duration);if(!duration)return void console.warn("[Intl DateTime Calendar] Invalid ISO 8601 duration:",el.dataset.duration);const elementSettings=getElementSettings(el,settings),context={element:el,duration};if(context.settings=applyFilters("beforeFormat",{locale:elementSettings.locale,numberingSystem:elementSettings.numberingSystem,style:el.dataset.durationStyle},context),!context.settings)return;const value=formatDuration(duration,context.settings);if(!value)return;context.value=applyFilters("formattedValue",value,context),writeElementText(el,context.value),el.setAttribute("lang",context.settings.locale||getWPLocale()),"time"!==el.localName||el.hasAttribute("datetime")||el.setAttribute("datetime",el.dataset.duration.trim());notifyRendered(el,context)}(el,settings);if(el.hasAttribute("data-intl-calendar-grid"))return void(el.hasAttribute("data-intl-processed")||(el.setAttribute("data-intl-processed","true"),renderCalendarGrid(el)));const timestamp=getElementTimestamp(el);if(isNaN(timestamp)||el.hasAttribute("data-intl-processed"))return;if(el.setAttribute("data-intl-processed","true"),"countdown"===el.dataset.mode||"human-diff"===el.dataset.customFormat)return void trackRelativeTime(el);const rendered=renderDateTime(el,timestamp,getElementSettings(el,settings));if(rendered){if("tooltip"!==rendered.settings.secondaryDisplay||!el.hasAttribute("title"))try{const title=function(timestamp,endTimestamp,elementSettings){const mode=getSettings().tooltip;if("none"===mode)return"";if("gregorian"===mode){const gregorianSettings=Object.assign({},elementSettings,{calendar:"gregory",locale:getSiteLocale()});return endTimestamp?formatDateTimeRange(timestamp,endTimestamp,gregorianSettings):formatDateTime(timestamp,gregorianSettings)}const originalDate=new Date(parseInt(timestamp,10));if(isNaN(originalDate.getTime()))return"";let title=formatWithFallback(originalDate,elementSettings);endTimestamp&&(title+=" – "+formatWithFallback(new Date(parseInt(endTimestamp,10)),elementSettings));return title}(timestamp,rendered.endTimestamp,rendered.settings);title&&el.setAttribute("title",title)}catch{}notifyRendered(el,rendered)}}function renderCustomElement(el){relativeTimeElements.delete(el);const timestamp=getElementTimestamp(el);if(isNaN(timestamp))return;const elementSettings=getElementSettings(el,getSettings());if("human-diff"===elementSettings.customFormat)return void trackRelativeTime(el);const rendered=renderDateTime(el,timestamp,elementSettings);rendered&&notifyRendered(el,rendered)}function toIsoDate(time){return new Date(time).toISOString().slice(0,10)}function renderCalendarGrid(el){const settings=getSettings(),locale=resolveLocale(el.dataset.locale),calendar=resolveCalendar(el.dataset.calendar||settings.calendar_type),numberingSystem=resolveNumberingSystem(el.dataset.numberingSystem||settings.numbering_system),labels=Object.assign({},DEFAULT_CALENDAR_GRID_LABELS,settings.calendar_grid_labels),links=function(el){const links={};let posts;try{posts=JSON.parse(el.getAttribute("data-posts")||"{}")||{}}catch(e){return console.error("[Intl DateTime Calendar] Invalid calendar grid posts:",el.getAttribute("data-posts"),e),links}return Object.keys(posts).forEach(function(date){const link="string"==typeof posts[date]?{url:posts[date]}:posts[date];link&&link.url&&(links[date]=link)}),links}(el),formatWith=function(options){return getFormatter(locale,Object.assign({calendar,numberingSystem,timeZone:"UTC"},options))},today=utcNoon(toZonedWallClock(new Date,resolveTimeZone(el.dataset.timeZone||settings.time_zone))).getTime(),match=/^(\d{4})-(\d{2})-(\d{2})/.exec(el.getAttribute("data-intl-calendar-grid")||""),shown=match?Date.UTC(parseInt(match[1],10),parseInt(match[2],10)-1,parseInt(match[3],10),12):today,monthStart=shown-(getCalendarDay(shown,calendar).day-1)*DAY_MS;let daysInMonth=1;for(;daysInMonth<31&&getCalendarDay(monthStart+daysInMonth*DAY_MS,calendar).day===daysInMonth+1;)daysInMonth++;const previousMonth=monthStart-getCalendarDay(monthStart-DAY_MS,calendar).day*DAY_MS,nextMonth=monthStart+daysInMonth*DAY_MS,caption=formatWith({year:"numeric",month:"long"}).format(new Date(monthStart)),firstDay=function(locale){try{const intlLocale=new Intl.Locale(locale),weekInfo="function"==typeof intlLocale.getWeekInfo?intlLocale.getWeekInfo():intlLocale.weekInfo;if(weekInfo&&weekInfo.firstDay)return weekInfo.firstDay%7}catch(e){}const startOfWeek=parseInt(getSettings().start_of_week,10);return isNaN(startOfWeek)?0:startOfWeek%7}(locale),table=document.createElement("table");table.className="intl-calendar-grid-table wp-calendar-table",table.createCaption().textContent=caption;const headerRow=table.createTHead().insertRow();for(let i=0;i<7;i++){const weekday=new Date(Date.UTC(2023,0,1+(firstDay+i)%7,12)),th=document.createElement("th");th.scope="col",th.textContent=formatWith({weekday:"short"}).format(weekday),th.setAttribute("aria-label",formatWith({weekday:"long"}).format(weekday)),headerRow.appendChild(th)}const body=table.createTBody();let row=body.insertRow();const pad=function(count){if(count>0){const td=row.insertCell();td.className="pad",td.colSpan=count,td.textContent=" "}};pad((new Date(monthStart).getUTCDay()-firstDay+7)%7);for(let day=0;day<daysInMonth;day++){const time=monthStart+day*DAY_MS,date=new Date(time),isoDate=toIsoDate(time);day>0&&date.getUTCDay()===firstDay&&(row=body.insertRow());const cell=row.insertCell(),dayNumber=document.createElement("time");dayNumber.setAttribute("datetime",isoDate),dayNumber.setAttribute("data-intl-processed","true"),dayNumber.textContent=formatWith({day:"numeric"}).formatToParts(date).filter(function(part){return"day"===part.type}).map(function(part){return part.value}).join(""),time===today&&(cell.className="intl-calendar-grid-today",cell.setAttribute("aria-current","date"));const link=links[isoDate];if(link){const a=document.createElement("a");a.href=link.url,a.setAttribute("aria-label",formatWith({dateStyle:"full"}).format(date)+(link.title?", "+link.title:"")),a.appendChild(dayNumber),cell.appendChild(a)}else cell.appendChild(dayNumber)}pad(6-(new Date(nextMonth-DAY_MS).getUTCDay()-firstDay+7)%7);const nav=document.createElement("nav");return nav.className="intl-calendar-grid-nav wp-calendar-nav",nav.setAttribute("aria-label",labels.navigation),[["previous",previousMonth,"‹ "],["next",nextMonth," ›"]].forEach(function(target){const button=document.createElement("button"),month=formatWith({month:"short"}).format(new Date(target[1]));button.type="button",button.className="intl-calendar-grid-"+target[0]+" wp-calendar-nav-"+("previous"===target[0]?"prev":"next"),button.textContent="previous"===target[0]?target[2]+month:month+target[2],button.setAttribute("aria-label",labels[target[0]]+": "+formatWith({year:"numeric",month:"long"}).format(new Date(target[1]))),button.addEventListener("click",function(){el.setAttribute("data-intl-calendar-grid",toIsoDate(target[1])),renderCalendarGrid(el).querySelector(".intl-calendar-grid-"+target[0]).focus()}),nav.appendChild(button)}),el.classList.add("intl-calendar-grid"),el.textContent="",el.appendChild(table),el.appendChild(nav),notifyRendered(el,{element:el,timestamp:monthStart,endTimestamp:nextMonth-DAY_MS,settings:{locale,calendar,numberingSystem},value:caption}),el}function formatRelativeTime(timestamp,options){const settings=getSettings();if(options=options||{},"function"!=typeof Intl.RelativeTimeFormat)return"";const thresholds=Object.assign({},settings.relative_thresholds,options.thresholds||{}),now=options.now||Date.now(),seconds=(parseInt(timestamp,10)-now)/1e3,absSeconds=Math.abs(seconds);let value,unit;absSeconds<thresholds.second?(value=seconds,unit="second"):absSeconds/60<thresholds.minute?(value=seconds/60,unit="minute"):absSeconds/3600<thresholds.hour?(value=seconds/3600,unit="hour"):absSeconds/86400<thresholds.day?(value=seconds/86400,unit="day"):absSeconds/2629746<thresholds.month?(value=seconds/2629746,unit="month"):(value=seconds/31556952,unit="year");const locale=options.locale||settings.locale,relativeOptions={numeric:"auto",numberingSystem:resolveNumberingSystem(options.numberingSystem||settings.numbering_system)};return formatterCache.get("relative|"+getCacheKey(locale,relativeOptions),function(){return new Intl.RelativeTimeFormat(locale,relativeOptions)}).format(Math.round(value)||0,unit)}function formatCountdown(timestamp,options){options=options||{};const remaining=Math.max(0,Math.ceil((parseInt(timestamp,10)-(options.now||Date.now()))/1e3)),values={days:Math.floor(remaining/86400),hours:Math.floor(remaining%86400/3600),minutes:Math.floor(remaining%3600/60),seconds:remaining%60},duration={};Object.keys(values).forEach(function(unit){(values[unit]||Object.keys(duration).length||"seconds"===unit)&&(duration[unit]=values[unit])});const style=-1!==["long","short","narrow","digital"].indexOf(options.style)?options.style:"long";return formatDuration(duration,Object.assign({},options,{style}))}function parseIsoDuration(value){const match=String(value||"").trim().match(ISO_DURATION_PATTERN);if(!match)return null;const duration={};return DURATION_UNITS.slice(0,7).forEach(function(unit,index){void 0!==match[index+1]&&(duration[unit]=parseInt(match[index+1],10))}),void 0!==match[8]&&(duration.milliseconds=parseInt((match[8]+"00").slice(0,3),10)),duration}function formatDuration(duration,options){const settings=getSettings();options=options||{},"string"==typeof duration&&(duration=parseIsoDuration(duration));const units=DURATION_UNITS.filter(function(unit){return duration&&"number"==typeof duration[unit]&&isFinite(duration[unit])});if(!units.length)return"";const locale=options.locale||settings.locale,style=-1!==["long","short","narrow","digital"].indexOf(options.style)?options.style:"short",numberingSystem=resolveNumberingSystem(options.numberingSystem||settings.numbering_system);if("function"==typeof Intl.DurationFormat){const values={},durationOptions={style,numberingSystem};return units.forEach(function(unit){values[unit]=duration[unit],durationOptions[unit+"Display"]="always"}),formatterCache.get("duration|"+getCacheKey(locale,durationOptions),function(){return new Intl.DurationFormat(locale,durationOptions)}).format(values)}const numberFormat=function(numberOptions){return numberOptions=Object.assign({numberingSystem},numberOptions),formatterCache.get("number|"+getCacheKey(locale,numberOptions),function(){return new Intl.NumberFormat(locale,numberOptions)})},clockUnits="digital"===style?["hours","minutes","seconds","milliseconds"]:[],parts=units.filter(function(unit){return-1===clockUnits.indexOf(unit)}).map(function(unit){return numberFormat({style:"unit",unit:unit.slice(0,-1),unitDisplay:"digital"===style?"short":style}).format(duration[unit])});if("digital"===style){const fractionDigits=duration.milliseconds?3:0;parts.push(numberFormat({useGrouping:!1}).format(duration.hours||0)+":"+numberFormat({minimumIntegerDigits:2}).format(duration.minutes||0)+":"+numberFormat({minimumIntegerDigits:2,minimumFractionDigits:fractionDigits}).format((duration.seconds||0)+(duration.milliseconds||0)/1e3))}if("function"!=typeof Intl.ListFormat)return parts.join(" ");const listOptions={type:"unit",style:"digital"===style?"short":style};return formatterCache.get("list|"+getCacheKey(locale,listOptions),function(){return new Intl.ListFormat(locale,listOptions)}).format(parts)}function renderRelativeTime(el){if("countdown"===el.dataset.mode)return function(el){const timestamp=getElementTimestamp(el),elementSettings=getElementSettings(el,getSettings());if(timestamp<=Date.now()){if(el.setAttribute("data-countdown-state","ended"),relativeTimeElements.has(el)&&"function"==typeof CustomEvent&&el.dispatchEvent(new CustomEvent("intl-datetime:countdown-end",{bubbles:!0,detail:{element:el,timestamp}})),el.dataset.countdownEnded)writeElementText(el,el.dataset.countdownEnded);else{const rendered=renderDateTime(el,timestamp,elementSettings);rendered&&notifyRendered(el,rendered)}return!1}const context={element:el,timestamp,countdown:!0};return context.settings=applyFilters("beforeFormat",{calendar:elementSettings.calendar,locale:elementSettings.locale,timeZone:elementSettings.timeZone,numberingSystem:elementSettings.numberingSystem,style:el.dataset.countdownStyle},context),!!context.settings&&(context.value=applyFilters("formattedValue",formatCountdown(timestamp,context.settings),context),writeElementText(el,context.value),el.setAttribute("data-countdown-state","running"),el.setAttribute("title",formatDateTime(timestamp,Object.assign({},context.settings,{type:"datetime"}))),notifyRendered(el,context),!0)}(el);const settings=getSettings(),timestamp=getElementTimestamp(el),ageSeconds=Math.abs(Date.now()-timestamp)/1e3,attributeSettings=getElementSettings(el,settings),elementSettings={calendar:attributeSettings.calendar,locale:attributeSettings.locale,timeZone:attributeSettings.timeZone,numberingSystem:attributeSettings.numberingSystem};if(settings.relative_absolute_after&&ageSeconds>=settings.relative_absolute_after){elementSettings.type="date";const rendered=renderDateTime(el,timestamp,elementSettings);return rendered&&notifyRendered(el,rendered),!1}const context={element:el,timestamp,relative:!0};if(context.settings=applyFilters("beforeFormat",elementSettings,context),!context.settings)return!1;const relative=formatRelativeTime(timestamp,{locale:context.settings.locale,numberingSystem:context.settings.numberingSystem});return!!relative&&(context.value=applyFilters("formattedValue",relative,context),writeElementText(el,context.value),el.setAttribute("title",formatDateTime(timestamp,Object.assign({},context.settings,{type:"datetime"}))),notifyRendered(el,context),!0)}function trackRelativeTime(el){renderRelativeTime(el)&&(relativeTimeElements.add(el),relativeTimeTimer&&relativeTimeDue>Date.now()+getRelativeTimeDelay(el)&&(clearTimeout(relativeTimeTimer),relativeTimeTimer=null),scheduleRelativeTimeUpdate())}function updateRelativeTimes(){relativeTimeTimer=null,relativeTimeElements.forEach(function(el){el.isConnected&&renderRelativeTime(el)||relativeTimeElements.delete(el)}),scheduleRelativeTimeUpdate()}function getRelativeTimeDelay(el){const distance=getElementTimestamp(el)-Date.now();if("countdown"===el.dataset.mode)return distance%1e3||1e3;const age=Math.abs(distance)/1e3;return age<60?1e3:age<3600?3e4:age<86400?3e5:36e5}function scheduleRelativeTimeUpdate(){if(relativeTimeTimer||0===relativeTimeElements.size||document.hidden)return;let delay=1/0;relativeTimeElements.forEach(function(el){delay=Math.min(delay,getRelativeTimeDelay(el))}),relativeTimeDue=Date.now()+delay,relativeTimeTimer=setTimeout(updateRelativeTimes,delay)}function onVisibilityChange(){document.hidden?(clearTimeout(relativeTimeTimer),relativeTimeTimer=null):updateRelativeTimes()}function queueDateTimeElements(root){findDateTimeElements(root).forEach(function(el){intersectionObserver?intersectionObserver.observe(el):pendingElements.add(el)}),schedulePendingElements()}function schedulePendingElements(){var callback;null===idleHandle&&pendingElements.size>0&&(callback=processPendingElements,idleHandle="function"==typeof window.requestIdleCallback?window.requestIdleCallback(callback,{timeout:500}):setTimeout(function(){const start=Date.now();callback({didTimeout:!1,timeRemaining:function(){return Math.max(0,16-(Date.now()-start))}})},1))}function processPendingElements(deadline){idleHandle=null;const settings=getSettings();let processed=0;for(const el of pendingElements){if(processed>=25&&deadline.timeRemaining()<=0)break;pendingElements.delete(el),el.isConnected&&(processDateTimeElement(el,settings),processed++)}schedulePendingElements()}function prepareEditorElement(el){const block=el.closest("[data-type]"),part=block&&EDITOR_BLOCK_TYPES[block.getAttribute("data-type")];if(!part)return!1;const format=function(clientId){try{const editorWindow=window.parent!==window&&window.parent.wp?window.parent:window,data=editorWindow.wp&&editorWindow.wp.data;return clientId&&data&&data.select("core/block-editor").getBlockAttributes(clientId)||{}}catch(e){return{}}}(block.getAttribute("data-block")).format;return el.classList.add("intl-datetime-element"),el.setAttribute("data-date-format","date"===part?format?"custom":"wp":"none"),el.setAttribute("data-time-format","time"===part?format?"custom":"wp":"none"),format?el.setAttribute("data-custom-format",format):el.removeAttribute("data-custom-format"),el.removeAttribute("data-intl-processed"),!0}function processEditorElements(root){const settings=getSettings(),elements=Array.from(root.querySelectorAll("time[datetime]"));root.matches("time[datetime]")&&elements.unshift(root),elements.forEach(function(el){el.textContent!==editorTexts.get(el)&&prepareEditorElement(el)&&(processDateTimeElement(el,settings),editorTexts.set(el,el.textContent))})}function onMutations(mutations){const editor=getSettings().editor;mutations.forEach(function(mutation){if(editor){const target=1===mutation.target.nodeType?mutation.target:mutation.target.parentElement,el=target&&target.closest("time[datetime]");el&&processEditorElements(el)}mutation.addedNodes.forEach(function(node){1===node.nodeType&&(editor&&processEditorElements(node),queueDateTimeElements(node))})})}function onIntersection(entries){entries.forEach(function(entry){entry.isIntersecting&&(intersectionObserver.unobserve(entry.target),pendingElements.add(entry.target))}),schedulePendingElements()}function onReady(){const editor=getSettings().editor;document.querySelectorAll(".intl-datetime-switcher").forEach(initSwitcher),editor&&processEditorElements(document.body),getSettings().defer_offscreen&&"function"==typeof IntersectionObserver?(intersectionObserver=new IntersectionObserver(onIntersection,{rootMargin:"200px 0px"}),queueDateTimeElements(document)):refresh(),document.addEventListener("visibilitychange",onVisibilityChange),"function"==typeof MutationObserver&&(observer=new MutationObserver(onMutations),observer.observe(document.body,{childList:!0,subtree:!0,characterData:editor}))}function loadPreferences(){try{const stored=JSON.parse(window.localStorage.getItem("intlDateTimeCalendarPreferences")||"{}");return stored&&"object"==typeof stored?stored:{}}catch(e){return{}}}function applyPreferences(preferences){Object.keys(PREFERENCE_SETTINGS).forEach(function(field){const value=preferences[field];let valid="string"==typeof value&&/^[A-Za-z0-9-]{1,40}$/.test(value);if(valid&&"locale"===field)try{valid=Intl.DateTimeFormat.supportedLocalesOf([value]).length>0}catch(e){valid=!1}valid?runtimeSettings[PREFERENCE_SETTINGS[field]]=value:delete runtimeSettings[PREFERENCE_SETTINGS[field]]})}function rerender(){clearTimeout(relativeTimeTimer),relativeTimeTimer=null,relativeTimeElements.clear(),document.querySelectorAll("[data-intl-processed]").forEach(function(el){el.removeAttribute("data-intl-processed")}),queueDateTimeElements(document),document.querySelectorAll("intl-datetime").forEach(renderCustomElement)}function getDisplayName(value,type,locale){if("function"!=typeof Intl.DisplayNames)return value;try{return formatterCache.get("names|"+getCacheKey(locale,{type}),function(){return new Intl.DisplayNames(locale,{type,fallback:"code"})}).of(value)||value}catch(e){return value}}function initSwitcher(switcher){const siteLocale=getSiteLocale(),preferences=loadPreferences();switcher.querySelectorAll("select[data-intl-switcher]").forEach(function(select){const field=select.getAttribute("data-intl-switcher");if("calendar"===field&&"function"==typeof Intl.supportedValuesOf){for(;select.options.length>1;)select.remove(1);Intl.supportedValuesOf("calendar").forEach(function(calendar){select.add(new Option(getDisplayName(calendar,"calendar",siteLocale),calendar))})}else"locale"===field&&Array.prototype.slice.call(select.options,1).forEach(function(option){option.textContent=getDisplayName(option.value,"language",option.value)});select.value=preferences[field]||"",-1===select.selectedIndex&&(select.value=""),select.addEventListener("change",function(){const updated=loadPreferences();updated[field]=select.value,function(preferences){try{window.localStorage.setItem("intlDateTimeCalendarPreferences",JSON.stringify(preferences))}catch(e){}}(updated),applyPreferences(updated),rerender()})})}function format(timestamp,options){timestamp instanceof Date&&(timestamp=timestamp.getTime());const context={element:null,timestamp:parseInt(timestamp,10)};if(!(options=applyFilters("beforeFormat",Object.assign({type:"date"},options||{}),context)))return"";context.settings=options;const asParts="parts"===options.render,primaryParts=formatDateTimeToParts(timestamp,options),original=joinParts(primaryParts);if(!original)return"";const primary=applyFilters("formattedValue",original,context),primaryContent=asParts?createFilteredPartsFragment(primaryParts,original,primary):primary;let result=primaryContent;if(options.secondaryCalendar&&options.secondaryCalendar!==options.calendar){const secondaryParts=formatDateTimeToParts(timestamp,Object.assign({},options,{calendar:options.secondaryCalendar}));secondaryParts.length&&(result=applyDualCalendarTemplate(primaryContent,asParts?createPartsFragment(secondaryParts):joinParts(secondaryParts),options.secondaryDisplay))}return asParts?function(content){const container=document.createElement("div");return container.appendChild("string"==typeof content?document.createTextNode(content):content),container.innerHTML}(result):result}function formatRange(start,end,options){return start instanceof Date&&(start=start.getTime()),end instanceof Date&&(end=end.getTime()),formatDateTimeRange(start,end,Object.assign({type:"date"},options||{}))}function formatPhp(date,phpFormat,options){const settings=getSettings();return options=options||{},date instanceof Date||(date=new Date(parseInt(date,10))),isNaN(date.getTime())?"":function(date,format,locale,calendar,settings){return joinParts(formatDateWithCustomFormatToParts(date,format,locale,calendar,settings))}(date,phpFormat,options.locale||settings.locale,resolveCalendar(options.calendar||settings.calendar_type),{timeZone:options.timeZone||settings.time_zone,numberingSystem:options.numberingSystem||settings.numbering_system})}function checkPhpFormat(phpFormat,options){const settings=getSettings(),calendar=resolveCalendar((options=options||{}).calendar||settings.calendar_type),localeLayout="locale"===(options.formatMode||settings.format_mode),isGregorian="gregory"===calendar||"iso8601"===calendar,isCyclic="chinese"===calendar||"dangi"===calendar,warnings=[],seen={};return tokenizePhpFormat(phpFormat||"").forEach(function(token){const char=token.char;if(void 0===char||seen[char])return;let reason;seen[char]=!0,localeLayout?reason=PHP_INTL_OPTIONS[char]?null:"locale":PHP_FORMAT_PARTS[char]||PHP_COMPUTED_PART_TYPES[char]?!isGregorian&&/[WoXx]/.test(char)?reason="gregorian":!isCyclic&&/[RC]/.test(char)&&(reason="calendar"):reason="unknown",reason&&warnings.push({char,reason})}),warnings}function refresh(root){!function(root){const settings=getSettings();findDateTimeElements(root).forEach(function(el){processDateTimeElement(el,settings)})}(root)}function configure(settings){Object.assign(runtimeSettings,settings||{}),calendarCache.clear();const resolved=getSettings();return formatterCache.resize(resolved.formatter_cache_size),resolved}function getCacheStats(){return formatterCache.stats()}function destroy(){var handle;observer&&(observer.disconnect(),observer=null),intersectionObserver&&(intersectionObserver.disconnect(),intersectionObserver=null),null!==idleHandle&&(handle=idleHandle,"function"==typeof window.cancelIdleCallback?window.cancelIdleCallback(handle):clearTimeout(handle),idleHandle=null),pendingElements.clear(),clearTimeout(relativeTimeTimer),relativeTimeTimer=null,relativeTimeElements.clear(),document.removeEventListener("visibilitychange",onVisibilityChange),document.removeEventListener("DOMContentLoaded",onReady),formatterCache.clear(),localeCache.clear(),timeZoneCache.clear(),numberingSystemCache.clear(),calendarCache.clear()}window.IntlDateTimeCalendar={format,formatPhp,checkPhpFormat,formatRange,formatRelative:formatRelativeTime,formatCountdown,formatDuration,renderCalendarGrid,refresh,rerender,configure,addHook,removeHook,getCacheStats,destroy},formatterCache.resize(getSettings().formatter_cache_size),window.intlDateTimeCalendarSettings||console.error("[Intl DateTime Calendar] Settings not loaded properly"),function(){try{return"undefined"!=typeof Intl&&void 0!==Intl.DateTimeFormat&&("function"!=typeof Intl.supportedValuesOf&&console.warn("Intl.supportedValuesOf not available limited calendar support"),new Intl.DateTimeFormat("en",{dateStyle:"full"}).format(new Date),!0)}catch(e){return!1}}()?(getSettings().editor||applyPreferences(loadPreferences()),function(){if(window.customElements&&!window.customElements.get("intl-datetime")){class IntlDateTimeElement extends HTMLElement{static get observedAttributes(){return CUSTOM_ELEMENT_ATTRIBUTES}connectedCallback(){renderCustomElement(this)}disconnectedCallback(){relativeTimeElements.delete(this)}attributeChangedCallback(name,oldValue,newValue){oldValue!==newValue&&this.isConnected&&renderCustomElement(this)}}window.customElements.define("intl-datetime",IntlDateTimeElement)}}(),"loading"===document.readyState?document.addEventListener("DOMContentLoaded",onReady):onReady()):console.warn("Intl API is not fully supported in this browser. Date formatting will use browser defaults.")}();
\ No newline at end of file
@@ -0,0 +1,141 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, settle, text, closePage} = require('./dom');
+
+// 15 December 2024 06:00 UTC
+const TIMESTAMP = Date.UTC(2024, 11, 15, 6, 0);
+
+/**
+ * Markup of a date element with a short custom format
+ * @param {string} [attributes] - Extra attributes
+ * @returns {string} HTML
+ */
+function element(attributes) {
+    return '<time class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" data-date-format="custom" ' +
+        'data-custom-format="j/n/y" data-time-format="none" ' + (attributes || '') + '>15/12/24</time>';
+}
+
+test('screen reader labels', async function (t) {
+    const window = await loadPage(
+        element('data-calendar="buddhist"') +
+        element('data-accessible-label="text"') +
+        element('data-accessible-label="none"') +
+        element('data-locale="th-TH"'),
+        {time_zone: 'UTC'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+    const elements = window.document.querySelectorAll('time');
+
+    await t.test('full date and calendar name in hidden text', function () {
+        elements.forEach(function (el) {
+            assert.equal(el.hasAttribute('aria-label'), false);
+        });
+
+        assert.equal(text(elements[0]), '15/12/67');
+        assert.equal(elements[0].querySelector('[aria-hidden="true"]').textContent, '15/12/67');
+        const label = elements[0].querySelector('.intl-datetime-label');
+        assert.equal(label.textContent, 'Sunday, December 15, 2567 BE (Buddhist Calendar)');
+        assert.equal(label.style.position, 'absolute');
+        assert.equal(elements[3].querySelector('.intl-datetime-label').textContent, 'วันอาทิตย์ที่ 15 ธันวาคม ค.ศ. 2024');
+    });
+
+    await t.test('visually hidden text', function () {
+        assert.equal(elements[1].querySelector('.intl-datetime-label'), null);
+        assert.equal(elements[1].querySelector('[aria-hidden="true"]').textContent, '15/12/24');
+        assert.equal(elements[1].querySelector('.screen-reader-text').textContent, 'Sunday, December 15, 2024');
+        assert.equal(text(elements[1]), '15/12/24');
+    });
+
+    await t.test('no label', function () {
+        assert.equal(elements[2].textContent, '15/12/24');
+    });
+
+    await t.test('language and machine-readable date', function () {
+        assert.equal(elements[0].getAttribute('lang'), 'en-US');
+        assert.equal(elements[3].getAttribute('lang'), 'th-TH');
+        assert.equal(elements[0].getAttribute('datetime'), '2024-12-15T06:00:00.000Z');
+    });
+});
+
+test('other elements get a machine-readable <time>', async function (t) {
+    const window = await loadPage(
+        '<span class="intl-datetime-auto" data-intl-datetime="' + TIMESTAMP + '" data-date-format="custom" ' +
+            'data-custom-format="j/n/y" data-time-format="none">December 15, 2024</span>' +
+        '<intl-datetime datetime="2024-12-15" format="Y">2024</intl-datetime>',
+        {time_zone: 'UTC'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+
+    const value = window.document.querySelector('.intl-datetime-auto > time.intl-datetime-value');
+    assert.equal(value.getAttribute('datetime'), '2024-12-15T06:00:00.000Z');
+    assert.equal(text(value), '15/12/24');
+
+    const custom = window.document.querySelector('intl-datetime > time.intl-datetime-value');
+    assert.equal(custom.getAttribute('datetime'), '2024-12-15');
+    assert.equal(text(custom), '2024');
+});
+
+test('the machine-readable wrapper is not formatted again by the time selector', async function (t) {
+    const window = await loadPage(
+        '<span class="intl-datetime-auto" data-intl-datetime="' + TIMESTAMP + '" data-date-format="custom" ' +
+            'data-custom-format="j/n/y" data-time-format="none">December 15, 2024</span>' +
+        '<intl-datetime datetime="2024-12-15" format="Y">2024</intl-datetime>',
+        {time_selector: 'time[datetime]'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+
+    const span = window.document.querySelector('.intl-datetime-auto');
+    const custom = window.document.querySelector('intl-datetime');
+
+    await settle(window, 50);
+    assert.equal(text(span.querySelector('time.intl-datetime-value')), '15/12/24');
+    assert.equal(text(custom).trim(), '2024');
+
+    window.IntlDateTimeCalendar.rerender();
+    await settle(window, 50);
+    assert.equal(text(span.querySelector('time.intl-datetime-value')), '15/12/24');
+    assert.equal(text(custom).trim(), '2024');
+});
+
+test('linked dates keep the link focusable', async function (t) {
+    const window = await loadPage(
+        '<time class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" data-date-format="custom" ' +
+            'data-custom-format="j/n/y" data-time-format="none" data-calendar="buddhist">' +
+            '<a href="/2024/12/15/">15/12/24</a></time>',
+        {time_zone: 'UTC'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+
+    const time = window.document.querySelector('time');
+    const link = time.querySelector('a');
+
+    await t.test('the visible date and label are inside the link', function () {
+        assert.equal(time.firstElementChild, link);
+        assert.equal(link.closest('[aria-hidden]'), null);
+        assert.equal(link.querySelector('[aria-hidden="true"]').textContent, '15/12/67');
+        assert.equal(link.querySelector('.intl-datetime-label').textContent, 'Sunday, December 15, 2567 BE (Buddhist Calendar)');
+        assert.equal(text(time), '15/12/67');
+    });
+
+    await t.test('rerender() keeps a single label', async function () {
+        window.IntlDateTimeCalendar.rerender();
+        await settle(window, 50);
+        window.IntlDateTimeCalendar.rerender();
+        await settle(window, 50);
+
+        assert.equal(time.querySelectorAll('a').length, 1);
+        assert.equal(time.querySelectorAll('.intl-datetime-label').length, 1);
+        assert.equal(time.querySelectorAll('[aria-hidden="true"]').length, 1);
+        assert.equal(text(time), '15/12/67');
+    });
+});
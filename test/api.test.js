@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, settle, text, closePage} = require('./dom');
+
+// 15 December 2024 10:30 UTC
+const TIMESTAMP = Date.UTC(2024, 11, 15, 10, 30);
+
+test('window.IntlDateTimeCalendar', async function (t) {
+    const window = await loadPage('');
+    const api = window.IntlDateTimeCalendar;
+    t.after(function () {
+        closePage(window);
+    });
+
+    await t.test('exposes the public functions', function () {
+        ['format', 'formatPhp', 'refresh', 'configure', 'destroy'].forEach(function (name) {
+            assert.equal(typeof api[name], 'function', name);
+        });
+    });
+
+    await t.test('formats timestamps like page elements', function () {
+        assert.equal(api.format(TIMESTAMP), 'December 15, 2024');
+        assert.equal(api.format(TIMESTAMP, {calendar: 'buddhist', locale: 'th-TH', type: 'date'}), '15 ธันวาคม 2567');
+    });
+
+    await t.test('formats PHP date() formats', function () {
+        assert.equal(api.formatPhp(TIMESTAMP, 'l j F Y', {locale: 'th-TH', calendar: 'buddhist'}), 'วันอาทิตย์ 15 ธันวาคม 2567');
+        assert.equal(api.formatPhp('not a date', 'j F Y'), '');
+    });
+
+    await t.test('applies settings changed at runtime', function () {
+        api.configure({calendar_type: 'japanese', locale: 'ja-JP'});
+        assert.equal(api.format(TIMESTAMP), '令和6年12月15日');
+        api.configure({calendar_type: 'gregory', locale: 'en-US'});
+    });
+});
+
+test('refresh() formats elements added after load', async function (t) {
+    const window = await loadPage('<div id="results"></div>');
+    t.after(function () {
+        closePage(window);
+    });
+
+    const results = window.document.getElementById('results');
+    results.innerHTML = '<time class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+        'data-date-format="wp" data-time-format="none">2024-12-15</time>';
+    window.IntlDateTimeCalendar.refresh(results);
+    await settle(window);
+
+    assert.equal(text(results), 'December 15, 2024');
+});
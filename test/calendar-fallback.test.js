@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, text, closePage} = require('./dom');
+
+// 15 December 2024 10:30 UTC
+const TIMESTAMP = Date.UTC(2024, 11, 15, 10, 30);
+
+/**
+ * Markup of a date element
+ * @param {string} attributes - Calendar attributes
+ * @returns {string} HTML
+ */
+function element(attributes) {
+    return '<time class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+        'data-date-format="wp" data-time-format="none" ' + attributes + '>2024-12-15</time>';
+}
+
+test('unsupported calendars fall back', async function (t) {
+    const warn = console.warn;
+    console.warn = function () {};
+    t.after(function () {
+        console.warn = warn;
+    });
+
+    // 'mars' is not a calendar any browser implements
+    const window = await loadPage(
+        element('data-calendar="mars"') +
+        element('data-calendar="mars" data-locale="th-TH"') +
+        element('data-calendar="venus"') +
+        element('data-calendar="dangi" data-locale="ko-KR" data-secondary-calendar="venus"'),
+        {time_zone: 'UTC', calendar_fallbacks: {mars: ['notacalendar', 'buddhist']}}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+    const elements = window.document.querySelectorAll('time');
+
+    await t.test('to the first supported calendar of the chain', function () {
+        assert.equal(elements[0].getAttribute('data-intl-calendar'), 'buddhist');
+        assert.equal(text(elements[1]), '15 ธันวาคม 2567');
+    });
+
+    await t.test('to Gregorian at the latest', function () {
+        assert.equal(elements[2].getAttribute('data-intl-calendar'), 'gregory');
+        assert.equal(text(elements[2]), 'December 15, 2024');
+    });
+
+    await t.test('records the calendars used', function () {
+        assert.equal(elements[3].getAttribute('data-intl-calendar'), 'dangi');
+        assert.equal(elements[3].getAttribute('data-intl-secondary-calendar'), 'gregory');
+    });
+});
+
+test('calendars the browser substitutes are unsupported', async function (t) {
+    const warn = console.warn;
+    console.warn = function () {};
+    t.after(function () {
+        console.warn = warn;
+    });
+
+    const window = await loadPage(
+        element('data-calendar="islamic-rgsa"') +
+        element('data-calendar="islamicc"'),
+        {time_zone: 'UTC'},
+        function (window) {
+            // A browser that formats islamic-rgsa dates in the islamic calendar
+            const DateTimeFormat = window.Intl.DateTimeFormat;
+            window.Intl.DateTimeFormat = class extends DateTimeFormat {
+                constructor(locale, options) {
+                    if (options && options.calendar === 'islamic-rgsa') {
+                        options = Object.assign({}, options, {calendar: 'islamic'});
+                    }
+                    super(locale, options);
+                }
+            };
+        }
+    );
+    t.after(function () {
+        closePage(window);
+    });
+    const elements = window.document.querySelectorAll('time');
+
+    assert.equal(elements[0].getAttribute('data-intl-calendar'), 'islamic-umalqura');
+    // Aliases are reported under their canonical name
+    assert.equal(elements[1].getAttribute('data-intl-calendar'), 'islamic-civil');
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, closePage} = require('./dom');
+
+/**
+ * Get the day numbers of a rendered grid
+ * @param {Element} el - Grid mount point
+ * @returns {string[]} Day numbers in order
+ */
+function days(el) {
+    return Array.from(el.querySelectorAll('tbody time')).map(function (time) {
+        return time.textContent;
+    });
+}
+
+test('Gregorian month grid', async function (t) {
+    const window = await loadPage(
+        '<div id="grid" data-intl-calendar-grid="2024-12-15" ' +
+        'data-posts=\'{"2024-12-15": {"url": "/2024/12/15/", "title": "3 posts"}, "2024-12-20": "/2024/12/20/", "2024-12-21": {}}\'></div>',
+        {time_zone: 'UTC'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+    const grid = window.document.getElementById('grid');
+
+    await t.test('caption, weekdays and days', function () {
+        assert.equal(grid.querySelector('caption').textContent, 'December 2024');
+        assert.deepEqual(Array.from(grid.querySelectorAll('th')).map(function (th) {
+            return th.textContent;
+        }), ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']);
+        assert.equal(grid.querySelector('th').getAttribute('aria-label'), 'Sunday');
+        assert.equal(days(grid).length, 31);
+        assert.equal(grid.querySelectorAll('tbody tr').length, 5);
+        // 1 December 2024 was a Sunday, 31 December a Tuesday
+        assert.equal(grid.querySelector('tbody tr').firstElementChild.className, '');
+        assert.equal(grid.querySelector('tbody tr:last-child td:last-child').colSpan, 4);
+    });
+
+    await t.test('links days with posts', function () {
+        const links = grid.querySelectorAll('tbody a');
+        assert.equal(links.length, 2);
+        assert.equal(links[0].getAttribute('href'), '/2024/12/15/');
+        assert.equal(links[0].getAttribute('aria-label'), 'Sunday, December 15, 2024, 3 posts');
+        assert.equal(links[1].querySelector('time').getAttribute('datetime'), '2024-12-20');
+    });
+
+    await t.test('pages through the months', function () {
+        grid.querySelector('.intl-calendar-grid-next').click();
+        assert.equal(grid.getAttribute('data-intl-calendar-grid'), '2025-01-01');
+        assert.equal(grid.querySelector('caption').textContent, 'January 2025');
+        assert.equal(window.document.activeElement, grid.querySelector('.intl-calendar-grid-next'));
+
+        grid.querySelector('.intl-calendar-grid-previous').click();
+        grid.querySelector('.intl-calendar-grid-previous').click();
+        assert.equal(grid.querySelector('caption').textContent, 'November 2024');
+        assert.equal(grid.querySelector('.intl-calendar-grid-next').getAttribute('aria-label'), 'Next month: December 2024');
+    });
+});
+
+test('grids follow the months of their calendar', async function (t) {
+    const window = await loadPage(
+        '<div id="hebrew" data-intl-calendar-grid="2024-12-15" data-calendar="hebrew"></div>' +
+        '<div id="persian" data-intl-calendar-grid="2024-12-15" data-calendar="persian" data-locale="fa-IR"></div>',
+        {time_zone: 'UTC'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+    const hebrew = window.document.getElementById('hebrew');
+    const persian = window.document.getElementById('persian');
+
+    // Kislev 5785 ran from 2 to 31 December 2024
+    assert.equal(hebrew.querySelector('caption').textContent, 'Kislev 5785');
+    assert.equal(days(hebrew).length, 30);
+    assert.equal(hebrew.querySelector('tbody time').getAttribute('datetime'), '2024-12-02');
+
+    // Azar 1403 ran from 21 November to 20 December 2024, and Persian weeks start on Saturday
+    assert.equal(persian.querySelector('caption').textContent, '۱۴۰۳ آذر');
+    assert.equal(days(persian)[0], '۱');
+    assert.equal(persian.querySelector('tbody time').getAttribute('datetime'), '2024-11-21');
+    assert.equal(persian.querySelector('th').getAttribute('aria-label'), 'شنبه');
+});
+
+test('renderCalendarGrid() renders grids added later', async function (t) {
+    const window = await loadPage('', {time_zone: 'UTC'});
+    t.after(function () {
+        closePage(window);
+    });
+
+    const el = window.document.createElement('div');
+    el.setAttribute('data-intl-calendar-grid', '2024-02-10');
+    window.IntlDateTimeCalendar.renderCalendarGrid(el);
+
+    assert.equal(el.querySelector('caption').textContent, 'February 2024');
+    assert.equal(days(el).length, 29);
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, closePage} = require('./dom');
+
+// 1 January 2025 12:00 UTC: day 2 of the twelfth month of the 41st (甲辰) year of the Chinese cycle
+const TIMESTAMP = Date.UTC(2025, 0, 1, 12);
+
+test('calendar year and era characters', async function (t) {
+    const window = await loadPage('');
+    const formatPhp = function (format, calendar, locale) {
+        return window.IntlDateTimeCalendar.formatPhp(TIMESTAMP, format, {calendar: calendar, locale: locale, timeZone: 'UTC'});
+    };
+    t.after(function () {
+        closePage(window);
+    });
+
+    await t.test('in the Japanese calendar', function () {
+        assert.equal(formatPhp('E|J|K|k|R', 'japanese', 'ja-JP'), '令和|令和|7|7|2025');
+    });
+
+    await t.test('in the Buddhist calendar', function () {
+        assert.equal(formatPhp('E|J|K|k|R', 'buddhist', 'th-TH'), 'พ.ศ.|พุทธศักราช|2568|68|2025');
+    });
+
+    await t.test('in the Chinese calendar', function () {
+        assert.equal(formatPhp('C', 'chinese', 'zh-CN'), '甲辰');
+        assert.equal(formatPhp('K', 'chinese', 'zh-CN'), '41');
+        assert.equal(formatPhp('R', 'chinese', 'zh-CN'), '2024');
+        assert.equal(formatPhp('E', 'chinese', 'zh-CN'), '');
+    });
+
+    await t.test('cyclic years next to numeric month and day characters', function () {
+        assert.equal(formatPhp('C年n月j日', 'chinese', 'zh-CN'), '甲辰年12月2日');
+        assert.equal(formatPhp('K n j', 'chinese', 'zh-CN'), '41 12 2');
+        assert.equal(formatPhp('Y C R', 'chinese', 'zh-CN'), '2024 甲辰 2024');
+        assert.equal(formatPhp('k C n', 'dangi', 'ko-KR'), '41 갑진 12월');
+    });
+
+    await t.test('B and b stay Thai Buddhist years, and Swatch time elsewhere', function () {
+        assert.equal(formatPhp('B b', 'buddhist', 'th-TH'), '2568 68');
+        assert.equal(formatPhp('B', 'gregory', 'en-US'), '541');
+    });
+
+    await t.test('escaped year characters are literal', function () {
+        assert.equal(formatPhp('\\K K', 'japanese', 'ja-JP'), 'K 7');
+    });
+});
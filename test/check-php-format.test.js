@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, closePage} = require('./dom');
+
+test('checkPhpFormat()', async function (t) {
+    const window = await loadPage('', {format_mode: 'wordpress'});
+    t.after(function () {
+        closePage(window);
+    });
+
+    /**
+     * Check a format and copy the result out of the page
+     * @param {string} format - PHP date format
+     * @param {Object} [options] - checkPhpFormat() options
+     * @returns {Array<{char: string, reason: string}>} Warnings
+     */
+    function check(format, options) {
+        return JSON.parse(JSON.stringify(window.IntlDateTimeCalendar.checkPhpFormat(format, options)));
+    }
+
+    await t.test('formats PHP renders the same way', function () {
+        assert.deepEqual(check('l, jS F Y g:i a'), []);
+        assert.deepEqual(check('\\W\\e\\e\\k W', {calendar: 'gregory'}), []);
+    });
+
+    await t.test('characters without a place in the locale layout', function () {
+        assert.deepEqual(check('jS F Y', {formatMode: 'locale'}), [{char: 'S', reason: 'locale'}]);
+    });
+
+    await t.test('Gregorian-only and cyclic-year characters', function () {
+        assert.deepEqual(check('W o j n Y', {calendar: 'buddhist'}), [{char: 'W', reason: 'gregorian'}, {char: 'o', reason: 'gregorian'}]);
+        assert.deepEqual(check('C Y', {calendar: 'gregory'}), [{char: 'C', reason: 'calendar'}]);
+        assert.deepEqual(check('C Y', {calendar: 'chinese'}), []);
+    });
+
+    await t.test('each character is listed once', function () {
+        assert.deepEqual(check('S jS', {formatMode: 'locale'}), [{char: 'S', reason: 'locale'}]);
+    });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, settle, text, closePage} = require('./dom');
+
+// 15 December 2024 10:30 UTC
+const TIMESTAMP = Date.UTC(2024, 11, 15, 10, 30);
+
+/**
+ * Markup of a countdown element
+ * @param {number} timestamp - Moment the countdown ends, in milliseconds
+ * @param {string} [attributes] - Extra attributes
+ * @returns {string} HTML
+ */
+function countdown(timestamp, attributes) {
+    return '<time class="intl-datetime-element" data-mode="countdown" data-intl-datetime="' + timestamp + '" ' +
+        (attributes || '') + '>Soon</time>';
+}
+
+/**
+ * Wait for an element's countdown-end event
+ * @param {HTMLElement} el - Countdown element
+ * @param {number} timeout - Milliseconds to wait before giving up
+ * @returns {Promise<boolean>} Whether the event fired in time
+ */
+function waitForEnd(el, timeout) {
+    return new Promise(function (resolve) {
+        const timer = setTimeout(resolve, timeout, false);
+        el.addEventListener('intl-datetime:countdown-end', function () {
+            clearTimeout(timer);
+            resolve(true);
+        });
+    });
+}
+
+test('formatCountdown()', async function (t) {
+    const window = await loadPage('');
+    t.after(function () {
+        closePage(window);
+    });
+    const api = window.IntlDateTimeCalendar;
+    const now = TIMESTAMP - (2 * 86400 + 3 * 3600 + 5) * 1000;
+
+    assert.equal(api.formatCountdown(TIMESTAMP, {now: now}), '2 days, 3 hours, 0 minutes, 5 seconds');
+    assert.equal(api.formatCountdown(TIMESTAMP, {now: now, style: 'short'}), '2 days, 3 hr, 0 min, 5 sec');
+    if (typeof Intl.DurationFormat !== 'function') {
+        // Units joined with Intl.ListFormat
+        assert.equal(api.formatCountdown(TIMESTAMP, {now: now, locale: 'th-TH', style: 'short'}), '2 วัน 3 ชม. 0 นาที และ 5 วิ');
+    }
+    // Leading units at zero are left out
+    assert.equal(api.formatCountdown(TIMESTAMP, {now: TIMESTAMP - 3600 * 1000}), '1 hour, 0 minutes, 0 seconds');
+    assert.equal(api.formatCountdown(TIMESTAMP, {now: TIMESTAMP + 1000}), '0 seconds');
+});
+
+test('countdown elements', async function (t) {
+    const window = await loadPage(
+        countdown(Date.now() + 3 * 86400 * 1000 + 30000, 'data-countdown-style="narrow"') +
+        countdown(TIMESTAMP, 'data-countdown-ended="The sale has ended"') +
+        countdown(TIMESTAMP, 'data-date-format="wp" data-time-format="none"'),
+        {time_zone: 'UTC'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+    const elements = window.document.querySelectorAll('time');
+
+    assert.equal(elements[0].getAttribute('data-countdown-state'), 'running');
+    assert.match(text(elements[0]), /^3d 0h 0m (30|29)s$/);
+    assert.equal(elements[1].getAttribute('data-countdown-state'), 'ended');
+    assert.equal(text(elements[1]), 'The sale has ended');
+    assert.equal(text(elements[2]), 'December 15, 2024');
+});
+
+test('a countdown on its own ends', async function (t) {
+    const window = await loadPage(countdown(Date.now() + 1500));
+    t.after(function () {
+        closePage(window);
+    });
+
+    const el = window.document.querySelector('[data-mode="countdown"]');
+    assert.equal(el.getAttribute('data-countdown-state'), 'running');
+    assert.ok(await waitForEnd(el, 3000));
+    assert.equal(el.getAttribute('data-countdown-state'), 'ended');
+});
+
+test('a countdown added next to an older relative time ends', async function (t) {
+    // Three hours ago: relative times this old only update every five minutes
+    const hoursAgo = Date.now() - 3 * 3600 * 1000;
+    const window = await loadPage('<time class="intl-datetime-element" data-custom-format="human-diff" data-intl-datetime="' + hoursAgo + '">Earlier</time>');
+    t.after(function () {
+        closePage(window);
+    });
+
+    const container = window.document.createElement('div');
+    container.innerHTML = countdown(Date.now() + 1500);
+    window.document.body.appendChild(container);
+    window.IntlDateTimeCalendar.refresh(container);
+
+    const el = container.firstChild;
+    assert.equal(el.getAttribute('data-countdown-state'), 'running');
+    assert.ok(await waitForEnd(el, 3000));
+    assert.equal(el.getAttribute('data-countdown-state'), 'ended');
+    assert.equal(text(window.document.body.firstChild), '3 hours ago');
+});
+
+test('a countdown ends in browsers without CustomEvent', async function (t) {
+    const window = await loadPage(countdown(Date.now() + 1000, 'data-countdown-ended="Ended"'), {}, function (window) {
+        delete window.CustomEvent;
+    });
+    t.after(function () {
+        closePage(window);
+    });
+
+    const el = window.document.querySelector('[data-mode="countdown"]');
+    assert.equal(el.getAttribute('data-countdown-state'), 'running');
+    await settle(window, 2500);
+    assert.equal(el.getAttribute('data-countdown-state'), 'ended');
+    assert.equal(text(el), 'Ended');
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, settle, text, closePage} = require('./dom');
+
+test('<intl-datetime> element', async function (t) {
+    const window = await loadPage(
+        '<intl-datetime id="thai" datetime="2024-12-15T15:00:00Z" calendar="buddhist" locale="th-TH" format="long">December 15, 2024</intl-datetime>' +
+        '<intl-datetime id="php" datetime="1734274800000" format="l jS F Y" time-zone="UTC">December 15, 2024</intl-datetime>' +
+        '<intl-datetime id="range" datetime="2024-12-15T00:00:00Z" end="2024-12-18T00:00:00Z" format="date" time-zone="UTC">15-18 Dec</intl-datetime>' +
+        '<intl-datetime id="invalid" datetime="soon">Coming soon</intl-datetime>',
+        {time_zone: 'UTC'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+    const document = window.document;
+
+    await t.test('formats attributes', function () {
+        assert.equal(text(document.getElementById('thai')), '15 ธันวาคม 2567');
+        assert.equal(text(document.getElementById('php')), 'Sunday 15th December 2024');
+        assert.equal(text(document.getElementById('range')), 'December 15\u2009–\u200918, 2024');
+    });
+
+    await t.test('keeps the content of invalid dates', function () {
+        assert.equal(text(document.getElementById('invalid')), 'Coming soon');
+    });
+
+    await t.test('formats again when an attribute changes', async function () {
+        const el = document.getElementById('thai');
+        el.setAttribute('calendar', 'gregory');
+        el.setAttribute('locale', 'en-US');
+        await settle(window);
+        assert.equal(text(el), 'December 15, 2024');
+    });
+
+    await t.test('formats elements created later', async function () {
+        const el = document.createElement('intl-datetime');
+        el.setAttribute('datetime', '2024-12-15T15:00:00Z');
+        el.setAttribute('format', 'Y-m-d');
+        document.body.appendChild(el);
+        await settle(window, 20);
+        assert.equal(text(el), '2024-12-15');
+    });
+});
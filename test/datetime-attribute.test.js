@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, text, closePage} = require('./dom');
+
+/**
+ * Markup of a theme date
+ * @param {string} datetime - datetime attribute
+ * @param {string} [attributes] - Extra attributes
+ * @returns {string} HTML
+ */
+function themeDate(datetime, attributes) {
+    return '<time class="entry-date" datetime="' + datetime + '" ' + (attributes || '') + '>' + datetime + '</time>';
+}
+
+test('datetime attributes of other <time> elements', async function (t) {
+    const window = await loadPage(
+        themeDate('2024-12-15') +
+        themeDate('2024-12-15T10:30') +
+        themeDate('2024-12-15T10:30', 'data-time-zone="UTC"') +
+        themeDate('2024-12-15T03:30:00Z') +
+        themeDate('2024-12-15T10:30:00+07:00') +
+        themeDate('not a date') +
+        '<time class="byline" datetime="2024-12-15">2024-12-15</time>',
+        {time_zone: 'Asia/Tokyo', time_selector: 'time.entry-date'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+    const elements = window.document.querySelectorAll('time');
+
+    await t.test('dates without a time are calendar days', function () {
+        assert.equal(text(elements[0]), 'December 15, 2024');
+    });
+
+    await t.test('local times are read in the site or element time zone', function () {
+        assert.equal(text(elements[1]), 'December 15, 2024 at 10:30\u202fAM');
+        assert.equal(text(elements[2]), 'December 15, 2024 at 10:30\u202fAM');
+    });
+
+    await t.test('times with an offset are exact moments', function () {
+        assert.equal(text(elements[3]), 'December 15, 2024 at 12:30\u202fPM');
+        assert.equal(text(elements[4]), 'December 15, 2024 at 12:30\u202fPM');
+    });
+
+    await t.test('invalid and unselected dates are left alone', function () {
+        assert.equal(text(elements[5]), 'not a date');
+        assert.equal(text(elements[6]), '2024-12-15');
+    });
+});
+
+test('date-only values keep their day in every time zone', async function (t) {
+    const window = await loadPage(
+        '<intl-datetime datetime="2024-12-15" format="date" time-zone="Pacific/Honolulu">2024-12-15</intl-datetime>' +
+        '<intl-datetime datetime="2024-12-15" format="date" time-zone="Pacific/Kiritimati">2024-12-15</intl-datetime>'
+    );
+    t.after(function () {
+        closePage(window);
+    });
+
+    window.document.querySelectorAll('intl-datetime').forEach(function (el) {
+        assert.equal(text(el), 'December 15, 2024');
+    });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Load the front-end script into a jsdom page, the way WordPress prints it
+ */
+const fs = require('fs');
+const path = require('path');
+const {JSDOM} = require('jsdom');
+
+// Dates rendered without a time zone setting use the process time zone
+process.env.TZ = 'UTC';
+
+const SCRIPT = fs.readFileSync(path.join(__dirname, '..', 'js', 'intl-datetime-calendar.js'), 'utf8');
+
+/**
+ * Default intlDateTimeCalendarSettings, as localized by the plugin for an en_US site
+ */
+const DEFAULT_SETTINGS = {
+    calendar_type: 'gregory',
+    locale: 'en-US',
+    wp_date_format: 'F j, Y',
+    wp_time_format: 'g:i a'
+};
+
+/**
+ * Create a page with the script loaded
+ * @param {string} html - Body markup
+ * @param {Object} [settings] - intlDateTimeCalendarSettings overrides
+ * @param {Function} [setup] - Called with the window before the script runs, e.g. to stub browser APIs
+ * @returns {Promise<Window>} Window once the script has processed the page
+ */
+function loadPage(html, settings, setup) {
+    const dom = new JSDOM('<!doctype html><html><body>' + (html || '') + '</body></html>', {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        url: 'https://example.test/'
+    });
+    const window = dom.window;
+
+    window.intlDateTimeCalendarSettings = Object.assign({}, DEFAULT_SETTINGS, settings || {});
+    if (setup) {
+        setup(window);
+    }
+    window.eval(SCRIPT);
+
+    return settle(window).then(function () {
+        return window;
+    });
+}
+
+/**
+ * Wait for queued elements and mutation callbacks to be handled
+ * @param {Window} window - Page window
+ * @param {number} [delay=0] - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function settle(window, delay) {
+    return new Promise(function (resolve) {
+        window.setTimeout(resolve, delay || 0);
+    });
+}
+
+/**
+ * Text only screen readers announce, left out of text()
+ */
+const SCREEN_READER_SELECTOR = '.screen-reader-text, .intl-datetime-label';
+
+/**
+ * Get the text a visitor sees in an element
+ * @param {Element} el - Element
+ * @returns {string} Text content, without text for screen readers only
+ */
+function text(el) {
+    const clone = el.cloneNode(true);
+    clone.querySelectorAll(SCREEN_READER_SELECTOR).forEach(function (hidden) {
+        hidden.remove();
+    });
+    return clone.textContent;
+}
+
+/**
+ * Stop the script and close a page created by loadPage()
+ * @param {Window} window - Page window
+ */
+function closePage(window) {
+    window.IntlDateTimeCalendar.destroy();
+    window.close();
+}
+
+module.exports = {loadPage, settle, text, closePage};
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, text, closePage} = require('./dom');
+
+test('formatDuration()', async function (t) {
+    const window = await loadPage('');
+    t.after(function () {
+        closePage(window);
+    });
+    const api = window.IntlDateTimeCalendar;
+
+    await t.test('styles', function () {
+        assert.equal(api.formatDuration('PT1H30M'), '1 hr, 30 min');
+        assert.equal(api.formatDuration('PT1H30M', {style: 'long'}), '1 hour, 30 minutes');
+        assert.equal(api.formatDuration('PT1H30M', {style: 'narrow'}), '1h 30m');
+        assert.equal(api.formatDuration({hours: 1, minutes: 30}, {style: 'digital'}), '1:30:00');
+        assert.equal(api.formatDuration('P2DT3H0M5S', {style: 'digital'}), '2 days, 3:00:05');
+    });
+
+    await t.test('every named unit is shown', function () {
+        assert.equal(api.formatDuration('PT1H0M'), '1 hr, 0 min');
+        assert.equal(api.formatDuration('PT1H'), '1 hr');
+        assert.equal(api.formatDuration('PT1.5S', {style: 'digital'}), '0:00:01.500');
+    });
+
+    await t.test('digital countdowns', function () {
+        const end = Date.UTC(2024, 11, 15, 10, 30);
+        assert.equal(api.formatCountdown(end, {now: end - (2 * 86400 + 3 * 3600 + 5) * 1000, style: 'digital'}), '2 days, 3:00:05');
+    });
+
+    await t.test('invalid durations', function () {
+        assert.equal(api.formatDuration('1 hour'), '');
+        assert.equal(api.formatDuration('P'), '');
+        assert.equal(api.formatDuration({}), '');
+    });
+});
+
+test('duration elements', async function (t) {
+    const warn = console.warn;
+    console.warn = function () {};
+    t.after(function () {
+        console.warn = warn;
+    });
+
+    const window = await loadPage(
+        '<time class="intl-datetime-element" data-duration="PT1H30M" data-duration-style="long">1 hour 30 minutes</time>' +
+        '<span class="intl-datetime-element" data-duration="PT45M" data-locale="th-TH" data-numbering-system="thai">45 minutes</span>' +
+        '<time class="intl-datetime-element" data-duration="soon">Soon</time>',
+        {time_zone: 'UTC'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+    const document = window.document;
+    const time = document.querySelector('time');
+    const span = document.querySelector('span');
+
+    assert.equal(text(time), '1 hour, 30 minutes');
+    assert.equal(time.getAttribute('datetime'), 'PT1H30M');
+    assert.equal(text(span), '๔๕ นาที');
+    assert.equal(span.getAttribute('lang'), 'th-TH');
+    assert.equal(text(document.querySelectorAll('time')[1]), 'Soon');
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, settle, text, closePage} = require('./dom');
+
+// 15 December 2024 10:30 UTC
+const TIMESTAMP = Date.UTC(2024, 11, 15, 10, 30);
+
+/**
+ * Markup of a number of date elements
+ * @param {number} count - Number of elements
+ * @returns {string} HTML
+ */
+function elements(count) {
+    let html = '';
+    for (let i = 0; i < count; i++) {
+        html += '<time class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+            'data-date-format="wp" data-time-format="none">2024-12-15</time>';
+    }
+    return html;
+}
+
+/**
+ * Count the elements still showing the server-rendered text
+ * @param {ParentNode} root - Root to search
+ * @returns {number} Number of unformatted elements
+ */
+function countUnformatted(root) {
+    return Array.from(root.querySelectorAll('time')).filter(function (el) {
+        return text(el) === '2024-12-15';
+    }).length;
+}
+
+test('elements added to the page are formatted without refresh()', async function (t) {
+    const window = await loadPage('<div id="results"></div>');
+    t.after(function () {
+        closePage(window);
+    });
+
+    const results = window.document.getElementById('results');
+    results.insertAdjacentHTML('beforeend', '<article>' + elements(2) + '</article>');
+    await settle(window, 20);
+
+    assert.equal(countUnformatted(results), 0);
+    assert.equal(text(results.querySelector('time')), 'December 15, 2024');
+});
+
+test('large additions are formatted in batches', async function (t) {
+    const window = await loadPage('<div id="results"></div>');
+    t.after(function () {
+        closePage(window);
+    });
+
+    const results = window.document.getElementById('results');
+    results.innerHTML = elements(120);
+    await settle(window, 20);
+    assert.ok(countUnformatted(results) < 120);
+
+    // Later batches follow in the next idle periods
+    for (let i = 0; i < 100 && countUnformatted(results) > 0; i++) {
+        await settle(window, 50);
+    }
+    assert.equal(countUnformatted(results), 0);
+});
+
+test('off-screen dates wait until they approach the viewport', async function (t) {
+    let observer = null;
+    const window = await loadPage(elements(3), {defer_offscreen: true}, function (window) {
+        window.IntersectionObserver = class {
+            constructor(callback) {
+                this.callback = callback;
+                this.targets = new Set();
+                observer = this;
+            }
+
+            observe(el) {
+                this.targets.add(el);
+            }
+
+            unobserve(el) {
+                this.targets.delete(el);
+            }
+
+            disconnect() {
+                this.targets.clear();
+            }
+        };
+    });
+    t.after(function () {
+        closePage(window);
+    });
+
+    const document = window.document;
+    assert.equal(countUnformatted(document), 3);
+    assert.equal(observer.targets.size, 3);
+
+    const first = document.querySelector('time');
+    observer.callback([{target: first, isIntersecting: true}]);
+    await settle(window, 20);
+
+    assert.equal(text(first), 'December 15, 2024');
+    assert.equal(countUnformatted(document), 2);
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, settle, text, closePage} = require('./dom');
+
+/**
+ * Markup of a block preview, as rendered by the block editor
+ * @param {string} type - Block name
+ * @param {string} clientId - Block client ID
+ * @returns {string} HTML
+ */
+function block(type, clientId) {
+    return '<div data-type="' + type + '" data-block="' + clientId + '">' +
+        '<time datetime="2024-12-15T10:30:00+00:00">December 15, 2024</time></div>';
+}
+
+test('block editor previews', async function (t) {
+    const attributes = {date: {}, custom: {format: 'j F Y'}, time: {}, other: {}};
+    const window = await loadPage(
+        block('core/post-date', 'date') +
+        block('core/post-date', 'custom') +
+        block('core/post-time', 'time') +
+        block('core/paragraph', 'other'),
+        {calendar_type: 'buddhist', locale: 'th-TH', time_zone: 'UTC', editor: true},
+        function (window) {
+            window.wp = {
+                data: {
+                    select: function () {
+                        return {
+                            getBlockAttributes: function (clientId) {
+                                return attributes[clientId];
+                            }
+                        };
+                    }
+                }
+            };
+            // Visitor choices are for the front end only
+            window.localStorage.setItem('intlDateTimeCalendarPreferences', JSON.stringify({calendar: 'japanese'}));
+        }
+    );
+    t.after(function () {
+        closePage(window);
+    });
+    const previews = window.document.querySelectorAll('time');
+
+    await t.test('formats date blocks with the site settings', function () {
+        assert.equal(text(previews[0]), '15 ธันวาคม 2567');
+        assert.equal(text(previews[2]), '10:30 ก่อนเที่ยง');
+    });
+
+    await t.test('applies the block format', function () {
+        assert.equal(text(previews[1]), '15 ธันวาคม 2567');
+        assert.equal(previews[1].getAttribute('data-custom-format'), 'j F Y');
+    });
+
+    await t.test('leaves other blocks alone', function () {
+        assert.equal(text(previews[3]), 'December 15, 2024');
+    });
+
+    await t.test('formats the editor\'s re-renders', async function () {
+        attributes.custom = {format: 'Y-m-d'};
+        previews[1].textContent = '2024-12-15';
+        await settle(window, 20);
+        assert.equal(text(previews[1]), '2567-12-15');
+    });
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, text, closePage} = require('./dom');
+
+// 15 December 2024 10:30 UTC
+const TIMESTAMP = Date.UTC(2024, 11, 15, 10, 30);
+
+/**
+ * Markup of a datetime element
+ * @param {string} attributes - Element attributes
+ * @returns {string} HTML
+ */
+function element(attributes) {
+    return '<span class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' + attributes + '>2024-12-15</span>';
+}
+
+test('per-element locale and style attributes', async function (t) {
+    const window = await loadPage(
+        element('data-locale="th-TH" data-calendar="buddhist" data-date-style="long"') +
+        element('data-date-style="full" data-time-style="short"') +
+        element('data-time-style="short"') +
+        element('data-locale="xx-invalid-locale-tag" data-date-style="medium"'),
+        {time_zone: 'UTC'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+
+    const elements = window.document.querySelectorAll('.intl-datetime-element');
+    assert.equal(text(elements[0]), '15 ธันวาคม 2567');
+    assert.equal(text(elements[1]), 'Sunday, December 15, 2024 at 10:30\u202fAM');
+    assert.equal(text(elements[2]), '10:30\u202fAM');
+    // Locales the browser cannot render fall back to the site locale
+    assert.equal(text(elements[3]), 'Dec 15, 2024');
+});
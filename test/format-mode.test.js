@@ -0,0 +1,34 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, text, closePage} = require('./dom');
+
+// 31 January 2024 10:30 UTC
+const TIMESTAMP = Date.UTC(2024, 0, 31, 10, 30);
+const ELEMENT = '<time class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+    'data-date-format="wp" data-time-format="none">31/01/2024</time>';
+
+test('locale native layout uses the language order', async function (t) {
+    const window = await loadPage(ELEMENT, {time_zone: 'UTC', wp_date_format: 'd/m/Y'});
+    t.after(function () {
+        closePage(window);
+    });
+
+    assert.equal(text(window.document.querySelector('time')), '01/31/2024');
+});
+
+test('WordPress layout keeps the order and separators of the format', async function (t) {
+    const window = await loadPage(ELEMENT, {
+        time_zone: 'UTC',
+        wp_date_format: 'd/m/Y',
+        format_mode: 'wordpress',
+        locale: 'th-TH',
+        calendar_type: 'buddhist'
+    });
+    t.after(function () {
+        closePage(window);
+    });
+
+    assert.equal(text(window.document.querySelector('time')), '31/01/2567');
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, closePage} = require('./dom');
+
+// 15 December 2024 10:30 UTC
+const TIMESTAMP = Date.UTC(2024, 11, 15, 10, 30);
+
+test('formatter cache', async function (t) {
+    const window = await loadPage('', {time_zone: 'UTC'});
+    t.after(function () {
+        closePage(window);
+    });
+    const api = window.IntlDateTimeCalendar;
+
+    await t.test('reuses formatters', function () {
+        assert.equal(api.getCacheStats().maxSize, 200);
+
+        api.format(TIMESTAMP, {locale: 'de-DE'});
+        const before = api.getCacheStats();
+        api.format(TIMESTAMP, {locale: 'de-DE'});
+        const after = api.getCacheStats();
+
+        assert.equal(after.size, before.size);
+        assert.equal(after.misses, before.misses);
+        assert.ok(after.hits > before.hits);
+    });
+
+    await t.test('keeps the most recently used formatters', function () {
+        api.configure({formatter_cache_size: 2});
+        ['de-DE', 'fr-FR', 'it-IT', 'es-ES'].forEach(function (locale) {
+            api.format(TIMESTAMP, {locale: locale});
+        });
+
+        const stats = api.getCacheStats();
+        assert.equal(stats.maxSize, 2);
+        assert.equal(stats.size, 2);
+
+        // Still cached
+        const misses = stats.misses;
+        api.format(TIMESTAMP, {locale: 'es-ES'});
+        assert.equal(api.getCacheStats().misses, misses);
+
+        // Evicted
+        api.format(TIMESTAMP, {locale: 'de-DE'});
+        assert.ok(api.getCacheStats().misses > misses);
+    });
+});
+
+test('formatter_cache_size setting', async function (t) {
+    const window = await loadPage('', {formatter_cache_size: 500});
+    t.after(function () {
+        closePage(window);
+    });
+
+    assert.equal(window.IntlDateTimeCalendar.getCacheStats().maxSize, 500);
+});
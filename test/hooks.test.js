@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, settle, text, closePage} = require('./dom');
+
+// 15 December 2024 10:30 UTC
+const TIMESTAMP = Date.UTC(2024, 11, 15, 10, 30);
+
+const ELEMENT = '<time class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+    'data-date-format="wp" data-time-format="none">2024-12-15</time>';
+
+test('filters', async function (t) {
+    const window = await loadPage('');
+    t.after(function () {
+        closePage(window);
+    });
+    const api = window.IntlDateTimeCalendar;
+
+    await t.test('formattedValue changes the text and can be removed', function () {
+        const remove = api.addHook('formattedValue', function (value) {
+            return value.toUpperCase();
+        });
+        assert.equal(api.format(TIMESTAMP), 'DECEMBER 15, 2024');
+        remove();
+        assert.equal(api.format(TIMESTAMP), 'December 15, 2024');
+    });
+
+    await t.test('callbacks run in priority order', function () {
+        const late = function (value) {
+            return value + ' b';
+        };
+        const early = function (value) {
+            return value + ' a';
+        };
+        api.addHook('formattedValue', late, 20);
+        api.addHook('formattedValue', early);
+        assert.equal(api.format(TIMESTAMP), 'December 15, 2024 a b');
+        api.removeHook('formattedValue', late);
+        api.removeHook('formattedValue', early);
+    });
+
+    await t.test('beforeFormat and formatOptions change the settings', function () {
+        const removeBefore = api.addHook('beforeFormat', function (settings, context) {
+            assert.equal(context.element, null);
+            return Object.assign({}, settings, {calendar: 'japanese', locale: 'ja-JP'});
+        });
+        assert.equal(api.format(TIMESTAMP), '令和6年12月15日');
+        removeBefore();
+
+        const removeOptions = api.addHook('formatOptions', function (format) {
+            return Object.assign({}, format, {options: Object.assign({}, format.options, {month: 'short'})});
+        });
+        assert.equal(api.format(TIMESTAMP), 'Dec 15, 2024');
+        removeOptions();
+    });
+
+    await t.test('a throwing callback is skipped', function () {
+        const error = console.error;
+        console.error = function () {};
+        const remove = api.addHook('formattedValue', function () {
+            throw new Error('broken');
+        });
+        try {
+            assert.equal(api.format(TIMESTAMP), 'December 15, 2024');
+        } finally {
+            remove();
+            console.error = error;
+        }
+    });
+
+    await t.test('unknown hooks are rejected', function () {
+        assert.throws(function () {
+            api.addHook('nope', function () {});
+        }, /Unknown hook/);
+    });
+});
+
+test('beforeFormat can keep the server-rendered text', async function (t) {
+    const window = await loadPage('<div id="results"></div>');
+    t.after(function () {
+        closePage(window);
+    });
+    window.IntlDateTimeCalendar.addHook('beforeFormat', function () {
+        return false;
+    });
+
+    const results = window.document.getElementById('results');
+    results.innerHTML = ELEMENT;
+    window.IntlDateTimeCalendar.refresh(results);
+    await settle(window);
+
+    assert.equal(text(results), '2024-12-15');
+});
+
+test('afterRender and the rendered event', async function (t) {
+    const window = await loadPage('<div id="results"></div>');
+    t.after(function () {
+        closePage(window);
+    });
+    const rendered = [];
+    const events = [];
+
+    window.IntlDateTimeCalendar.addHook('afterRender', function (el, context) {
+        rendered.push([el.tagName, context.value]);
+    });
+    window.document.addEventListener('intl-datetime:rendered', function (event) {
+        events.push([event.target.tagName, event.detail.value, event.detail.timestamp]);
+    });
+
+    const results = window.document.getElementById('results');
+    results.innerHTML = ELEMENT;
+    window.IntlDateTimeCalendar.refresh(results);
+    await settle(window);
+
+    assert.deepEqual(rendered, [['TIME', 'December 15, 2024']]);
+    assert.equal(events.length, 1);
+    assert.equal(events[0][0], 'TIME');
+    assert.equal(events[0][1], 'December 15, 2024');
+    assert.equal(Number(events[0][2]), TIMESTAMP);
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, text, closePage} = require('./dom');
+
+// 15 December 2024 10:30 UTC
+const TIMESTAMP = Date.UTC(2024, 11, 15, 10, 30);
+
+/**
+ * Markup of a date element
+ * @param {string} [attributes] - Extra attributes
+ * @returns {string} HTML
+ */
+function element(attributes) {
+    return '<time class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+        'data-date-format="custom" data-custom-format="j/n/Y H:i" data-time-format="none" ' + (attributes || '') + '>15/12/2024</time>';
+}
+
+test('site and element numbering systems', async function (t) {
+    const window = await loadPage(
+        element() +
+        element('data-numbering-system="latn"') +
+        element('data-numbering-system="arabext"') +
+        element('data-numbering-system="not-a-system"'),
+        {time_zone: 'UTC', numbering_system: 'thai'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+
+    const elements = window.document.querySelectorAll('time');
+    assert.equal(text(elements[0]), '๑๕/๑๒/๒๐๒๔ ๑๐:๓๐');
+    assert.equal(text(elements[1]), '15/12/2024 10:30');
+    assert.equal(text(elements[2]), '۱۵/۱۲/۲۰۲۴ ۱۰:۳۰');
+    // Unsupported values use the language default
+    assert.equal(text(elements[3]), '15/12/2024 10:30');
+});
+
+test('formatPhp() digits', async function (t) {
+    const window = await loadPage('', {time_zone: 'UTC'});
+    t.after(function () {
+        closePage(window);
+    });
+
+    assert.equal(window.IntlDateTimeCalendar.formatPhp(TIMESTAMP, 'j F Y', {numberingSystem: 'thai', locale: 'th-TH'}), '๑๕ ธันวาคม ๒๐๒๔');
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, text, closePage} = require('./dom');
+
+// 15 December 2024 10:30 UTC
+const TIMESTAMP = Date.UTC(2024, 11, 15, 10, 30);
+const END_TIMESTAMP = Date.UTC(2024, 11, 18, 10, 30);
+
+/**
+ * Part classes of the spans in an element, without the shared intl-dt-part class
+ * @param {Element} el - Rendered element
+ * @returns {string[]} One class list per span
+ */
+function partClasses(el) {
+    return Array.from(el.querySelectorAll('.intl-dt-part')).map(function (span) {
+        return Array.from(span.classList).filter(function (name) {
+            return name !== 'intl-dt-part';
+        }).join(' ');
+    });
+}
+
+test('parts rendering', async function (t) {
+    const window = await loadPage(
+        '<time id="date" class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+        'data-date-format="wp" data-time-format="none" data-render="parts">2024-12-15</time>' +
+        '<time id="custom" class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+        'data-date-format="custom" data-custom-format="jS F" data-time-format="none" data-render="parts">15 Dec</time>' +
+        '<time id="link" class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+        'data-date-format="wp" data-time-format="none" data-render="parts"><a href="/2024/12/15/">2024-12-15</a></time>' +
+        '<time id="range" class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+        'data-intl-datetime-end="' + END_TIMESTAMP + '" data-date-format="wp" data-time-format="none" data-render="parts">15-18 Dec</time>',
+        {time_zone: 'UTC'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+    const document = window.document;
+
+    await t.test('Intl parts', function () {
+        const el = document.getElementById('date');
+        assert.equal(text(el), 'December 15, 2024');
+        assert.deepEqual(partClasses(el), ['intl-dt-month', 'intl-dt-literal', 'intl-dt-day', 'intl-dt-literal', 'intl-dt-year']);
+    });
+
+    await t.test('custom format parts', function () {
+        const el = document.getElementById('custom');
+        assert.equal(text(el), '15th December');
+        assert.deepEqual(partClasses(el), ['intl-dt-day', 'intl-dt-ordinal', 'intl-dt-literal', 'intl-dt-month']);
+    });
+
+    await t.test('links are kept', function () {
+        const link = document.querySelector('#link a');
+        assert.equal(link.getAttribute('href'), '/2024/12/15/');
+        assert.equal(text(link), 'December 15, 2024');
+        assert.equal(link.querySelectorAll('.intl-dt-part').length, 5);
+    });
+
+    await t.test('range parts', function () {
+        const el = document.getElementById('range');
+        assert.equal(text(el), 'December 15\u2009–\u200918, 2024');
+        assert.deepEqual(partClasses(el), [
+            'intl-dt-month intl-dt-shared',
+            'intl-dt-literal intl-dt-shared',
+            'intl-dt-day intl-dt-start-range',
+            'intl-dt-literal intl-dt-shared',
+            'intl-dt-day intl-dt-end-range',
+            'intl-dt-literal intl-dt-shared',
+            'intl-dt-year intl-dt-shared'
+        ]);
+    });
+
+    await t.test('format() returns markup', function () {
+        assert.equal(
+            window.IntlDateTimeCalendar.format(TIMESTAMP, {render: 'parts', locale: 'ja-JP'}),
+            '<span class="intl-dt-part intl-dt-year">2024</span><span class="intl-dt-part intl-dt-literal">年</span>' +
+            '<span class="intl-dt-part intl-dt-month">12</span><span class="intl-dt-part intl-dt-literal">月</span>' +
+            '<span class="intl-dt-part intl-dt-day">15</span><span class="intl-dt-part intl-dt-literal">日</span>'
+        );
+    });
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, closePage} = require('./dom');
+
+// Thursday 29 February 2024 13:05:09 UTC
+const TIMESTAMP = Date.UTC(2024, 1, 29, 13, 5, 9);
+
+test('PHP date() characters', async function (t) {
+    const window = await loadPage('', {time_zone: 'UTC'});
+    const formatPhp = function (format, options) {
+        return window.IntlDateTimeCalendar.formatPhp(TIMESTAMP, format, Object.assign({timeZone: 'UTC'}, options));
+    };
+    t.after(function () {
+        closePage(window);
+    });
+
+    await t.test('day, week, month and year', function () {
+        assert.equal(formatPhp('d D j l N S w z'), '29 Thu 29 Thursday 4 th 4 59');
+        assert.equal(formatPhp('W o'), '09 2024');
+        assert.equal(formatPhp('F M m n t L Y y'), 'February Feb 02 2 29 1 2024 24');
+    });
+
+    await t.test('time', function () {
+        assert.equal(formatPhp('a A g G h H i s'), 'pm PM 1 13 01 13 05 09');
+        assert.equal(formatPhp('U'), String(TIMESTAMP / 1000));
+    });
+
+    await t.test('full dates stay Gregorian and machine-readable', function () {
+        assert.equal(formatPhp('c', {calendar: 'persian'}), '2024-02-29T13:05:09+00:00');
+        assert.equal(formatPhp('r'), 'Thu, 29 Feb 2024 13:05:09 +0000');
+    });
+
+    await t.test('escaped characters', function () {
+        assert.equal(formatPhp('\\Y\\e\\a\\r: Y'), 'Year: 2024');
+    });
+
+    await t.test('calendar-aware day and month counts', function () {
+        // 10 Esfand 1402 (a 29-day month in a common year)
+        assert.equal(formatPhp('j n t L z', {calendar: 'persian'}), '10 12 29 0 345');
+    });
+
+    await t.test('ordinal suffixes follow the site language', function () {
+        assert.equal(window.IntlDateTimeCalendar.formatPhp(Date.UTC(2024, 2, 1), 'jS', {timeZone: 'UTC'}), '1st');
+        assert.equal(window.IntlDateTimeCalendar.formatPhp(Date.UTC(2024, 2, 1), 'jS', {timeZone: 'UTC', locale: 'ja-JP'}), '1');
+    });
+});
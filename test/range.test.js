@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, text, closePage} = require('./dom');
+
+const START = Date.UTC(2024, 0, 3, 10);
+const END = Date.UTC(2024, 0, 5, 10);
+
+// Intl separates the ends of ranges with thin spaces around an en dash
+
+test('formatRange() writes shared fields once', async function (t) {
+    const window = await loadPage('', {time_zone: 'UTC'});
+    const formatRange = window.IntlDateTimeCalendar.formatRange;
+    t.after(function () {
+        closePage(window);
+    });
+
+    assert.equal(formatRange(START, END, {dateStyle: 'long'}), 'January 3\u2009\u2013\u20095, 2024');
+    assert.equal(formatRange(START, END, {dateStyle: 'long', locale: 'th-TH', calendar: 'buddhist'}), '3\u20135 มกราคม 2567');
+    assert.equal(formatRange(START, Date.UTC(2024, 1, 5), {dateStyle: 'long'}), 'January 3\u2009\u2013\u2009February 5, 2024');
+});
+
+test('elements with an end timestamp render as a range', async function (t) {
+    const window = await loadPage(
+        '<time class="intl-datetime-element" data-intl-datetime="' + START + '" data-intl-datetime-end="' + END + '" ' +
+            'data-date-format="wp" data-time-format="none">January 3, 2024 – January 5, 2024</time>' +
+        '<time class="intl-datetime-element" data-intl-datetime="' + START + '" data-intl-datetime-end="' + END + '" ' +
+            'data-date-format="custom" data-custom-format="j/n/Y" data-time-format="none">3/1/2024 – 5/1/2024</time>',
+        {time_zone: 'UTC'}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+
+    const elements = window.document.querySelectorAll('time');
+    assert.equal(text(elements[0]), 'January 3\u2009\u2013\u20095, 2024');
+    // Custom formats show both dates in full
+    assert.equal(text(elements[1]), '3/1/2024 – 5/1/2024');
+});
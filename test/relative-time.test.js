@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, text, closePage} = require('./dom');
+
+const NOW = Date.UTC(2024, 11, 15, 12, 0);
+
+test('formatRelative()', async function (t) {
+    const window = await loadPage('');
+    const formatRelative = window.IntlDateTimeCalendar.formatRelative;
+    t.after(function () {
+        closePage(window);
+    });
+
+    await t.test('picks the unit from the default thresholds', function () {
+        assert.equal(formatRelative(NOW, {now: NOW}), 'now');
+        assert.equal(formatRelative(NOW - 30 * 1000, {now: NOW}), '30 seconds ago');
+        assert.equal(formatRelative(NOW - 50 * 1000, {now: NOW}), '1 minute ago');
+        assert.equal(formatRelative(NOW - 3 * 3600 * 1000, {now: NOW}), '3 hours ago');
+        assert.equal(formatRelative(NOW - 23 * 3600 * 1000, {now: NOW}), 'yesterday');
+        assert.equal(formatRelative(NOW + 2 * 86400 * 1000, {now: NOW}), 'in 2 days');
+        assert.equal(formatRelative(NOW - 400 * 86400 * 1000, {now: NOW}), 'last year');
+    });
+
+    await t.test('accepts other thresholds and locales', function () {
+        assert.equal(formatRelative(NOW - 23 * 3600 * 1000, {now: NOW, thresholds: {hour: 24}}), '23 hours ago');
+        assert.equal(formatRelative(NOW - 3 * 3600 * 1000, {now: NOW, locale: 'th-TH'}), '3 ชั่วโมงที่ผ่านมา');
+    });
+});
+
+test('human-diff elements', async function (t) {
+    const recent = Date.now() - 3 * 3600 * 1000;
+    const old = Date.now() - 40 * 86400 * 1000;
+    const window = await loadPage(
+        '<time class="intl-datetime-element" data-custom-format="human-diff" data-intl-datetime="' + recent + '">3 hours ago</time>' +
+        '<time class="intl-datetime-element" data-custom-format="human-diff" data-intl-datetime="' + old + '">40 days ago</time>',
+        {relative_absolute_after: 30 * 86400}
+    );
+    t.after(function () {
+        closePage(window);
+    });
+
+    const elements = window.document.querySelectorAll('time');
+
+    await t.test('show the time since the timestamp, with the date as a tooltip', function () {
+        assert.equal(text(elements[0]), '3 hours ago');
+        assert.ok(elements[0].getAttribute('title'));
+    });
+
+    await t.test('switch to the date once older than relative_absolute_after', function () {
+        const date = new Date(old);
+        assert.equal(text(elements[1]), window.IntlDateTimeCalendar.format(old));
+        assert.ok(text(elements[1]).indexOf(String(date.getUTCFullYear())) !== -1);
+    });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, text, closePage} = require('./dom');
+
+// 15 March 2024 10:00 UTC: 5 Ramadan 1445 AH
+const TIMESTAMP = Date.UTC(2024, 2, 15, 10);
+
+/**
+ * Markup of a date element
+ * @param {string} [attributes] - Extra attributes
+ * @returns {string} HTML
+ */
+function element(attributes) {
+    return '<time class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+        'data-date-format="wp" data-time-format="none" ' + (attributes || '') + '>March 15, 2024</time>';
+}
+
+test('secondary calendar display modes', async function (t) {
+    const window = await loadPage(
+        element() +
+        element('data-secondary-display="inline"') +
+        element('data-secondary-display="ruby"') +
+        element('data-secondary-display="tooltip"') +
+        element('data-secondary-calendar="none"'),
+        {
+            time_zone: 'UTC',
+            secondary_calendar: 'islamic-umalqura',
+            secondary_display: 'parentheses',
+            secondary_template: '{primary} · {secondary}'
+        }
+    );
+    t.after(function () {
+        closePage(window);
+    });
+
+    const elements = window.document.querySelectorAll('body > time');
+
+    await t.test('in parentheses', function () {
+        assert.equal(text(elements[0]), 'March 15, 2024 (Ramadan 5, 1445 AH)');
+    });
+
+    await t.test('inline, using the template', function () {
+        assert.equal(text(elements[1]), 'March 15, 2024 · Ramadan 5, 1445 AH');
+    });
+
+    await t.test('as a ruby annotation', function () {
+        const ruby = elements[2].querySelector('ruby.intl-datetime-dual');
+        assert.ok(ruby);
+        assert.equal(ruby.querySelector('rt').textContent, 'Ramadan 5, 1445 AH');
+    });
+
+    await t.test('as a tooltip', function () {
+        assert.equal(text(elements[3]), 'March 15, 2024');
+        assert.equal(elements[3].getAttribute('title'), 'Ramadan 5, 1445 AH');
+    });
+
+    await t.test('turned off per element', function () {
+        assert.equal(text(elements[4]), 'March 15, 2024');
+    });
+});
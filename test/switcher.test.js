@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, settle, text, closePage} = require('./dom');
+
+// 15 December 2024 10:30 UTC
+const TIMESTAMP = Date.UTC(2024, 11, 15, 10, 30);
+
+/**
+ * Markup of a date element
+ * @param {string} id - Element id
+ * @param {string} [attributes] - Extra attributes
+ * @returns {string} HTML
+ */
+function element(id, attributes) {
+    return '<time id="' + id + '" class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+        'data-date-format="wp" data-time-format="none" ' + (attributes || '') + '>2024-12-15</time>';
+}
+
+/**
+ * Switcher markup, as output by the [intl_datetime_switcher] shortcode
+ */
+const SWITCHER = '<div class="intl-datetime-switcher">' +
+    '<label class="intl-datetime-switcher-field">Calendar <select data-intl-switcher="calendar">' +
+    '<option value="">Site default</option><option value="gregory">Gregorian</option></select></label> ' +
+    '<label class="intl-datetime-switcher-field">Language <select data-intl-switcher="locale">' +
+    '<option value="">Site default</option><option value="en-US">en-US</option><option value="th-TH">th-TH</option></select></label> ' +
+    '<label class="intl-datetime-switcher-field">Digits <select data-intl-switcher="numbering_system">' +
+    '<option value="">Site default</option><option value="latn">latn</option><option value="thai">thai</option></select></label> ' +
+    '</div>';
+
+/**
+ * Choose a value in one of the switcher's drop-downs
+ * @param {Window} window - Page window
+ * @param {string} field - Switcher field
+ * @param {string} value - Value to choose
+ * @returns {Promise<void>}
+ */
+function choose(window, field, value) {
+    const select = window.document.querySelector('select[data-intl-switcher="' + field + '"]');
+    select.value = value;
+    select.dispatchEvent(new window.Event('change'));
+    return settle(window, 20);
+}
+
+test('visitor switcher', async function (t) {
+    const window = await loadPage(SWITCHER + element('date') + element('fixed', 'data-calendar="gregory"'), {time_zone: 'UTC'});
+    t.after(function () {
+        closePage(window);
+    });
+    const document = window.document;
+
+    await t.test('lists the supported calendars and names languages in themselves', function () {
+        const calendars = Array.from(document.querySelector('select[data-intl-switcher="calendar"]').options);
+        assert.equal(calendars[0].value, '');
+        assert.ok(calendars.some(function (option) {
+            return option.value === 'buddhist';
+        }));
+
+        const languages = document.querySelector('select[data-intl-switcher="locale"]').options;
+        assert.equal(languages[2].textContent, 'ไทย (ไทย)');
+    });
+
+    await t.test('updates the dates on the page and stores the choice', async function () {
+        await choose(window, 'calendar', 'buddhist');
+        await choose(window, 'locale', 'th-TH');
+        await choose(window, 'numbering_system', 'thai');
+
+        assert.equal(text(document.getElementById('date')), '๑๕ ธันวาคม ๒๕๖๗');
+        assert.deepEqual(JSON.parse(window.localStorage.getItem('intlDateTimeCalendarPreferences')), {
+            calendar: 'buddhist',
+            locale: 'th-TH',
+            numbering_system: 'thai'
+        });
+    });
+
+    await t.test('elements keep their own calendar', function () {
+        assert.equal(text(document.getElementById('fixed')), '๑๕ ธันวาคม ๒๐๒๔');
+    });
+
+    await t.test('site default restores the site settings', async function () {
+        await choose(window, 'calendar', '');
+        await choose(window, 'locale', '');
+        await choose(window, 'numbering_system', '');
+
+        assert.equal(text(document.getElementById('date')), 'December 15, 2024');
+    });
+});
+
+test('stored choices apply on the next page', async function (t) {
+    const window = await loadPage(SWITCHER + element('date'), {time_zone: 'UTC'}, function (window) {
+        window.localStorage.setItem('intlDateTimeCalendarPreferences', JSON.stringify({calendar: 'japanese', locale: 'ja-JP', numbering_system: '<script>'}));
+    });
+    t.after(function () {
+        closePage(window);
+    });
+
+    assert.equal(text(window.document.getElementById('date')), '令和6年12月15日');
+    assert.equal(window.document.querySelector('select[data-intl-switcher="locale"]').value, '');
+});
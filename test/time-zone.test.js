@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, text, closePage} = require('./dom');
+
+// 31 December 2023 23:59:59 UTC: already 1 January 2024 in Tokyo
+const TIMESTAMP = Date.UTC(2023, 11, 31, 23, 59, 59);
+
+/**
+ * Markup of a date and time element
+ * @param {string} [attributes] - Extra attributes
+ * @returns {string} HTML
+ */
+function element(attributes) {
+    return '<time class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+        'data-date-format="wp" data-time-format="wp" ' + (attributes || '') + '>December 31, 2023</time>';
+}
+
+test('elements render in the site time zone unless they name their own', async function (t) {
+    const window = await loadPage(element() + element('data-time-zone="Asia/Tokyo"') + element('data-time-zone="visitor"'), {
+        time_zone: 'America/New_York',
+        wp_date_format: 'F j, Y',
+        wp_time_format: 'g:i a'
+    });
+    t.after(function () {
+        closePage(window);
+    });
+
+    const elements = window.document.querySelectorAll('time');
+    assert.match(text(elements[0]), /December 31, 2023.*6:59/);
+    assert.match(text(elements[1]), /January 1, 2024.*8:59/);
+    // The process (visitor) time zone is UTC
+    assert.match(text(elements[2]), /December 31, 2023.*11:59/);
+});
+
+test('PHP time zone characters', async function (t) {
+    const window = await loadPage('', {time_zone: 'Asia/Bangkok'});
+    const formatPhp = window.IntlDateTimeCalendar.formatPhp;
+    t.after(function () {
+        closePage(window);
+    });
+
+    assert.equal(formatPhp(TIMESTAMP, 'j n Y H:i e O P'), '1 1 2024 06:59 Asia/Bangkok +0700 +07:00');
+    assert.equal(formatPhp(TIMESTAMP, 'H:i O', {timeZone: 'Asia/Tokyo'}), '08:59 +0900');
+    assert.equal(formatPhp(TIMESTAMP, 'H:i O', {timeZone: 'Not/AZone'}), '23:59 +0000');
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {loadPage, text, closePage} = require('./dom');
+
+const THAI = require('../js/locale-data/th.json');
+
+// 15 December 2024 10:30 UTC
+const TIMESTAMP = Date.UTC(2024, 11, 15, 10, 30);
+
+const ELEMENT = '<time class="intl-datetime-element" data-intl-datetime="' + TIMESTAMP + '" ' +
+    'data-time-format="none">December 15, 2024</time>';
+
+/**
+ * Load a Thai Buddhist page with the given tooltip setting
+ * @param {string} [tooltip] - Tooltip setting
+ * @returns {Promise<Window>} Window of the page
+ */
+function loadThaiPage(tooltip) {
+    return loadPage(ELEMENT, {
+        calendar_type: 'buddhist',
+        locale: 'th-TH',
+        time_zone: 'UTC',
+        locale_data: {th: THAI},
+        tooltip: tooltip
+    });
+}
+
+test('wordpress tooltip uses the locale data pack', async function (t) {
+    const window = await loadThaiPage();
+    t.after(function () {
+        closePage(window);
+    });
+
+    assert.equal(window.document.querySelector('time').title, 'ธันวาคม 15, 2024');
+});
+
+test('gregorian tooltip', async function (t) {
+    const window = await loadThaiPage('gregorian');
+    t.after(function () {
+        closePage(window);
+    });
+
+    assert.equal(window.document.querySelector('time').title, '15 ธันวาคม 2024');
+});
+
+test('gregorian tooltip is in the site language', async function (t) {
+    const window = await loadPage(
+        ELEMENT.replace('<time ', '<time data-locale="ja-JP" ') + ELEMENT,
+        {calendar_type: 'buddhist', locale: 'th-TH', time_zone: 'UTC', tooltip: 'gregorian'},
+        function (window) {
+            window.localStorage.setItem('intlDateTimeCalendarPreferences', JSON.stringify({locale: 'en-US'}));
+        }
+    );
+    t.after(function () {
+        closePage(window);
+    });
+    const elements = window.document.querySelectorAll('time');
+
+    // Element language
+    assert.equal(text(elements[0]), '仏暦2567年12月15日');
+    assert.equal(elements[0].title, '15 ธันวาคม 2024');
+    // Language chosen in the switcher
+    assert.equal(text(elements[1]), 'December 15, 2567 BE');
+    assert.equal(elements[1].title, '15 ธันวาคม 2024');
+});
+
+test('no tooltip', async function (t) {
+    const window = await loadThaiPage('none');
+    t.after(function () {
+        closePage(window);
+    });
+
+    assert.equal(window.document.querySelector('time').hasAttribute('title'), false);
+});
+
+test('fallback formatter without a locale data pack', async function (t) {
+    const window = await loadPage(ELEMENT, {locale: 'th-TH', time_zone: 'UTC'});
+    t.after(function () {
+        closePage(window);
+    });
+
+    assert.equal(window.document.querySelector('time').title, 'December 15, 2024');
+});